@@ -24,18 +24,18 @@ const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
  * Create a Google Calendar event with Google Meet
  */
 export async function createCalendarEventWithMeet(eventDetails) {
-  const { summary, description, startDateTime, endDateTime, attendees } = eventDetails;
+  const { summary, description, startDateTime, endDateTime, attendees, timeZone = 'UTC' } = eventDetails;
 
   const event = {
     summary,
     description,
     start: {
       dateTime: startDateTime,
-      timeZone: 'UTC',
+      timeZone,
     },
     end: {
       dateTime: endDateTime,
-      timeZone: 'UTC',
+      timeZone,
     },
     attendees: attendees.map(email => ({ email })),
     conferenceData: {
@@ -72,6 +72,73 @@ export async function createCalendarEventWithMeet(eventDetails) {
   }
 }
 
+/**
+ * Update an existing Google Calendar event (time, attendees, text) and notify attendees
+ */
+export async function updateCalendarEvent(eventId, eventDetails) {
+  const { summary, description, startDateTime, endDateTime, attendees, timeZone = 'UTC' } = eventDetails;
+
+  const event = {};
+  if (summary !== undefined) event.summary = summary;
+  if (description !== undefined) event.description = description;
+  if (startDateTime !== undefined) event.start = { dateTime: startDateTime, timeZone };
+  if (endDateTime !== undefined) event.end = { dateTime: endDateTime, timeZone };
+  if (attendees !== undefined) event.attendees = attendees.map(email => ({ email }));
+
+  try {
+    const response = await calendar.events.patch({
+      calendarId: 'primary',
+      eventId,
+      resource: event,
+      sendUpdates: 'all', // Send updated invites to attendees
+    });
+
+    return {
+      eventId: response.data.id,
+      meetLink: response.data.hangoutLink || response.data.conferenceData?.entryPoints?.[0]?.uri,
+      htmlLink: response.data.htmlLink,
+    };
+  } catch (error) {
+    console.error('Error updating calendar event:', error);
+    throw new Error(`Failed to update calendar event: ${error.message}`);
+  }
+}
+
+/**
+ * Move an existing Google Calendar event to a new time and notify attendees
+ */
+export async function updateCalendarEventTime(eventId, { startDateTime, endDateTime, timeZone }) {
+  return updateCalendarEvent(eventId, { startDateTime, endDateTime, timeZone });
+}
+
+/**
+ * Replace the guest list of an existing Google Calendar event, along with the
+ * title and description that name the guests, and notify attendees
+ */
+export async function updateCalendarEventAttendees(eventId, { attendees, summary, description }) {
+  return updateCalendarEvent(eventId, { attendees, summary, description });
+}
+
+/**
+ * Cancel (delete) a Google Calendar event and notify attendees
+ */
+export async function cancelCalendarEvent(eventId) {
+  try {
+    await calendar.events.delete({
+      calendarId: 'primary',
+      eventId,
+      sendUpdates: 'all', // Send cancellation emails to attendees
+    });
+  } catch (error) {
+    // Already deleted events are fine
+    if (error.code === 404 || error.code === 410) {
+      return;
+    }
+    console.error('Error cancelling calendar event:', error);
+    throw new Error(`Failed to cancel calendar event: ${error.message}`);
+  }
+}
+
 /**
  * Get OAuth URL for user authorization
  */
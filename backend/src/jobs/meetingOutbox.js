@@ -0,0 +1,36 @@
+import { runDueMeetingJobs } from '../utils/meetings.js';
+
+// How often the meeting outbox is checked for due jobs
+export const MEETING_OUTBOX_INTERVAL_SECONDS = Number(process.env.MEETING_OUTBOX_INTERVAL_SECONDS) || 60;
+
+/**
+ * Work through due meeting jobs now and then every
+ * MEETING_OUTBOX_INTERVAL_SECONDS. A run that is still going when the next
+ * one is due is not overlapped.
+ */
+export function startMeetingOutboxJob() {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await runDueMeetingJobs();
+      if (counts.done || counts.retrying || counts.failed) {
+        console.log(
+          `Meeting outbox: ${counts.done} done, ${counts.retrying} retrying, ${counts.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error('Meeting outbox job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, MEETING_OUTBOX_INTERVAL_SECONDS * 1000);
+  // Do not keep the process alive just for the outbox
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,57 @@
+import { supabaseAdmin } from '../config/database.js';
+import { runDueAllocations } from '../utils/allocation.js';
+import { expireStaleRequests } from '../utils/bookingRequests.js';
+import { expireStaleOffers } from '../utils/waitlist.js';
+
+// How often past slots are swept
+export const LIFECYCLE_INTERVAL_MINUTES = Number(process.env.SLOT_LIFECYCLE_INTERVAL_MINUTES) || 5;
+
+/**
+ * One sweep: allocate rounds whose collection window has closed, close out
+ * lapsed requests and offers, expire unbooked slots that have started and
+ * move finished sessions to awaiting_outcome. Returns the slot counts
+ * reported by advance_slot_lifecycle.
+ */
+export async function runSlotLifecycle() {
+  await runDueAllocations();
+  await expireStaleRequests();
+  await expireStaleOffers();
+
+  const { data, error } = await supabaseAdmin.rpc('advance_slot_lifecycle');
+
+  if (error) throw error;
+
+  return data[0];
+}
+
+/**
+ * Run the sweep now and then every LIFECYCLE_INTERVAL_MINUTES. A sweep that
+ * is still running when the next one is due is not overlapped.
+ */
+export function startSlotLifecycleJob() {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await runSlotLifecycle();
+      if (counts.expired_slots || counts.awaiting_slots || counts.settled_slots) {
+        console.log(
+          `Slot lifecycle: ${counts.expired_slots} expired, ` +
+            `${counts.awaiting_slots} awaiting outcome, ${counts.settled_slots} settled`
+        );
+      }
+    } catch (error) {
+      console.error('Slot lifecycle job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, LIFECYCLE_INTERVAL_MINUTES * 60 * 1000);
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+}
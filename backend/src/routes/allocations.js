@@ -0,0 +1,386 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { addDays, displayTimeZone, toDateOnly, zonedToInstant } from '../utils/slotUtils.js';
+import { expireStaleRequests } from '../utils/bookingRequests.js';
+import {
+  MAX_CHOICES,
+  ROUND_SLOT_SELECT,
+  fetchRoundSlots,
+  holdSlotsForRound,
+  releaseRoundSlots,
+  runAllocation
+} from '../utils/allocation.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const ROUND_ASSIGNMENT = 'assignment:assignments(id, title, course, demo_deadline)';
+
+async function fetchRound(roundId) {
+  const { data, error } = await supabaseAdmin
+    .from('allocation_rounds')
+    .select(`*, ${ROUND_ASSIGNMENT}`)
+    .eq('id', roundId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Admin: List every round, newest first
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { data: rounds, error } = await supabaseAdmin
+      .from('allocation_rounds')
+      .select(`*, ${ROUND_ASSIGNMENT}, slots(count), preferences:allocation_preferences(scholar_id)`)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      rounds: rounds.map(({ slots, preferences, ...round }) => ({
+        ...round,
+        slot_count: slots[0]?.count || 0,
+        participant_count: new Set(preferences.map((preference) => preference.scholar_id)).size
+      }))
+    });
+  } catch (error) {
+    console.error('Get allocation rounds error:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation rounds' });
+  }
+});
+
+// Admin: Open a round. Every bookable slot for the assignment that starts
+// between slots_from and slots_until (inclusive dates in the admin's time
+// zone) and after the window closes is held for the round.
+router.post(
+  '/',
+  requireRole('admin'),
+  [
+    body('title').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('assignment_id').isUUID(),
+    body('closes_at').isISO8601(),
+    body('slots_from').isDate(),
+    body('slots_until').isDate(),
+    body('faculty_ids').optional().isArray({ max: 50 }),
+    body('faculty_ids.*').isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, assignment_id, closes_at, slots_from, slots_until, faculty_ids } = req.body;
+      const closesAt = new Date(closes_at);
+      const zone = displayTimeZone(req.user);
+      const from = zonedToInstant(toDateOnly(slots_from), '00:00:00', zone);
+      const to = zonedToInstant(addDays(toDateOnly(slots_until), 1), '00:00:00', zone);
+
+      if (closesAt <= new Date()) {
+        return res.status(400).json({ error: 'The collection window must close in the future' });
+      }
+
+      if (to <= from) {
+        return res.status(400).json({ error: 'slots_until must not be before slots_from' });
+      }
+
+      const { data: assignment, error: assignmentError } = await supabaseAdmin
+        .from('assignments')
+        .select('id')
+        .eq('id', assignment_id)
+        .maybeSingle();
+
+      if (assignmentError) throw assignmentError;
+
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      // Seats held by lapsed requests are open again
+      await expireStaleRequests();
+
+      // Same rules as the scholar search: open, unheld slots that accept the
+      // assignment before its deadline
+      const { data: candidates, error: searchError } = await supabaseAdmin.rpc(
+        'search_available_slots',
+        {
+          p_viewer_id: req.user.id,
+          p_faculty_ids: faculty_ids?.length > 0 ? faculty_ids : null,
+          p_from: (closesAt > from ? closesAt : from).toISOString(),
+          p_to: to.toISOString(),
+          p_assignment_id: assignment_id,
+          p_limit: 1000
+        }
+      );
+
+      if (searchError) throw searchError;
+
+      if (candidates.length === 0) {
+        return res.status(409).json({ error: 'No open slots match this round' });
+      }
+
+      const { data: round, error } = await supabaseAdmin
+        .from('allocation_rounds')
+        .insert({ title, assignment_id, closes_at: closesAt.toISOString(), created_by: req.user.id })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const held = await holdSlotsForRound(round.id, candidates.map((slot) => slot.id));
+
+      if (held.length === 0) {
+        await supabaseAdmin.from('allocation_rounds').delete().eq('id', round.id);
+        return res.status(409).json({ error: 'No open slots match this round' });
+      }
+
+      res.status(201).json({
+        round,
+        message: `Allocation round opened with ${held.length} slot(s)`
+      });
+    } catch (error) {
+      console.error('Create allocation round error:', error);
+      res.status(500).json({ error: 'Failed to create allocation round' });
+    }
+  }
+);
+
+// Scholar: Rounds collecting preferences, with their slots and the scholar's
+// current ranking
+router.get('/open', requireRole('scholar'), async (req, res) => {
+  try {
+    const { data: rounds, error } = await supabaseAdmin
+      .from('allocation_rounds')
+      .select(`*, ${ROUND_ASSIGNMENT}, slots(${ROUND_SLOT_SELECT})`)
+      .eq('status', 'collecting')
+      .gt('closes_at', new Date().toISOString())
+      .order('closes_at');
+
+    if (error) throw error;
+
+    const { data: preferences, error: preferencesError } = await supabaseAdmin
+      .from('allocation_preferences')
+      .select('round_id, rank, slot_id, faculty_id')
+      .eq('scholar_id', req.user.id)
+      .in('round_id', rounds.map((round) => round.id))
+      .order('rank');
+
+    if (preferencesError) throw preferencesError;
+
+    res.json({
+      rounds: rounds.map((round) => ({
+        ...round,
+        slots: round.slots
+          .filter((slot) => slot.status === 'available')
+          .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)),
+        choices: preferences.filter((preference) => preference.round_id === round.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get open allocation rounds error:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation rounds' });
+  }
+});
+
+// Scholar: What each allocated round gave them
+router.get('/results', requireRole('scholar'), async (req, res) => {
+  try {
+    const { data: results, error } = await supabaseAdmin
+      .from('allocation_results')
+      .select(`
+        *,
+        round:allocation_rounds(id, title, allocated_at, ${ROUND_ASSIGNMENT}),
+        slot:slots(id, date, start_time, end_time, time_zone, starts_at, ends_at,
+          faculty:users!slots_faculty_id_fkey(id, name, email))
+      `)
+      .eq('scholar_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Get allocation results error:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation results' });
+  }
+});
+
+// Scholar: Replace their ranked choices for a round. Each choice is a slot in
+// the round or a faculty member (any of their slots in the round), best first.
+// An empty list withdraws from the round.
+router.put(
+  '/:roundId/preferences',
+  requireRole('scholar'),
+  [
+    body('choices').isArray({ max: MAX_CHOICES }),
+    body('choices.*.slot_id').optional().isUUID(),
+    body('choices.*.faculty_id').optional().isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const round = await fetchRound(req.params.roundId);
+
+      if (!round) {
+        return res.status(404).json({ error: 'Allocation round not found' });
+      }
+
+      if (round.status !== 'collecting' || new Date(round.closes_at) <= new Date()) {
+        return res.status(409).json({ error: 'This round is no longer collecting preferences' });
+      }
+
+      const { choices } = req.body;
+      const slots = await fetchRoundSlots(round.id);
+      const slotIds = new Set(slots.map((slot) => slot.id));
+      const facultyIds = new Set(slots.flatMap((slot) => slot.panelists.map((member) => member.id)));
+      const seen = new Set();
+
+      for (const choice of choices) {
+        if (Boolean(choice.slot_id) === Boolean(choice.faculty_id)) {
+          return res.status(400).json({ error: 'Each choice is either a slot or a faculty member' });
+        }
+        if (choice.slot_id ? !slotIds.has(choice.slot_id) : !facultyIds.has(choice.faculty_id)) {
+          return res.status(400).json({ error: 'You can only rank slots and faculty in this round' });
+        }
+        const key = choice.slot_id || choice.faculty_id;
+        if (seen.has(key)) {
+          return res.status(400).json({ error: 'Each slot or faculty member can be ranked once' });
+        }
+        seen.add(key);
+      }
+
+      const { error: deleteError } = await supabaseAdmin
+        .from('allocation_preferences')
+        .delete()
+        .eq('round_id', round.id)
+        .eq('scholar_id', req.user.id);
+
+      if (deleteError) throw deleteError;
+
+      if (choices.length > 0) {
+        const { error } = await supabaseAdmin.from('allocation_preferences').insert(
+          choices.map((choice, index) => ({
+            round_id: round.id,
+            scholar_id: req.user.id,
+            rank: index + 1,
+            slot_id: choice.slot_id || null,
+            faculty_id: choice.slot_id ? null : choice.faculty_id
+          }))
+        );
+
+        if (error) throw error;
+      }
+
+      res.json({
+        message: choices.length > 0 ? 'Preferences saved' : 'You have left this round'
+      });
+    } catch (error) {
+      console.error('Save allocation preferences error:', error);
+      res.status(500).json({ error: 'Failed to save preferences' });
+    }
+  }
+);
+
+// Admin: Close a round's window now and allocate it
+router.post('/:roundId/run', requireRole('admin'), async (req, res) => {
+  try {
+    const round = await fetchRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({ error: 'Allocation round not found' });
+    }
+
+    const report = await runAllocation(round.id);
+
+    if (!report) {
+      return res.status(409).json({ error: 'Only rounds collecting preferences can be allocated' });
+    }
+
+    res.json({
+      report,
+      message: `Allocated ${report.allocated} of ${report.participants} scholar(s)`
+    });
+  } catch (error) {
+    console.error('Run allocation error:', error);
+    res.status(500).json({ error: 'Failed to run allocation' });
+  }
+});
+
+// Admin: Allocation report with every participant's outcome
+router.get('/:roundId/report', requireRole('admin'), async (req, res) => {
+  try {
+    const round = await fetchRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({ error: 'Allocation round not found' });
+    }
+
+    const { data: results, error } = await supabaseAdmin
+      .from('allocation_results')
+      .select(`
+        *,
+        scholar:users!allocation_results_scholar_id_fkey(id, name, email),
+        slot:slots(id, date, start_time, end_time, time_zone, starts_at, ends_at,
+          faculty:users!slots_faculty_id_fkey(id, name, email))
+      `)
+      .eq('round_id', round.id);
+
+    if (error) throw error;
+
+    // Lottery order first, as the run processed them
+    const position = new Map((round.report?.order || []).map((id, index) => [id, index]));
+    results.sort((a, b) =>
+      (position.get(a.scholar_id) ?? -1) - (position.get(b.scholar_id) ?? -1) ||
+      a.scholar.name.localeCompare(b.scholar.name)
+    );
+
+    res.json({ round, results });
+  } catch (error) {
+    console.error('Get allocation report error:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation report' });
+  }
+});
+
+// Admin: Cancel a round that is still collecting and release its slots
+router.delete('/:roundId', requireRole('admin'), async (req, res) => {
+  try {
+    const round = await fetchRound(req.params.roundId);
+
+    if (!round) {
+      return res.status(404).json({ error: 'Allocation round not found' });
+    }
+
+    const { data: cancelled, error } = await supabaseAdmin
+      .from('allocation_rounds')
+      .update({ status: 'cancelled' })
+      .eq('id', round.id)
+      .eq('status', 'collecting')
+      .select('id');
+
+    if (error) throw error;
+
+    if (cancelled.length === 0) {
+      return res.status(409).json({ error: 'Only rounds collecting preferences can be cancelled' });
+    }
+
+    await releaseRoundSlots(round.id);
+
+    res.json({ message: 'Allocation round cancelled and its slots released' });
+  } catch (error) {
+    console.error('Cancel allocation round error:', error);
+    res.status(500).json({ error: 'Failed to cancel allocation round' });
+  }
+});
+
+export default router;
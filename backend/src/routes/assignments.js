@@ -0,0 +1,193 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const ASSIGNMENT_FIELDS = ['title', 'course', 'description', 'demo_deadline'];
+
+const assignmentValidators = (required) => [
+  (required ? body('title') : body('title').optional()).isString().trim().notEmpty().isLength({ max: 255 }),
+  body('course').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('demo_deadline').optional({ values: 'null' }).isISO8601(),
+];
+
+function assignmentFieldsFromBody(reqBody) {
+  const fields = {};
+  ASSIGNMENT_FIELDS.forEach((field) => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field] || null;
+  });
+  return fields;
+}
+
+// Fetch an assignment the user may manage: its owner or any admin
+async function fetchManagedAssignment(assignmentId, user) {
+  const { data: assignment, error } = await supabaseAdmin
+    .from('assignments')
+    .select('*')
+    .eq('id', assignmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!assignment) return { status: 404, error: 'Assignment not found' };
+  if (user.role !== 'admin' && assignment.faculty_id !== user.id) {
+    return { status: 403, error: 'You can only manage your own assignments' };
+  }
+
+  return { assignment };
+}
+
+// List assignments (optionally for one faculty or course)
+router.get('/', async (req, res) => {
+  try {
+    const { faculty_id, course } = req.query;
+
+    let query = supabaseAdmin
+      .from('assignments')
+      .select(`
+        *,
+        faculty:users!assignments_faculty_id_fkey(id, name, email)
+      `)
+      .order('demo_deadline', { ascending: true, nullsFirst: false })
+      .order('title');
+
+    if (faculty_id) {
+      query = query.eq('faculty_id', faculty_id);
+    }
+
+    if (course) {
+      query = query.eq('course', course);
+    }
+
+    const { data: assignments, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ assignments });
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignments' });
+  }
+});
+
+// Get a single assignment
+router.get('/:assignmentId', async (req, res) => {
+  try {
+    const { data: assignment, error } = await supabaseAdmin
+      .from('assignments')
+      .select(`
+        *,
+        faculty:users!assignments_faculty_id_fkey(id, name, email)
+      `)
+      .eq('id', req.params.assignmentId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({ assignment });
+  } catch (error) {
+    console.error('Get assignment error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignment' });
+  }
+});
+
+// Faculty/Admin: Create an assignment
+router.post(
+  '/',
+  requireRole('faculty', 'admin'),
+  assignmentValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: assignment, error } = await supabaseAdmin
+        .from('assignments')
+        .insert([{ ...assignmentFieldsFromBody(req.body), faculty_id: req.user.id }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.status(201).json({ assignment, message: 'Assignment created successfully' });
+    } catch (error) {
+      console.error('Create assignment error:', error);
+      res.status(500).json({ error: 'Failed to create assignment' });
+    }
+  }
+);
+
+// Faculty/Admin: Update an assignment
+router.patch(
+  '/:assignmentId',
+  requireRole('faculty', 'admin'),
+  assignmentValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const found = await fetchManagedAssignment(req.params.assignmentId, req.user);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+
+      const fields = assignmentFieldsFromBody(req.body);
+      if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+
+      const { data: assignment, error } = await supabaseAdmin
+        .from('assignments')
+        .update(fields)
+        .eq('id', found.assignment.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({ assignment, message: 'Assignment updated successfully' });
+    } catch (error) {
+      console.error('Update assignment error:', error);
+      res.status(500).json({ error: 'Failed to update assignment' });
+    }
+  }
+);
+
+// Faculty/Admin: Delete an assignment. Existing bookings keep their slot and
+// lose only the assignment reference.
+router.delete('/:assignmentId', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const found = await fetchManagedAssignment(req.params.assignmentId, req.user);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('assignments')
+      .delete()
+      .eq('id', found.assignment.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Assignment deleted successfully' });
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(500).json({ error: 'Failed to delete assignment' });
+  }
+});
+
+export default router;
@@ -110,7 +110,14 @@ router.post('/google', async (req, res) => {
         email: user.email,
         name: user.name,
         picture: user.picture,
-        role: user.role
+        role: user.role,
+        release_cancelled_slots: user.release_cancelled_slots,
+        requires_booking_approval: user.requires_booking_approval,
+        time_zone: user.time_zone,
+        display_time_zone: user.display_time_zone,
+        meeting_provider: user.meeting_provider,
+        meeting_room_url: user.meeting_room_url,
+        meeting_location: user.meeting_location
       }
     });
   } catch (error) {
@@ -133,7 +140,8 @@ router.get('/me', async (req, res) => {
     
     const { data: user, error } = await supabaseAdmin
       .from('users')
-      .select('id, email, name, picture, role, created_at')
+      .select(`id, email, name, picture, role, created_at, release_cancelled_slots, requires_booking_approval,
+        time_zone, display_time_zone, meeting_provider, meeting_room_url, meeting_location`)
       .eq('id', decoded.userId)
       .single();
 
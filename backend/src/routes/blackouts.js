@@ -0,0 +1,121 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { toDateOnly } from '../utils/slotUtils.js';
+import { applyBlockedRange, blackoutLabel, clearBlockedRange } from '../utils/blackouts.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requireRole('faculty', 'admin'));
+
+// Faculty: List own blackout ranges (admins may pass faculty_id)
+router.get('/', async (req, res) => {
+  try {
+    const facultyId = req.user.role === 'admin' && req.query.faculty_id
+      ? req.query.faculty_id
+      : req.user.id;
+
+    const { data: blackouts, error } = await supabaseAdmin
+      .from('faculty_blackouts')
+      .select('*')
+      .eq('faculty_id', facultyId)
+      .order('start_date');
+
+    if (error) throw error;
+
+    res.json({ blackouts });
+  } catch (error) {
+    console.error('Get blackouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch blackout dates' });
+  }
+});
+
+// Faculty: Block out a date range. Unbooked slots in the range are withdrawn
+// and booked ones are flagged for rescheduling.
+router.post(
+  '/',
+  [
+    body('start_date').isISO8601(),
+    body('end_date').isISO8601(),
+    body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const start_date = toDateOnly(req.body.start_date);
+      const end_date = toDateOnly(req.body.end_date);
+
+      if (end_date < start_date) {
+        return res.status(400).json({ error: 'End date must be on or after start date' });
+      }
+
+      const { data: blackout, error } = await supabaseAdmin
+        .from('faculty_blackouts')
+        .insert([{ faculty_id: req.user.id, start_date, end_date, reason: req.body.reason || null }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const { withdrawn, flagged } = await applyBlockedRange(blackout, blackoutLabel(blackout), req.user.id);
+
+      res.status(201).json({
+        blackout,
+        withdrawn,
+        flagged,
+        message: 'Blackout dates saved'
+      });
+    } catch (error) {
+      console.error('Create blackout error:', error);
+      res.status(500).json({
+        error: 'Failed to save blackout dates',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Faculty: Remove a blackout range (owner or admin). Withdrawn slots are not
+// recreated; flags on booked slots are cleared unless another range covers them.
+router.delete('/:blackoutId', async (req, res) => {
+  try {
+    const { data: blackout, error: fetchError } = await supabaseAdmin
+      .from('faculty_blackouts')
+      .select('*')
+      .eq('id', req.params.blackoutId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!blackout) {
+      return res.status(404).json({ error: 'Blackout not found' });
+    }
+
+    if (req.user.role !== 'admin' && blackout.faculty_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only remove your own blackout dates' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('faculty_blackouts')
+      .delete()
+      .eq('id', blackout.id);
+
+    if (error) throw error;
+
+    await clearBlockedRange(blackout, blackout.faculty_id);
+
+    res.json({ message: 'Blackout dates removed' });
+  } catch (error) {
+    console.error('Delete blackout error:', error);
+    res.status(500).json({ error: 'Failed to remove blackout dates' });
+  }
+});
+
+export default router;
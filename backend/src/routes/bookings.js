@@ -0,0 +1,277 @@
+import express from 'express';
+import path from 'path';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { slotStartsAt } from '../utils/slotUtils.js';
+import { canManageSlot } from '../utils/panelists.js';
+import {
+  ARTIFACT_EXTENSIONS,
+  ARTIFACT_MAX_BYTES,
+  ARTIFACT_MAX_FILES,
+  artifactContentType,
+  readArtifact,
+  removeArtifact,
+  storeArtifact,
+  submissionLinkValidators
+} from '../utils/artifacts.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const ARTIFACT_FIELDS = 'id, booking_id, file_name, content_type, size_bytes, created_at';
+
+// Uploads arrive as the raw request body; the file name travels in X-File-Name
+const rawUpload = express.raw({ type: () => true, limit: ARTIFACT_MAX_BYTES });
+
+function parseUpload(req, res, next) {
+  rawUpload(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: `Files can be at most ${Math.round(ARTIFACT_MAX_BYTES / 1024 / 1024)} MB`
+      });
+    }
+    next(err);
+  });
+}
+
+// Base name of the uploaded file, or '' when the header is missing or malformed
+function uploadFileName(req) {
+  try {
+    return path.basename(decodeURIComponent(req.get('X-File-Name') || '')).trim();
+  } catch {
+    return '';
+  }
+}
+
+// Fetch a booking with its slot. Returns null when it does not exist.
+async function fetchBooking(bookingId) {
+  const { data: booking, error } = await supabaseAdmin
+    .from('bookings')
+    .select('*, slot:slots(id, faculty_id, starts_at)')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return booking;
+}
+
+// The scholar who booked, the slot's panel and admins can see a submission
+async function canView(booking, user) {
+  return booking.scholar_id === user.id || canManageSlot(booking.slot, user);
+}
+
+// Scholars change their submission until the session starts
+function checkEditable(booking, user) {
+  if (booking.scholar_id !== user.id) {
+    return { status: 403, error: 'You can only change your own bookings' };
+  }
+  if (!['booked', 'pending'].includes(booking.status)) {
+    return { status: 409, error: 'This booking is no longer active' };
+  }
+  if (slotStartsAt(booking.slot) <= new Date()) {
+    return { status: 409, error: 'The session has already started' };
+  }
+  return null;
+}
+
+// Scholar: Update the notes and links submitted with a booking
+router.patch(
+  '/:bookingId/submission',
+  requireRole('scholar'),
+  [
+    body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+    ...submissionLinkValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const booking = await fetchBooking(req.params.bookingId);
+      if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      const notEditable = checkEditable(booking, req.user);
+      if (notEditable) {
+        return res.status(notEditable.status).json({ error: notEditable.error });
+      }
+
+      const fields = {};
+      ['notes', 'repository_url', 'demo_url'].forEach((field) => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field] || null;
+      });
+
+      if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+
+      const { data: updated, error } = await supabaseAdmin
+        .from('bookings')
+        .update(fields)
+        .eq('id', booking.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({ booking: updated, message: 'Submission updated' });
+    } catch (error) {
+      console.error('Update submission error:', error);
+      res.status(500).json({ error: 'Failed to update submission' });
+    }
+  }
+);
+
+// Scholar: Upload a file to a booking. Send the bytes as the request body
+// with the file name in the X-File-Name header (URI-encoded).
+router.post('/:bookingId/artifacts', requireRole('scholar'), parseUpload, async (req, res) => {
+  try {
+    const fileName = uploadFileName(req);
+    if (!fileName || fileName.length > 255) {
+      return res.status(400).json({ error: 'X-File-Name header is required' });
+    }
+
+    const contentType = artifactContentType(fileName);
+    if (!contentType) {
+      return res.status(400).json({
+        error: `Unsupported file type. Allowed: ${ARTIFACT_EXTENSIONS.join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'The file is empty' });
+    }
+
+    const booking = await fetchBooking(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const notEditable = checkEditable(booking, req.user);
+    if (notEditable) {
+      return res.status(notEditable.status).json({ error: notEditable.error });
+    }
+
+    const { count, error: countError } = await supabaseAdmin
+      .from('booking_artifacts')
+      .select('id', { count: 'exact', head: true })
+      .eq('booking_id', booking.id);
+
+    if (countError) throw countError;
+
+    if (count >= ARTIFACT_MAX_FILES) {
+      return res.status(409).json({ error: `A booking can have at most ${ARTIFACT_MAX_FILES} files` });
+    }
+
+    const stored = await storeArtifact(booking.id, fileName, contentType, req.body);
+
+    const { data: artifact, error } = await supabaseAdmin
+      .from('booking_artifacts')
+      .insert([{
+        booking_id: booking.id,
+        file_name: fileName,
+        content_type: contentType,
+        size_bytes: req.body.length,
+        uploaded_by: req.user.id,
+        ...stored
+      }])
+      .select(ARTIFACT_FIELDS)
+      .single();
+
+    if (error) {
+      await removeArtifact(stored).catch((removeError) => {
+        console.error('Failed to remove orphaned upload:', removeError);
+      });
+      throw error;
+    }
+
+    res.status(201).json({ artifact, message: 'File uploaded' });
+  } catch (error) {
+    console.error('Upload artifact error:', error);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+});
+
+// Fetch one of a booking's artifacts. Returns null when it does not exist.
+async function fetchArtifact(bookingId, artifactId) {
+  const { data: artifact, error } = await supabaseAdmin
+    .from('booking_artifacts')
+    .select('*')
+    .eq('id', artifactId)
+    .eq('booking_id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return artifact;
+}
+
+// Download a file attached to a booking
+router.get('/:bookingId/artifacts/:artifactId', async (req, res) => {
+  try {
+    const booking = await fetchBooking(req.params.bookingId);
+    if (!booking || !(await canView(booking, req.user))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const artifact = await fetchArtifact(booking.id, req.params.artifactId);
+    if (!artifact) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const data = await readArtifact(artifact);
+
+    res.setHeader('Content-Type', artifact.content_type);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(artifact.file_name)}`
+    );
+    res.send(data);
+  } catch (error) {
+    console.error('Download artifact error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Scholar: Remove a file from a booking
+router.delete('/:bookingId/artifacts/:artifactId', requireRole('scholar'), async (req, res) => {
+  try {
+    const booking = await fetchBooking(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const notEditable = checkEditable(booking, req.user);
+    if (notEditable) {
+      return res.status(notEditable.status).json({ error: notEditable.error });
+    }
+
+    const artifact = await fetchArtifact(booking.id, req.params.artifactId);
+    if (!artifact) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('booking_artifacts')
+      .delete()
+      .eq('id', artifact.id);
+
+    if (error) throw error;
+
+    await removeArtifact(artifact);
+
+    res.json({ message: 'File removed' });
+  } catch (error) {
+    console.error('Remove artifact error:', error);
+    res.status(500).json({ error: 'Failed to remove file' });
+  }
+});
+
+export default router;
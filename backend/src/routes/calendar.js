@@ -0,0 +1,230 @@
+import express from 'express';
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { BOOKING_ASSIGNMENT, BOOKING_SCHOLAR } from '../utils/meetings.js';
+import { SLOT_PANELISTS } from '../utils/panelists.js';
+import { buildCalendar, eventUid } from '../utils/ical.js';
+
+const router = express.Router();
+
+// Feeds reach this far into the past, so recent sessions stay visible
+const FEED_PAST_DAYS = 60;
+
+const FEED_TOKEN = /^[a-f0-9]{48}$/;
+
+const FEED_SLOT = `id, starts_at, ends_at, status, capacity, booked_count, faculty_notes,
+  meeting_link, meeting_location, updated_at, ical_sequence`;
+
+const BOOKING_EVENT_STATUS = {
+  booked: 'CONFIRMED',
+  awaiting_outcome: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+// Feed URLs point at the API as the calendar app sees it
+function feedUrl(req, token) {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${base.replace(/\/+$/, '')}/calendar/feed/${token}.ics`;
+}
+
+function meetingLines(slot) {
+  return [
+    slot.meeting_link && `Join: ${slot.meeting_link}`,
+    slot.meeting_location && `Location: ${slot.meeting_location}`,
+    slot.faculty_notes && `Faculty notes: ${slot.faculty_notes}`
+  ].filter(Boolean);
+}
+
+// Scholar: one event per booking, including requests and cancelled seats
+async function scholarEvents(user, since) {
+  const { data: bookings, error } = await supabaseAdmin
+    .from('bookings')
+    .select(`
+      id, status, notes, updated_at, ical_sequence,
+      ${BOOKING_ASSIGNMENT},
+      slot:slots!inner(${FEED_SLOT}, ${SLOT_PANELISTS})
+    `)
+    .eq('scholar_id', user.id)
+    .gte('slot.starts_at', since);
+
+  if (error) throw error;
+
+  return bookings.map((booking) => {
+    const { slot } = booking;
+    const hosts = slot.panelists.map((member) => member.name).join(', ');
+    const status = BOOKING_EVENT_STATUS[booking.status] || 'CONFIRMED';
+
+    return {
+      uid: eventUid('booking', booking.id),
+      sequence: booking.ical_sequence,
+      updatedAt: Math.max(new Date(booking.updated_at), new Date(slot.updated_at)),
+      start: slot.starts_at,
+      end: slot.ends_at,
+      summary: `${booking.status === 'pending' ? '(Awaiting approval) ' : ''}Assignment demo with ${hosts}`,
+      description: [
+        booking.assignment && `Assignment: ${booking.assignment.title}`,
+        ...slot.panelists.map((member) => `Faculty: ${member.name} (${member.email})`),
+        ...meetingLines(slot),
+        booking.notes && `Your notes: ${booking.notes}`
+      ].filter(Boolean).join('\n'),
+      location: slot.meeting_location || slot.meeting_link,
+      url: process.env.FRONTEND_URL && `${process.env.FRONTEND_URL}/my-bookings`,
+      status
+    };
+  });
+}
+
+// Faculty and admins: one event per slot they sit on the panel of, with the
+// booking status of each scholar
+async function facultyEvents(user, since) {
+  const { data: slots, error } = await supabaseAdmin
+    .from('slots')
+    .select(`
+      ${FEED_SLOT},
+      panel:slot_panelists!inner(faculty_id),
+      ${SLOT_PANELISTS},
+      bookings(status, ${BOOKING_SCHOLAR}, ${BOOKING_ASSIGNMENT})
+    `)
+    .eq('panel.faculty_id', user.id)
+    .gte('starts_at', since);
+
+  if (error) throw error;
+
+  return slots.map((slot) => {
+    const seated = slot.bookings.filter((booking) =>
+      ['booked', 'awaiting_outcome', 'completed', 'no_show'].includes(booking.status)
+    );
+    const requests = slot.bookings.filter((booking) => booking.status === 'pending');
+    const seats = slot.capacity > 1 ? ` (${slot.booked_count}/${slot.capacity})` : '';
+
+    return {
+      uid: eventUid('slot', slot.id),
+      sequence: slot.ical_sequence,
+      updatedAt: slot.updated_at,
+      start: slot.starts_at,
+      end: slot.ends_at,
+      summary: seated.length > 0
+        ? `Demo: ${seated.map((booking) => booking.scholar.name).join(', ')}${seats}`
+        : `Open demo slot${seats}`,
+      description: [
+        `Status: ${slot.status}`,
+        slot.panelists.length > 1 && `Panel: ${slot.panelists.map((member) => member.name).join(', ')}`,
+        ...[...seated, ...requests].map((booking) =>
+          `${booking.scholar.name} (${booking.scholar.email})` +
+          (booking.assignment ? ` - ${booking.assignment.title}` : '') +
+          ` [${booking.status}]`
+        ),
+        ...meetingLines(slot)
+      ].filter(Boolean).join('\n'),
+      location: slot.meeting_location || slot.meeting_link,
+      url: process.env.FRONTEND_URL && `${process.env.FRONTEND_URL}/faculty/slots`,
+      // Slots that did not take place are removed from subscribers' calendars
+      status: ['cancelled', 'expired'].includes(slot.status) ? 'CANCELLED' : 'CONFIRMED'
+    };
+  });
+}
+
+// Public: The iCalendar feed behind a secret URL, for calendar apps that
+// cannot sign in
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!FEED_TOKEN.test(token)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, role')
+      .eq('calendar_feed_token', token)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const events = user.role === 'scholar'
+      ? await scholarEvents(user, since)
+      : await facultyEvents(user, since);
+
+    events.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    res
+      .set('Content-Type', 'text/calendar; charset=utf-8')
+      .set('Content-Disposition', 'inline; filename="demo-sessions.ics"')
+      .set('Cache-Control', 'private, max-age=300')
+      .send(buildCalendar({ name: `Demo sessions - ${user.name}`, events }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Managing the feed requires authentication
+router.use(authenticateToken);
+
+// Get the user's feed URL (null while the feed is off)
+router.get('/feed', async (req, res) => {
+  try {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('calendar_feed_token')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ url: user.calendar_feed_token ? feedUrl(req, user.calendar_feed_token) : null });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Turn the feed on, or replace its URL. The previous URL stops working.
+router.post('/feed', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ calendar_feed_token: token })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ url: feedUrl(req, token), message: 'Calendar feed link created' });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Turn the feed off
+router.delete('/feed', async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ calendar_feed_token: null })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to turn off calendar feed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import { fetchRubric, scoreRubric, toCsv } from '../utils/grades.js';
+import { canManageSlot, fetchPanelSlotIds } from '../utils/panelists.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Faculty: Grade a completed session against its slot's rubric. Grading again
+// replaces the scores; `released` controls whether the scholar can see them.
+router.put(
+  '/bookings/:bookingId',
+  requireRole('faculty', 'admin'),
+  [
+    body('scores').isObject(),
+    body('feedback').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+    body('released').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { bookingId } = req.params;
+      const { scores, feedback, released } = req.body;
+
+      const { data: booking, error: bookingError } = await supabaseAdmin
+        .from('bookings')
+        .select('*, slot:slots(*)')
+        .eq('id', bookingId)
+        .maybeSingle();
+
+      if (bookingError) throw bookingError;
+
+      if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      if (!(await canManageSlot(booking.slot, req.user))) {
+        return res.status(403).json({ error: 'You can only grade sessions in your own slots' });
+      }
+
+      if (booking.outcome !== 'completed') {
+        return res.status(409).json({ error: 'Only completed sessions can be graded' });
+      }
+
+      if (!booking.slot.rubric_id) {
+        return res.status(409).json({ error: 'Attach a rubric to this slot before grading' });
+      }
+
+      const rubric = await fetchRubric(booking.slot.rubric_id);
+      const sheet = scoreRubric(rubric, scores);
+      if (sheet.error) {
+        return res.status(400).json({ error: sheet.error });
+      }
+
+      const { data: existing, error: existingError } = await supabaseAdmin
+        .from('booking_grades')
+        .select('released_at')
+        .eq('booking_id', booking.id)
+        .maybeSingle();
+
+      if (existingError) throw existingError;
+
+      const { data: grade, error } = await supabaseAdmin
+        .from('booking_grades')
+        .upsert(
+          {
+            booking_id: booking.id,
+            rubric_id: rubric.id,
+            rubric_title: rubric.title,
+            ...sheet,
+            feedback: feedback || null,
+            released_at: released ? existing?.released_at || new Date().toISOString() : null,
+            graded_by: req.user.id
+          },
+          { onConflict: 'booking_id' }
+        )
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json({
+        grade,
+        message: grade.released_at ? 'Grade saved and released' : 'Grade saved as draft'
+      });
+    } catch (error) {
+      console.error('Save grade error:', error);
+      res.status(500).json({ error: 'Failed to save grade' });
+    }
+  }
+);
+
+// Admin: Download grades as CSV, optionally for the slots one faculty member
+// sat on the panel of
+router.get(
+  '/export',
+  requireRole('admin'),
+  [query('faculty_id').optional().isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let gradesQuery = supabaseAdmin
+        .from('booking_grades')
+        .select(`
+          *,
+          booking:bookings!inner(
+            slot_id,
+            scholar:users!bookings_scholar_id_fkey(name, email),
+            assignment:assignments(title, course),
+            slot:slots!inner(
+              date,
+              start_time,
+              time_zone,
+              faculty_id,
+              starts_at,
+              faculty:users!slots_faculty_id_fkey(name, email)
+            )
+          )
+        `);
+
+      if (req.query.faculty_id) {
+        gradesQuery = gradesQuery.in('booking.slot_id', await fetchPanelSlotIds(req.query.faculty_id));
+      }
+
+      const { data: grades, error } = await gradesQuery;
+
+      if (error) throw error;
+
+      grades.sort((a, b) =>
+        a.booking.slot.faculty.name.localeCompare(b.booking.slot.faculty.name) ||
+        new Date(a.booking.slot.starts_at) - new Date(b.booking.slot.starts_at)
+      );
+
+      const rows = [
+        [
+          'Faculty', 'Faculty Email', 'Scholar', 'Scholar Email', 'Assignment', 'Course',
+          'Date', 'Start Time', 'Time Zone', 'Rubric', 'Scores', 'Total', 'Max', 'Percent',
+          'Released', 'Feedback'
+        ],
+        ...grades.map(({ booking, ...grade }) => [
+          booking.slot.faculty.name,
+          booking.slot.faculty.email,
+          booking.scholar.name,
+          booking.scholar.email,
+          booking.assignment?.title,
+          booking.assignment?.course,
+          booking.slot.date,
+          booking.slot.start_time.slice(0, 5),
+          booking.slot.time_zone,
+          grade.rubric_title,
+          grade.scores.map((score) => `${score.label}: ${score.points}/${score.max_points}`).join('; '),
+          grade.total_points,
+          grade.max_points,
+          ((grade.total_points / grade.max_points) * 100).toFixed(1),
+          grade.released_at ? 'yes' : 'no',
+          grade.feedback
+        ])
+      ];
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="grades.csv"');
+      res.send(toCsv(rows));
+    } catch (error) {
+      console.error('Export grades error:', error);
+      res.status(500).json({ error: 'Failed to export grades' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,111 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { toDateOnly } from '../utils/slotUtils.js';
+import { applyBlockedRange, clearBlockedRange, holidayLabel } from '../utils/blackouts.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List holidays (optionally only those ending on or after a date)
+router.get('/', async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('holidays')
+      .select('*')
+      .order('start_date');
+
+    if (req.query.from) {
+      query = query.gte('end_date', toDateOnly(req.query.from));
+    }
+
+    const { data: holidays, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ holidays });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ error: 'Failed to fetch holidays' });
+  }
+});
+
+// Admin: Add a holiday. Every faculty member's unbooked slots on those days
+// are withdrawn and booked ones are flagged for rescheduling.
+router.post(
+  '/',
+  requireRole('admin'),
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('start_date').isISO8601(),
+    body('end_date').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const start_date = toDateOnly(req.body.start_date);
+      const end_date = req.body.end_date ? toDateOnly(req.body.end_date) : start_date;
+
+      if (end_date < start_date) {
+        return res.status(400).json({ error: 'End date must be on or after start date' });
+      }
+
+      const { data: holiday, error } = await supabaseAdmin
+        .from('holidays')
+        .insert([{ name: req.body.name, start_date, end_date, created_by: req.user.id }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const { withdrawn, flagged } = await applyBlockedRange(holiday, holidayLabel(holiday));
+
+      res.status(201).json({
+        holiday,
+        withdrawn,
+        flagged,
+        message: 'Holiday added'
+      });
+    } catch (error) {
+      console.error('Create holiday error:', error);
+      res.status(500).json({
+        error: 'Failed to add holiday',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Admin: Remove a holiday
+router.delete('/:holidayId', requireRole('admin'), async (req, res) => {
+  try {
+    const { data: holiday, error } = await supabaseAdmin
+      .from('holidays')
+      .delete()
+      .eq('id', req.params.holidayId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    await clearBlockedRange(holiday);
+
+    res.json({ message: 'Holiday removed' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ error: 'Failed to remove holiday' });
+  }
+});
+
+export default router;
@@ -0,0 +1,65 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { query, validationResult } from 'express-validator';
+import { retryMeetingJob } from '../utils/meetings.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const JOB_SLOT = `slot:slots(id, date, start_time, end_time, time_zone, starts_at, ends_at, status,
+  faculty:users!slots_faculty_id_fkey(id, name, email))`;
+
+// Admin: Meeting jobs in the outbox, failed ones by default, most recent first
+router.get(
+  '/',
+  requireRole('admin'),
+  [query('status').optional().isIn(['pending', 'processing', 'done', 'failed'])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: jobs, error } = await supabaseAdmin
+        .from('meeting_jobs')
+        .select(`*, ${JOB_SLOT}`)
+        .eq('status', req.query.status || 'failed')
+        .order('updated_at', { ascending: false })
+        .limit(200);
+
+      if (error) throw error;
+
+      res.json({ jobs });
+    } catch (error) {
+      console.error('Get meeting jobs error:', error);
+      res.status(500).json({ error: 'Failed to fetch meeting jobs' });
+    }
+  }
+);
+
+// Admin: Run a failed job again with a fresh set of attempts
+router.post('/:jobId/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await retryMeetingJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    }
+
+    res.json({
+      job,
+      message: job.status === 'done'
+        ? 'Job completed'
+        : `Job failed again and will be retried: ${job.last_error}`
+    });
+  } catch (error) {
+    console.error('Retry meeting job error:', error);
+    res.status(500).json({ error: 'Failed to retry meeting job' });
+  }
+});
+
+export default router;
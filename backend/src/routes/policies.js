@@ -0,0 +1,159 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import { POLICY_FIELDS, getEffectivePolicy } from '../utils/bookingPolicy.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// NULL clears a field (falls back to the global default, or "no limit")
+const policyValidators = [
+  body('max_active_bookings').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('one_booking_per_faculty').optional({ values: 'null' }).isBoolean().toBoolean(),
+  body('min_lead_minutes').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('cancellation_cutoff_minutes').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('prevent_overlapping_bookings').optional({ values: 'null' }).isBoolean().toBoolean(),
+];
+
+function policyFieldsFromBody(reqBody) {
+  const fields = {};
+  POLICY_FIELDS.forEach((field) => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+  });
+  return fields;
+}
+
+// Save the policy row for a faculty (or the global row when facultyId is null)
+async function savePolicy(facultyId, fields) {
+  let query = supabaseAdmin.from('booking_policies').select('id');
+  query = facultyId ? query.eq('faculty_id', facultyId) : query.is('faculty_id', null);
+
+  const { data: existing, error: fetchError } = await query.maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const { data: policy, error } = existing
+    ? await supabaseAdmin
+        .from('booking_policies')
+        .update(fields)
+        .eq('id', existing.id)
+        .select()
+        .single()
+    : await supabaseAdmin
+        .from('booking_policies')
+        .insert([{ ...fields, faculty_id: facultyId }])
+        .select()
+        .single();
+
+  if (error) throw error;
+
+  return policy;
+}
+
+// Effective policy for a faculty (available to all authenticated users)
+router.get('/effective', [
+  query('faculty_id').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await getEffectivePolicy(req.query.faculty_id || null);
+    res.json({ policy });
+  } catch (error) {
+    console.error('Get effective policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking policy' });
+  }
+});
+
+// Admin: Get the global policy and all faculty overrides
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { data: policies, error } = await supabaseAdmin
+      .from('booking_policies')
+      .select(`
+        *,
+        faculty:users!booking_policies_faculty_id_fkey(id, name, email)
+      `)
+      .order('created_at');
+
+    if (error) throw error;
+
+    res.json({
+      global: policies.find((policy) => policy.faculty_id === null) || null,
+      overrides: policies.filter((policy) => policy.faculty_id !== null)
+    });
+  } catch (error) {
+    console.error('Get policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking policies' });
+  }
+});
+
+// Admin: Update the global policy
+router.put('/global', requireRole('admin'), policyValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await savePolicy(null, policyFieldsFromBody(req.body));
+
+    res.json({ policy, message: 'Booking policy updated successfully' });
+  } catch (error) {
+    console.error('Update global policy error:', error);
+    res.status(500).json({ error: 'Failed to update booking policy' });
+  }
+});
+
+// Admin: Create or update a faculty override
+router.put('/faculty/:facultyId', requireRole('admin'), policyValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: faculty, error: facultyError } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('id', req.params.facultyId)
+      .in('role', ['faculty', 'admin'])
+      .single();
+
+    if (facultyError || !faculty) {
+      return res.status(404).json({ error: 'Faculty not found' });
+    }
+
+    const policy = await savePolicy(faculty.id, policyFieldsFromBody(req.body));
+
+    res.json({ policy, message: 'Faculty policy override saved' });
+  } catch (error) {
+    console.error('Update faculty policy error:', error);
+    res.status(500).json({ error: 'Failed to update faculty policy' });
+  }
+});
+
+// Admin: Remove a faculty override
+router.delete('/faculty/:facultyId', requireRole('admin'), async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('booking_policies')
+      .delete()
+      .eq('faculty_id', req.params.facultyId);
+
+    if (error) throw error;
+
+    res.json({ message: 'Faculty policy override removed' });
+  } catch (error) {
+    console.error('Delete faculty policy error:', error);
+    res.status(500).json({ error: 'Failed to remove faculty policy' });
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { RUBRIC_SELECT, fetchRubric, setRubricCriteria, withSortedCriteria } from '../utils/grades.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requireRole('faculty', 'admin'));
+
+const rubricValidators = (required) => [
+  (required ? body('title') : body('title').optional()).isString().trim().notEmpty().isLength({ max: 255 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  (required ? body('criteria') : body('criteria').optional()).isArray({ min: 1, max: 20 }),
+  body('criteria.*.label').isString().trim().notEmpty().isLength({ max: 255 }),
+  body('criteria.*.description').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+  body('criteria.*.max_points').isFloat({ gt: 0, max: 1000 }).toFloat(),
+];
+
+// Fetch a rubric the user may manage: its owner or any admin
+async function fetchManagedRubric(rubricId, user) {
+  const rubric = await fetchRubric(rubricId);
+
+  if (!rubric) return { status: 404, error: 'Rubric not found' };
+  if (user.role !== 'admin' && rubric.faculty_id !== user.id) {
+    return { status: 403, error: 'You can only manage your own rubrics' };
+  }
+
+  return { rubric };
+}
+
+// List the user's rubrics; admins may pass faculty_id
+router.get('/', async (req, res) => {
+  try {
+    const facultyId = req.user.role === 'admin' && req.query.faculty_id
+      ? req.query.faculty_id
+      : req.user.id;
+
+    const { data: rubrics, error } = await supabaseAdmin
+      .from('rubrics')
+      .select(RUBRIC_SELECT)
+      .eq('faculty_id', facultyId)
+      .order('title');
+
+    if (error) throw error;
+
+    res.json({ rubrics: rubrics.map(withSortedCriteria) });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({ error: 'Failed to fetch rubrics' });
+  }
+});
+
+// Create a rubric with its criteria
+router.post('/', rubricValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, criteria } = req.body;
+
+    const { data: created, error } = await supabaseAdmin
+      .from('rubrics')
+      .insert([{ faculty_id: req.user.id, title, description: description || null }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await setRubricCriteria(created.id, criteria);
+
+    const rubric = await fetchRubric(created.id);
+
+    res.status(201).json({ rubric, message: 'Rubric created successfully' });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({ error: 'Failed to create rubric' });
+  }
+});
+
+// Update a rubric. Sending criteria replaces them; grades already given keep
+// the criteria they were scored against.
+router.patch('/:rubricId', rubricValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await fetchManagedRubric(req.params.rubricId, req.user);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { title, description, criteria } = req.body;
+    const fields = {};
+    if (title !== undefined) fields.title = title;
+    if (description !== undefined) fields.description = description || null;
+
+    if (Object.keys(fields).length === 0 && !criteria) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    if (Object.keys(fields).length > 0) {
+      const { error } = await supabaseAdmin
+        .from('rubrics')
+        .update(fields)
+        .eq('id', found.rubric.id);
+
+      if (error) throw error;
+    }
+
+    if (criteria) {
+      await setRubricCriteria(found.rubric.id, criteria);
+    }
+
+    const rubric = await fetchRubric(found.rubric.id);
+
+    res.json({ rubric, message: 'Rubric updated successfully' });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({ error: 'Failed to update rubric' });
+  }
+});
+
+// Delete a rubric. Slots using it are detached; grades keep their scores.
+router.delete('/:rubricId', async (req, res) => {
+  try {
+    const found = await fetchManagedRubric(req.params.rubricId, req.user);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('rubrics')
+      .delete()
+      .eq('id', found.rubric.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Rubric deleted successfully' });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({ error: 'Failed to delete rubric' });
+  }
+});
+
+export default router;
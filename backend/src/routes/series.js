@@ -0,0 +1,419 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import {
+  addDays,
+  dayOfWeek,
+  findOverlappingSlots,
+  toDateOnly,
+  toTimeOnly,
+  today,
+  userTimeZone,
+  zonedSlotTimes
+} from '../utils/slotUtils.js';
+import { offerSlotsToWaitlist } from '../utils/waitlist.js';
+import { findBlockingRanges, rangeCovering } from '../utils/blackouts.js';
+
+const router = express.Router();
+
+// Longest range a single series may span
+const MAX_SERIES_DAYS = 366;
+
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requireRole('faculty', 'admin'));
+
+// Validate the series fields shared by create and edit
+function validateSeriesShape(series) {
+  if (series.end_date < series.start_date) {
+    return 'End date must be on or after start date';
+  }
+
+  if (addDays(series.start_date, MAX_SERIES_DAYS) < series.end_date) {
+    return `A series cannot span more than ${MAX_SERIES_DAYS} days`;
+  }
+
+  if (series.end_time <= series.start_time) {
+    return 'End time must be after start time';
+  }
+
+  if (series.days_of_week.length === 0) {
+    return 'Select at least one day of the week';
+  }
+
+  return null;
+}
+
+// Create one slot for every matching date of the series from `fromDate` onwards.
+// Dates that overlap an existing slot or fall inside a blackout or holiday are
+// skipped and reported back.
+async function materializeSeries(series, fromDate) {
+  const created = [];
+  const skipped = [];
+  const firstDate = fromDate > series.start_date ? fromDate : series.start_date;
+  const blockedRanges = await findBlockingRanges(series.faculty_id, firstDate, series.end_date);
+
+  for (let date = firstDate; date <= series.end_date; date = addDays(date, 1)) {
+    if (!series.days_of_week.includes(dayOfWeek(date))) continue;
+    if (series.exception_dates.includes(date)) continue;
+
+    const blocked = rangeCovering(blockedRanges, date);
+    if (blocked) {
+      skipped.push({ date, reason: blocked.label });
+      continue;
+    }
+
+    const times = zonedSlotTimes(date, series.start_time, series.end_time, series.time_zone);
+    if (!times) {
+      skipped.push({ date, reason: 'Time does not exist on this date (daylight saving change)' });
+      continue;
+    }
+
+    const overlapping = await findOverlappingSlots(series.faculty_id, times.starts_at, times.ends_at);
+
+    if (overlapping.length > 0) {
+      skipped.push({ date, reason: 'Overlaps with existing slot' });
+      continue;
+    }
+
+    const { data: slot, error } = await supabaseAdmin
+      .from('slots')
+      .insert([
+        {
+          faculty_id: series.faculty_id,
+          series_id: series.id,
+          ...times,
+          status: 'available'
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    created.push(slot);
+  }
+
+  await offerSlotsToWaitlist(created);
+
+  return { created, skipped };
+}
+
+// Remove the unbooked slots of a series on or after a date
+async function withdrawAvailableSlots(seriesId, fromDate) {
+  const { error } = await supabaseAdmin
+    .from('slots')
+    .delete()
+    .eq('series_id', seriesId)
+    .eq('status', 'available')
+    .eq('booked_count', 0)
+    .gte('date', fromDate);
+
+  if (error) throw error;
+}
+
+async function fetchOwnSeries(seriesId, facultyId) {
+  const { data: series, error } = await supabaseAdmin
+    .from('slot_series')
+    .select('*')
+    .eq('id', seriesId)
+    .eq('faculty_id', facultyId)
+    .single();
+
+  if (error || !series) return null;
+
+  return series;
+}
+
+const seriesValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('start_date').isISO8601(),
+    field('end_date').isISO8601(),
+    field('start_time').matches(TIME_PATTERN),
+    field('end_time').matches(TIME_PATTERN),
+    field('days_of_week').isArray(),
+    body('days_of_week.*').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('exception_dates').optional().isArray(),
+    body('exception_dates.*').optional().isISO8601(),
+  ];
+};
+
+// Pick and normalize the series fields present in a request body
+function seriesFieldsFromBody(reqBody) {
+  const fields = {};
+
+  if (reqBody.start_date !== undefined) fields.start_date = toDateOnly(reqBody.start_date);
+  if (reqBody.end_date !== undefined) fields.end_date = toDateOnly(reqBody.end_date);
+  if (reqBody.start_time !== undefined) fields.start_time = toTimeOnly(reqBody.start_time);
+  if (reqBody.end_time !== undefined) fields.end_time = toTimeOnly(reqBody.end_time);
+  if (reqBody.days_of_week !== undefined) {
+    fields.days_of_week = [...new Set(reqBody.days_of_week)].sort();
+  }
+  if (reqBody.exception_dates !== undefined) {
+    fields.exception_dates = reqBody.exception_dates.map(toDateOnly);
+  }
+
+  return fields;
+}
+
+// Faculty: List own recurring series
+router.get('/', async (req, res) => {
+  try {
+    const { data: series, error } = await supabaseAdmin
+      .from('slot_series')
+      .select('*')
+      .eq('faculty_id', req.user.id)
+      .order('start_date');
+
+    if (error) throw error;
+
+    res.json({ series });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// Faculty: Create a recurring series and materialize its slots
+router.post('/', seriesValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = {
+      exception_dates: [],
+      ...seriesFieldsFromBody(req.body),
+      faculty_id: req.user.id,
+      time_zone: userTimeZone(req.user)
+    };
+
+    const shapeError = validateSeriesShape(fields);
+    if (shapeError) {
+      return res.status(400).json({ error: shapeError });
+    }
+
+    const { data: series, error } = await supabaseAdmin
+      .from('slot_series')
+      .insert([fields])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { created, skipped } = await materializeSeries(series, today(series.time_zone));
+
+    res.status(201).json({
+      series,
+      created,
+      skipped,
+      message: `Series created with ${created.length} slot(s)`
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      error: 'Failed to create series',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Faculty: Edit a whole series (scope=all) or this and following occurrences
+// (scope=following, from_date=YYYY-MM-DD). Booked slots are never touched.
+router.patch(
+  '/:seriesId',
+  [
+    body('scope').optional().isIn(['all', 'following']),
+    body('from_date').optional().isISO8601(),
+    ...seriesValidators(true)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const series = await fetchOwnSeries(req.params.seriesId, req.user.id);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+
+      const scope = req.body.scope || 'all';
+      const changes = seriesFieldsFromBody(req.body);
+
+      if (scope === 'following' && !req.body.from_date) {
+        return res.status(400).json({ error: 'from_date is required when editing following occurrences' });
+      }
+
+      // Occurrences before today are never recreated
+      const earliest = today(series.time_zone);
+      const requested = scope === 'following' ? toDateOnly(req.body.from_date) : earliest;
+      const fromDate = requested > earliest ? requested : earliest;
+
+      // Splitting at or before the first occurrence is the same as editing the whole series
+      if (scope === 'following' && fromDate > series.start_date) {
+        const newSeries = {
+          faculty_id: series.faculty_id,
+          start_date: series.start_date,
+          end_date: series.end_date,
+          days_of_week: series.days_of_week,
+          start_time: series.start_time,
+          end_time: series.end_time,
+          exception_dates: series.exception_dates,
+          time_zone: series.time_zone,
+          ...changes
+        };
+        newSeries.start_date = changes.start_date && changes.start_date > fromDate
+          ? changes.start_date
+          : fromDate;
+
+        const shapeError = validateSeriesShape(newSeries);
+        if (shapeError) {
+          return res.status(400).json({ error: shapeError });
+        }
+
+        await withdrawAvailableSlots(series.id, fromDate);
+
+        const { error: truncateError } = await supabaseAdmin
+          .from('slot_series')
+          .update({ end_date: addDays(fromDate, -1) })
+          .eq('id', series.id);
+
+        if (truncateError) throw truncateError;
+
+        const { data: created, error: insertError } = await supabaseAdmin
+          .from('slot_series')
+          .insert([newSeries])
+          .select()
+          .single();
+
+        if (insertError) throw insertError;
+
+        // Booked occurrences from the split point onwards belong to the new series
+        const { error: moveError } = await supabaseAdmin
+          .from('slots')
+          .update({ series_id: created.id })
+          .eq('series_id', series.id)
+          .gte('date', fromDate);
+
+        if (moveError) throw moveError;
+
+        const result = await materializeSeries(created, fromDate);
+
+        return res.json({
+          series: created,
+          created: result.created,
+          skipped: result.skipped,
+          message: 'Following occurrences updated successfully'
+        });
+      }
+
+      const updated = { ...series, ...changes };
+      const shapeError = validateSeriesShape(updated);
+      if (shapeError) {
+        return res.status(400).json({ error: shapeError });
+      }
+
+      await withdrawAvailableSlots(series.id, fromDate);
+
+      const { data: saved, error: updateError } = await supabaseAdmin
+        .from('slot_series')
+        .update(changes)
+        .eq('id', series.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      const result = await materializeSeries(saved, fromDate);
+
+      res.json({
+        series: saved,
+        created: result.created,
+        skipped: result.skipped,
+        message: 'Series updated successfully'
+      });
+    } catch (error) {
+      console.error('Update series error:', error);
+      res.status(500).json({
+        error: 'Failed to update series',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Faculty: Delete a whole series (scope=all) or this and following occurrences
+// (scope=following&from_date=YYYY-MM-DD). Booked slots are kept.
+router.delete(
+  '/:seriesId',
+  [
+    query('scope').optional().isIn(['all', 'following']),
+    query('from_date').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const series = await fetchOwnSeries(req.params.seriesId, req.user.id);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+
+      const scope = req.query.scope || 'all';
+
+      if (scope === 'following') {
+        if (!req.query.from_date) {
+          return res.status(400).json({ error: 'from_date is required when deleting following occurrences' });
+        }
+
+        const fromDate = toDateOnly(req.query.from_date);
+
+        if (fromDate > series.start_date) {
+          await withdrawAvailableSlots(series.id, fromDate);
+
+          const { error } = await supabaseAdmin
+            .from('slot_series')
+            .update({ end_date: addDays(fromDate, -1) })
+            .eq('id', series.id);
+
+          if (error) throw error;
+
+          return res.json({ message: 'Following occurrences deleted successfully' });
+        }
+      }
+
+      const { error: slotsError } = await supabaseAdmin
+        .from('slots')
+        .delete()
+        .eq('series_id', series.id)
+        .eq('status', 'available')
+        .eq('booked_count', 0);
+
+      if (slotsError) throw slotsError;
+
+      const { error: deleteError } = await supabaseAdmin
+        .from('slot_series')
+        .delete()
+        .eq('id', series.id);
+
+      if (deleteError) throw deleteError;
+
+      res.json({ message: 'Series deleted successfully' });
+    } catch (error) {
+      console.error('Delete series error:', error);
+      res.status(500).json({ error: 'Failed to delete series' });
+    }
+  }
+);
+
+export default router;
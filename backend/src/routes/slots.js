@@ -1,22 +1,89 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { body, validationResult } from 'express-validator';
-import { createCalendarEventWithMeet } from '../config/googleCalendar.js';
+import { body, query, validationResult } from 'express-validator';
+import {
+  addDays,
+  dayOfWeek,
+  displayTimeZone,
+  fetchAttendance,
+  findOverlappingSlots,
+  instantToZoned,
+  rangesOverlap,
+  slotStartsAt,
+  splitWindow,
+  timeToMinutes,
+  toDateOnly,
+  toTimeOnly,
+  userTimeZone,
+  zonedSlotTimes,
+  zonedToInstant
+} from '../utils/slotUtils.js';
+import { markOfferClaimed, offerSlotsToWaitlist } from '../utils/waitlist.js';
+import {
+  checkAssignmentForSlot,
+  findUnknownAssignments,
+  setSlotAssignments
+} from '../utils/assignments.js';
+import { findBlockingRange } from '../utils/blackouts.js';
+import { expireStaleRequests, requestExpiry, requiresApproval } from '../utils/bookingRequests.js';
+import { RUBRIC_SELECT, fetchGrades, fetchRubric, withSortedCriteria } from '../utils/grades.js';
+import { submissionLinkValidators } from '../utils/artifacts.js';
+import {
+  SLOT_PANELISTS,
+  canManageSlot,
+  fetchPanelSlotIds,
+  fetchPanelistIds,
+  findUnknownFaculty,
+  setSlotPanelists
+} from '../utils/panelists.js';
+import {
+  BOOKING_ASSIGNMENT,
+  BOOKING_SCHOLAR,
+  fetchSlotWithAttendees,
+  syncSlotMeeting
+} from '../utils/meetings.js';
+import {
+  evaluateBookingPolicy,
+  evaluateCancellationPolicy,
+  sendPolicyViolation
+} from '../utils/bookingPolicy.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Faculty: Create available time slots
+// Wall-clock time, either HH:MM[:SS] or a local datetime without offset
+const TIME_INPUT = /^(\d{4}-\d{2}-\d{2}T)?(\d{2}:\d{2}(:\d{2})?)$/;
+
+const SLOT_ASSIGNMENTS = 'assignments!slot_assignments(id, title, course, demo_deadline)';
+
+// Slots may be attached to assignments; none means open to any assignment
+const assignmentIdsValidators = [
+  body('assignment_ids').optional().isArray({ max: 20 }),
+  body('assignment_ids.*').isUUID(),
+];
+
+// Co-panelists besides the faculty creating the slot
+const panelistIdsValidators = [
+  body('panelist_ids').optional().isArray({ max: 10 }),
+  body('panelist_ids.*').isUUID(),
+];
+
+// Faculty: Create available time slots. Times are wall-clock times in the
+// faculty's time zone.
 router.post(
   '/',
   requireRole('faculty', 'admin'),
   [
-    body('start_time').isISO8601().toDate(),
-    body('end_time').isISO8601().toDate(),
-    body('date').isISO8601().toDate(),
+    body('start_time').matches(TIME_INPUT),
+    body('end_time').matches(TIME_INPUT),
+    body('date').isISO8601(),
+    body('capacity').optional().isInt({ min: 1, max: 50 }).toInt(),
+    body('requires_approval').optional({ values: 'null' }).isBoolean().toBoolean(),
+    ...assignmentIdsValidators,
+    ...panelistIdsValidators,
   ],
   async (req, res) => {
     try {
@@ -25,31 +92,55 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { start_time, end_time, date } = req.body;
+      const {
+        start_time,
+        end_time,
+        date,
+        capacity,
+        requires_approval,
+        assignment_ids = [],
+        panelist_ids = []
+      } = req.body;
       const faculty_id = req.user.id;
 
-      // Extract time portions from datetime strings (HH:MM:SS format)
-      const startTimeOnly = new Date(start_time).toTimeString().split(' ')[0];
-      const endTimeOnly = new Date(end_time).toTimeString().split(' ')[0];
-      const dateOnly = new Date(date).toISOString().split('T')[0];
+      // Extract time portions (HH:MM:SS format)
+      const startTimeOnly = toTimeOnly(start_time.match(TIME_INPUT)[2]);
+      const endTimeOnly = toTimeOnly(end_time.match(TIME_INPUT)[2]);
+      const dateOnly = toDateOnly(date);
 
       // Validate time range
-      if (new Date(end_time) <= new Date(start_time)) {
+      if (endTimeOnly <= startTimeOnly) {
         return res.status(400).json({ error: 'End time must be after start time' });
       }
 
-      // Check for overlapping slots
-      const { data: overlapping, error: overlapError } = await supabaseAdmin
-        .from('slots')
-        .select('*')
-        .eq('faculty_id', faculty_id)
-        .eq('date', dateOnly)
-        .or(`and(start_time.lte.${startTimeOnly},end_time.gt.${startTimeOnly}),and(start_time.lt.${endTimeOnly},end_time.gte.${endTimeOnly}),and(start_time.gte.${startTimeOnly},end_time.lte.${endTimeOnly})`);
+      const times = zonedSlotTimes(dateOnly, startTimeOnly, endTimeOnly, userTimeZone(req.user));
+      if (!times) {
+        return res.status(400).json({ error: 'That time does not exist on this date (daylight saving change)' });
+      }
+
+      if ((await findUnknownAssignments(assignment_ids)).length > 0) {
+        return res.status(400).json({ error: 'Unknown assignment' });
+      }
 
-      if (overlapError) throw overlapError;
+      if ((await findUnknownFaculty(panelist_ids)).length > 0) {
+        return res.status(400).json({ error: 'Panelists must be faculty members' });
+      }
+
+      // Nobody on the panel may be away that day
+      const blocked = await findBlockingRange([faculty_id, ...panelist_ids], dateOnly);
+      if (blocked) {
+        return res.status(409).json({ error: `No slots can be created on ${dateOnly} (${blocked.label})` });
+      }
+
+      // Check for overlapping slots on every panelist's schedule
+      const overlapping = await findOverlappingSlots(
+        [faculty_id, ...panelist_ids],
+        times.starts_at,
+        times.ends_at
+      );
 
-      if (overlapping && overlapping.length > 0) {
-        return res.status(409).json({ error: 'Time slot overlaps with existing slot' });
+      if (overlapping.length > 0) {
+        return res.status(409).json({ error: 'Time slot overlaps with an existing slot of a panelist' });
       }
 
       const { data: slot, error } = await supabaseAdmin
@@ -57,9 +148,10 @@ router.post(
         .insert([
           {
             faculty_id,
-            start_time: startTimeOnly,
-            end_time: endTimeOnly,
-            date: dateOnly,
+            ...times,
+            capacity: capacity || 1,
+            // NULL follows the faculty's approval preference
+            requires_approval: requires_approval ?? null,
             status: 'available'
           }
         ])
@@ -68,6 +160,10 @@ router.post(
 
       if (error) throw error;
 
+      await setSlotAssignments([slot.id], assignment_ids);
+      await setSlotPanelists(slot, panelist_ids);
+      await offerSlotsToWaitlist([slot]);
+
       res.status(201).json({ slot, message: 'Slot created successfully' });
     } catch (error) {
       console.error('Create slot error:', error);
@@ -79,91 +175,467 @@ router.post(
   }
 );
 
-// Get all available slots (with optional faculty filter)
-router.get('/available', async (req, res) => {
+const bulkValidators = [
+  body('date').isISO8601(),
+  body('window_start').matches(/^\d{2}:\d{2}(:\d{2})?$/),
+  body('window_end').matches(/^\d{2}:\d{2}(:\d{2})?$/),
+  body('slot_minutes').isInt({ min: 5, max: 480 }).toInt(),
+  body('buffer_minutes').optional().isInt({ min: 0, max: 240 }).toInt(),
+  body('capacity').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ...assignmentIdsValidators,
+];
+
+// Split the requested window into slots and mark the ones that collide
+// with the faculty's existing slots on that date
+async function planBulkSlots(faculty, params) {
+  const date = toDateOnly(params.date);
+  const zone = userTimeZone(faculty);
+  const windowStart = toTimeOnly(params.window_start);
+  const windowEnd = toTimeOnly(params.window_end);
+
+  if (timeToMinutes(windowEnd) <= timeToMinutes(windowStart)) {
+    return { error: 'Window end must be after window start' };
+  }
+
+  const blocked = await findBlockingRange(faculty.id, date);
+  if (blocked) {
+    return { status: 409, error: `No slots can be created on ${date} (${blocked.label})` };
+  }
+
+  const generated = splitWindow(windowStart, windowEnd, params.slot_minutes, params.buffer_minutes || 0)
+    // Drop slots that fall into a daylight saving gap
+    .map((slot) => zonedSlotTimes(date, slot.start_time, slot.end_time, zone))
+    .filter(Boolean);
+
+  if (generated.length === 0) {
+    return { error: 'Window is shorter than a single slot' };
+  }
+
+  const existing = await findOverlappingSlots(
+    faculty.id,
+    generated[0].starts_at,
+    generated[generated.length - 1].ends_at
+  );
+
+  const slots = generated.map((slot) => ({
+    ...slot,
+    conflict: existing.some((other) => rangesOverlap(slot, other))
+  }));
+
+  return { date, slots };
+}
+
+// Faculty: Preview the slots a bulk generation would create
+router.post(
+  '/bulk/preview',
+  requireRole('faculty', 'admin'),
+  bulkValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const plan = await planBulkSlots(req.user, req.body);
+      if (plan.error) {
+        return res.status(plan.status || 400).json({ error: plan.error });
+      }
+
+      res.json({ slots: plan.slots });
+    } catch (error) {
+      console.error('Preview bulk slots error:', error);
+      res.status(500).json({ error: 'Failed to preview slots' });
+    }
+  }
+);
+
+// Faculty: Split a time window into fixed-length slots and create every
+// non-colliding one in a single insert
+router.post(
+  '/bulk',
+  requireRole('faculty', 'admin'),
+  bulkValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const faculty_id = req.user.id;
+      const assignmentIds = req.body.assignment_ids || [];
+      const plan = await planBulkSlots(req.user, req.body);
+      if (plan.error) {
+        return res.status(plan.status || 400).json({ error: plan.error });
+      }
+
+      if ((await findUnknownAssignments(assignmentIds)).length > 0) {
+        return res.status(400).json({ error: 'Unknown assignment' });
+      }
+
+      const skipped = plan.slots.filter((slot) => slot.conflict);
+      const toCreate = plan.slots
+        .filter((slot) => !slot.conflict)
+        .map((slot) => ({
+          faculty_id,
+          date: slot.date,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          starts_at: slot.starts_at,
+          ends_at: slot.ends_at,
+          time_zone: slot.time_zone,
+          capacity: req.body.capacity || 1,
+          status: 'available'
+        }));
+
+      if (toCreate.length === 0) {
+        return res.status(409).json({ error: 'All generated slots overlap with existing slots', skipped });
+      }
+
+      const { data: created, error } = await supabaseAdmin
+        .from('slots')
+        .insert(toCreate)
+        .select();
+
+      if (error) throw error;
+
+      await setSlotAssignments(created.map((slot) => slot.id), assignmentIds);
+      await offerSlotsToWaitlist(created);
+
+      res.status(201).json({
+        slots: created,
+        skipped,
+        message: `${created.length} slot(s) created successfully`
+      });
+    } catch (error) {
+      console.error('Create bulk slots error:', error);
+      res.status(500).json({
+        error: 'Failed to create slots',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+const SEARCH_SORTS = ['soonest', 'latest', 'most_seats', 'longest'];
+const SEARCH_PAGE_SIZE = 50;
+
+// Mirrors slot_sort_key() in the database so cursors can be built from a row
+function slotSortKey(slot, sort) {
+  const startsAt = Date.parse(slot.starts_at) / 1000;
+  switch (sort) {
+    case 'latest':
+      return -startsAt;
+    case 'most_seats':
+      return -(slot.capacity - slot.booked_count);
+    case 'longest':
+      return -(Date.parse(slot.ends_at) / 1000 - startsAt);
+    default:
+      return startsAt;
+  }
+}
+
+// Opaque cursor pointing just past a slot in a given order
+function encodeCursor(slot, sort) {
+  const position = { sort, key: slotSortKey(slot, sort), starts_at: slot.starts_at, id: slot.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+const CURSOR_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CURSOR_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// The position a cursor points at, or null when it was not issued by us
+function decodeCursor(cursor) {
+  let position;
   try {
-    const { faculty_id, date } = req.query;
-    
-    let query = supabaseAdmin
-      .from('slots')
-      .select(`
-        *,
-        faculty:users!slots_faculty_id_fkey(id, name, email, picture)
-      `)
-      .eq('status', 'available')
-      .gte('date', new Date().toISOString().split('T')[0]);
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    return null;
+  }
+
+  const valid = position !== null &&
+    typeof position === 'object' &&
+    Number.isFinite(position.key) &&
+    typeof position.starts_at === 'string' &&
+    CURSOR_INSTANT.test(position.starts_at) &&
+    !Number.isNaN(Date.parse(position.starts_at)) &&
+    typeof position.id === 'string' &&
+    CURSOR_ID.test(position.id);
+
+  return valid ? position : null;
+}
 
-    if (faculty_id) {
-      query = query.eq('faculty_id', faculty_id);
+const searchValidators = [
+  query('faculty_id').optional().isUUID(),
+  query('faculty_ids').optional().customSanitizer((value) => String(value).split(',').filter(Boolean)),
+  query('faculty_ids.*').isUUID(),
+  query('date').optional().isISO8601(),
+  query('date_from').optional().isISO8601(),
+  query('date_to').optional().isISO8601(),
+  query('time_from').optional().matches(/^\d{2}:\d{2}$/),
+  query('time_to').optional().matches(/^\d{2}:\d{2}$/),
+  query('min_minutes').optional().isInt({ min: 1, max: 1440 }).toInt(),
+  query('assignment_id').optional().isUUID(),
+  query('sort').optional().isIn(SEARCH_SORTS),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('cursor').optional().isString(),
+];
+
+// Search bookable slots. Dates and times of day are in the viewer's time zone;
+// date_to is inclusive. Results come in pages of `limit`; pass the returned
+// nextCursor back as `cursor` (with the same filters) for the next page.
+router.get('/available', searchValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      faculty_id,
+      faculty_ids,
+      date,
+      time_from,
+      time_to,
+      min_minutes,
+      assignment_id,
+      sort = 'soonest',
+      limit = SEARCH_PAGE_SIZE,
+      cursor
+    } = req.query;
+    const zone = displayTimeZone(req.user);
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (!after || after.sort !== sort) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
     }
 
-    if (date) {
-      query = query.eq('date', date);
+    const facultyIds = [...(faculty_ids || []), ...(faculty_id ? [faculty_id] : [])];
+
+    // A single `date` is shorthand for a one-day range
+    const dateFrom = req.query.date_from || date;
+    const dateTo = req.query.date_to || date;
+    const from = dateFrom ? zonedToInstant(toDateOnly(dateFrom), '00:00:00', zone) : null;
+    const to = dateTo ? zonedToInstant(addDays(toDateOnly(dateTo), 1), '00:00:00', zone) : null;
+
+    if (assignment_id) {
+      const { data: assignment, error: assignmentError } = await supabaseAdmin
+        .from('assignments')
+        .select('id')
+        .eq('id', assignment_id)
+        .maybeSingle();
+
+      if (assignmentError) throw assignmentError;
+
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
     }
 
-    query = query.order('date').order('start_time');
+    // Seats held by lapsed requests are open again
+    await expireStaleRequests();
 
-    const { data: slots, error } = await query;
+    // One extra row tells us whether another page follows
+    const { data: rows, error } = await supabaseAdmin
+      .rpc('search_available_slots', {
+        p_viewer_id: req.user.id,
+        p_faculty_ids: facultyIds.length > 0 ? facultyIds : null,
+        p_from: from ? from.toISOString() : null,
+        p_to: to ? to.toISOString() : null,
+        p_time_from: time_from ? toTimeOnly(time_from) : null,
+        p_time_to: time_to ? toTimeOnly(time_to) : null,
+        p_zone: zone,
+        p_min_minutes: min_minutes || null,
+        p_assignment_id: assignment_id || null,
+        p_sort: sort,
+        p_after_key: after ? after.key : null,
+        p_after_starts_at: after ? after.starts_at : null,
+        p_after_id: after ? after.id : null,
+        p_limit: limit + 1
+      })
+      .select(`
+        *,
+        faculty:users!slots_faculty_id_fkey(id, name, email, picture, requires_booking_approval),
+        ${SLOT_ASSIGNMENTS},
+        ${SLOT_PANELISTS}
+      `);
 
     if (error) throw error;
 
-    res.json({ slots });
+    const slots = rows.slice(0, limit);
+
+    slots.forEach((slot) => {
+      slot.held_for_me = slot.held_for === req.user.id && new Date(slot.held_until) > new Date();
+      slot.seats_left = slot.capacity - slot.booked_count;
+      slot.approval_required = requiresApproval(slot, slot.faculty);
+    });
+
+    res.json({
+      slots,
+      nextCursor: rows.length > limit ? encodeCursor(slots[slots.length - 1], sort) : null
+    });
   } catch (error) {
     console.error('Get slots error:', error);
     res.status(500).json({ error: 'Failed to fetch slots' });
   }
 });
 
-// Helper function to create real Google Meet using Calendar API
-async function createRealGoogleMeet(slot, faculty, scholar) {
+const NEXT_FREE_PAGE_SIZE = 100;
+// Stop scanning after this many pages even if too few slots matched
+const NEXT_FREE_MAX_PAGES = 5;
+
+const nextFreeValidators = [
+  query('faculty_ids').optional().customSanitizer((value) => String(value).split(',').filter(Boolean)),
+  query('faculty_ids.*').isUUID(),
+  query('assignment_id').optional().isUUID(),
+  query('from').optional().isISO8601(),
+  query('days').optional().customSanitizer((value) => String(value).split(',').filter(Boolean)),
+  query('days.*').isInt({ min: 0, max: 6 }).toInt(),
+  query('windows').optional().customSanitizer((value) => String(value).split(',').filter(Boolean)),
+  query('windows.*').matches(/^\d{2}:\d{2}-\d{2}:\d{2}$/),
+  query('min_minutes').optional().isInt({ min: 1, max: 1440 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+];
+
+// Upcoming seats (booked or requested) on each faculty member's slots
+async function fetchFacultyLoad(facultyIds) {
+  if (facultyIds.length === 0) return {};
+
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .select('slot:slots!inner(faculty_id)')
+    .in('status', ['booked', 'pending'])
+    .in('slot.faculty_id', facultyIds)
+    .gt('slot.starts_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  const load = {};
+  data.forEach(({ slot }) => {
+    load[slot.faculty_id] = (load[slot.faculty_id] || 0) + 1;
+  });
+  return load;
+}
+
+// Find the earliest bookable slots across faculty. Days are weekdays
+// (0 = Sunday) and windows are HH:MM-HH:MM time-of-day ranges, both in the
+// viewer's time zone; a slot must fit entirely inside one window. Results
+// are ordered by day, then by how few upcoming sessions the faculty member
+// already has, then by start time.
+router.get('/next-free', nextFreeValidators, async (req, res) => {
   try {
-    // Combine date and time into full datetime
-    const startDateTime = new Date(`${slot.date}T${slot.start_time}`);
-    const endDateTime = new Date(`${slot.date}T${slot.end_time}`);
-
-    const eventDetails = {
-      summary: `Assignment Demo - ${scholar.name} with ${faculty.name}`,
-      description: `Assignment demonstration session.\n\nScholar: ${scholar.name} (${scholar.email})\nFaculty: ${faculty.name} (${faculty.email})\n\nNotes: ${slot.notes || 'No additional notes'}`,
-      startDateTime: startDateTime.toISOString(),
-      endDateTime: endDateTime.toISOString(),
-      attendees: [scholar.email, faculty.email],
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { faculty_ids = [], assignment_id, days = [], min_minutes, limit = 5 } = req.query;
+    const zone = displayTimeZone(req.user);
+    const from = req.query.from ? zonedToInstant(toDateOnly(req.query.from), '00:00:00', zone) : null;
+
+    const windows = (req.query.windows || []).map((window) => {
+      const [start, end] = window.split('-');
+      return { start: timeToMinutes(start), end: timeToMinutes(end) };
+    });
+
+    if (windows.some((window) => window.end <= window.start)) {
+      return res.status(400).json({ error: 'Each time window must end after it starts' });
+    }
+
+    const fits = (slot) => {
+      const start = instantToZoned(slot.starts_at, zone);
+      const end = instantToZoned(slot.ends_at, zone);
+
+      if (days.length > 0 && !days.includes(dayOfWeek(start.date))) return false;
+      if (windows.length === 0) return true;
+
+      const startMinutes = timeToMinutes(start.time);
+      const endMinutes = start.date === end.date ? timeToMinutes(end.time) : 24 * 60;
+      return windows.some((window) => startMinutes >= window.start && endMinutes <= window.end);
     };
 
-    const result = await createCalendarEventWithMeet(eventDetails);
-    return result.meetLink;
-  } catch (error) {
-    console.error('Failed to create real Google Meet:', error);
-    // Fallback to random link if API fails
-    return generateFallbackMeetLink();
-  }
-}
+    // Seats held by lapsed requests are open again
+    await expireStaleRequests();
+
+    // Walk the soonest-first search until enough slots fit the days and
+    // windows to rank; the database already applies the other constraints
+    const matches = [];
+    let after = null;
+    for (let page = 0; page < NEXT_FREE_MAX_PAGES && matches.length < limit * 3; page++) {
+      const { data: rows, error } = await supabaseAdmin
+        .rpc('search_available_slots', {
+          p_viewer_id: req.user.id,
+          p_faculty_ids: faculty_ids.length > 0 ? faculty_ids : null,
+          p_from: from ? from.toISOString() : null,
+          p_zone: zone,
+          p_min_minutes: min_minutes || null,
+          p_assignment_id: assignment_id || null,
+          p_sort: 'soonest',
+          p_after_key: after ? after.key : null,
+          p_after_starts_at: after ? after.starts_at : null,
+          p_after_id: after ? after.id : null,
+          p_limit: NEXT_FREE_PAGE_SIZE
+        })
+        .select(`
+          *,
+          faculty:users!slots_faculty_id_fkey(id, name, email, picture, requires_booking_approval),
+          ${SLOT_ASSIGNMENTS},
+          ${SLOT_PANELISTS}
+        `);
 
-// Fallback: Generate a random meet code (abc-defg-hij format) if API fails
-function generateFallbackMeetLink() {
-  const chars = 'abcdefghijklmnopqrstuvwxyz';
-  const segments = [];
-  for (let i = 0; i < 3; i++) {
-    let segment = '';
-    const length = i === 1 ? 4 : 3;
-    for (let j = 0; j < length; j++) {
-      segment += chars[Math.floor(Math.random() * chars.length)];
+      if (error) throw error;
+
+      matches.push(...rows.filter(fits));
+
+      if (rows.length < NEXT_FREE_PAGE_SIZE) break;
+      const last = rows[rows.length - 1];
+      after = { key: slotSortKey(last, 'soonest'), starts_at: last.starts_at, id: last.id };
     }
-    segments.push(segment);
+
+    const load = await fetchFacultyLoad([...new Set(matches.map((slot) => slot.faculty_id))]);
+
+    const slots = matches
+      .map((slot) => ({
+        ...slot,
+        day: instantToZoned(slot.starts_at, zone).date,
+        faculty_load: load[slot.faculty_id] || 0,
+        seats_left: slot.capacity - slot.booked_count,
+        approval_required: requiresApproval(slot, slot.faculty),
+        held_for_me: slot.held_for === req.user.id && new Date(slot.held_until) > new Date()
+      }))
+      .sort((a, b) =>
+        a.day.localeCompare(b.day) ||
+        a.faculty_load - b.faculty_load ||
+        new Date(a.starts_at) - new Date(b.starts_at)
+      )
+      .slice(0, limit);
+
+    res.json({ slots });
+  } catch (error) {
+    console.error('Find next free slot error:', error);
+    res.status(500).json({ error: 'Failed to find free slots' });
   }
-  return `https://meet.google.com/${segments.join('-')}`;
-}
+});
+
+const BOOKING_ARTIFACTS = 'artifacts:booking_artifacts(id, file_name, content_type, size_bytes, created_at)';
 
 // Helper function to generate Google Calendar link
-function generateCalendarLink(slot, faculty, scholar) {
-  const startDateTime = new Date(`${slot.date}T${slot.start_time}`);
-  const endDateTime = new Date(`${slot.date}T${slot.end_time}`);
+function generateCalendarLink(slot, faculty, scholar, notes) {
+  const startDateTime = new Date(slot.starts_at);
+  const endDateTime = new Date(slot.ends_at);
   
   const formatDate = (date) => {
     return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
   };
 
   const title = `Assignment Demo - ${scholar.name} with ${faculty.name}`;
-  const description = `Meeting between ${scholar.name} and ${faculty.name}\n\nNotes: ${slot.notes || 'No additional notes'}\n\nGoogle Meet: ${slot.meeting_link}`;
+  const description = `Meeting between ${scholar.name} and ${faculty.name}\n\nNotes: ${notes || 'No additional notes'}` +
+    (slot.meeting_link ? `\n\nJoin: ${slot.meeting_link}` : '') +
+    (slot.meeting_location ? `\n\nLocation: ${slot.meeting_location}` : '');
   
   const params = new URLSearchParams({
     action: 'TEMPLATE',
@@ -174,139 +646,1052 @@ function generateCalendarLink(slot, faculty, scholar) {
     sf: 'true',
     output: 'xml'
   });
+  if (slot.meeting_location) params.set('location', slot.meeting_location);
 
   return `https://calendar.google.com/calendar/render?${params.toString()}`;
 }
 
-// Scholar: Book a slot
-router.post('/:slotId/book', requireRole('scholar'), async (req, res) => {
-  try {
-    const { slotId } = req.params;
-    const scholar_id = req.user.id;
-    const { notes } = req.body;
+// Scholar: Book a seat in a slot for one of its assignments
+router.post(
+  '/:slotId/book',
+  requireRole('scholar'),
+  [
+    body('assignment_id').isUUID().withMessage('Choose the assignment you are demoing'),
+    body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+    ...submissionLinkValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check if slot exists and is available
-    const { data: slot, error: slotError } = await supabaseAdmin
-      .from('slots')
-      .select('*, faculty:users!slots_faculty_id_fkey(id, name, email)')
-      .eq('id', slotId)
-      .eq('status', 'available')
-      .single();
+      const { slotId } = req.params;
+      const scholar_id = req.user.id;
+      const { notes, assignment_id, repository_url, demo_url } = req.body;
 
-    if (slotError || !slot) {
-      return res.status(404).json({ error: 'Slot not available' });
-    }
+      const { data: target, error: targetError } = await supabaseAdmin
+        .from('slots')
+        .select('*, faculty:users!slots_faculty_id_fkey(requires_booking_approval)')
+        .eq('id', slotId)
+        .single();
 
-    // Create real Google Meet using Calendar API
-    const meetingLink = await createRealGoogleMeet(slot, slot.faculty, req.user);
+      if (targetError || !target) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
 
-    // Update slot status to booked with meeting link
-    const { error: updateError } = await supabaseAdmin
-      .from('slots')
-      .update({ 
-        status: 'booked',
-        scholar_id,
-        notes: notes || null,
-        meeting_link: meetingLink
-      })
-      .eq('id', slotId);
+      if (target.needs_reschedule) {
+        return res.status(409).json({ error: 'This slot falls on a blackout date or holiday' });
+      }
 
-    if (updateError) throw updateError;
+      if (slotStartsAt(target) <= new Date()) {
+        return res.status(409).json({ error: 'This slot has already started' });
+      }
 
-    // Fetch updated slot with relations
-    const { data: bookedSlot, error: fetchError } = await supabaseAdmin
-      .from('slots')
-      .select(`
-        *,
-        faculty:users!slots_faculty_id_fkey(id, name, email, picture),
-        scholar:users!slots_scholar_id_fkey(id, name, email, picture)
-      `)
-      .eq('id', slotId)
-      .single();
+      if (target.allocation_round_id && target.held_until && !target.held_for) {
+        return res.status(409).json({
+          error: 'This slot is being allocated by preference. Rank it in the allocation round instead.'
+        });
+      }
 
-    if (fetchError) throw fetchError;
+      const assignmentCheck = await checkAssignmentForSlot(target, assignment_id);
+      if (assignmentCheck.error) {
+        return res.status(assignmentCheck.status).json({ error: assignmentCheck.error });
+      }
 
-    // Generate calendar link for adding to Google Calendar
-    const calendarLink = generateCalendarLink(
-      bookedSlot, 
-      bookedSlot.faculty, 
-      req.user
-    );
+      const violations = await evaluateBookingPolicy(target, scholar_id);
+      if (violations.length > 0) {
+        return sendPolicyViolation(res, violations);
+      }
 
-    res.json({ 
-      slot: bookedSlot, 
-      message: 'Slot booked successfully',
-      meetingLink: meetingLink,
-      calendarLink: calendarLink
-    });
-  } catch (error) {
-    console.error('Book slot error:', error);
-    res.status(500).json({ error: 'Failed to book slot' });
-  }
-});
+      // Faculty who vet their bookings get a request that holds the seat
+      const pendingUntil = requiresApproval(target, target.faculty) ? requestExpiry(target) : null;
 
-// Get user's bookings (scholar view)
-router.get('/my-bookings', requireRole('scholar'), async (req, res) => {
-  try {
-    const { data: bookings, error } = await supabaseAdmin
-      .from('slots')
-      .select(`
-        *,
-        faculty:users!slots_faculty_id_fkey(id, name, email, picture)
-      `)
-      .eq('scholar_id', req.user.id)
-      .order('date')
-      .order('start_time');
+      // Secure a seat first with a single conditional update in the database
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .rpc('book_slot', {
+          p_slot_id: slotId,
+          p_scholar_id: scholar_id,
+          p_notes: notes || null,
+          p_assignment_id: assignment_id,
+          p_pending_until: pendingUntil,
+          p_repository_url: repository_url || null,
+          p_demo_url: demo_url || null
+        });
 
-    if (error) throw error;
+      if (claimError) {
+        if (claimError.code === 'SL404') {
+          return res.status(404).json({ error: 'Slot not found' });
+        }
+        if (claimError.code === 'SL409') {
+          return res.status(409).json({ error: 'Slot is full or no longer available' });
+        }
+        throw claimError;
+      }
 
-    res.json({ bookings });
-  } catch (error) {
-    console.error('Get bookings error:', error);
-    res.status(500).json({ error: 'Failed to fetch bookings' });
+      const booking = claimed[0];
+
+      if (pendingUntil) {
+        await markOfferClaimed(slotId, scholar_id).catch((waitlistError) => {
+          console.error('Failed to mark waitlist offer claimed:', waitlistError);
+        });
+
+        // The meeting is only created once the faculty approves
+        return res.status(202).json({
+          booking,
+          pending: true,
+          message: 'Booking request sent. The faculty will approve or decline it.'
+        });
+      }
+
+      // Create the meeting (or add the scholar to it) now that the seat is ours
+      let slot;
+      try {
+        slot = await syncSlotMeeting(slotId, { change: 'attendees' });
+      } catch (meetingError) {
+        // Roll back: give the seat back
+        await supabaseAdmin.rpc('cancel_booking', { p_booking_id: booking.id, p_release: true });
+        throw meetingError;
+      }
+
+      await markOfferClaimed(slotId, scholar_id).catch((waitlistError) => {
+        console.error('Failed to mark waitlist offer claimed:', waitlistError);
+      });
+
+      // Generate calendar link for adding to Google Calendar
+      const calendarLink = generateCalendarLink(slot, slot.faculty, req.user, booking.notes);
+
+      res.json({ 
+        slot, 
+        booking,
+        message: 'Slot booked successfully',
+        meetingLink: slot.meeting_link,
+        calendarLink: calendarLink
+      });
+    } catch (error) {
+      console.error('Book slot error:', error);
+      res.status(500).json({ error: 'Failed to book slot' });
+    }
   }
-});
+);
 
-// Get faculty's slots (faculty view)
-router.get('/my-slots', requireRole('faculty', 'admin'), async (req, res) => {
-  try {
-    const { data: slots, error } = await supabaseAdmin
-      .from('slots')
-      .select(`
-        *,
-        scholar:users!slots_scholar_id_fkey(id, name, email, picture)
-      `)
-      .eq('faculty_id', req.user.id)
-      .order('date')
-      .order('start_time');
+// Scholar: Move a booking to another available slot. The swap happens in a
+// single database transaction so the scholar never holds zero or two bookings.
+router.post(
+  '/:slotId/reschedule',
+  requireRole('scholar'),
+  [body('new_slot_id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (error) throw error;
+      const { slotId } = req.params;
+      const { new_slot_id } = req.body;
 
-    res.json({ slots });
-  } catch (error) {
-    console.error('Get faculty slots error:', error);
-    res.status(500).json({ error: 'Failed to fetch slots' });
+      if (slotId === new_slot_id) {
+        return res.status(400).json({ error: 'Pick a different slot' });
+      }
+
+      const { data: target, error: targetError } = await supabaseAdmin
+        .from('slots')
+        .select('*, faculty:users!slots_faculty_id_fkey(requires_booking_approval)')
+        .eq('id', new_slot_id)
+        .single();
+
+      if (targetError || !target) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (target.needs_reschedule) {
+        return res.status(409).json({ error: 'This slot falls on a blackout date or holiday' });
+      }
+
+      if (slotStartsAt(target) <= new Date()) {
+        return res.status(409).json({ error: 'This slot has already started' });
+      }
+
+      // A confirmed booking cannot skip the faculty's review by moving
+      if (requiresApproval(target, target.faculty)) {
+        return res.status(409).json({
+          error: 'This slot needs faculty approval. Cancel your booking and request it instead.'
+        });
+      }
+
+      const { data: current, error: currentError } = await supabaseAdmin
+        .from('bookings')
+        .select('assignment_id')
+        .eq('slot_id', slotId)
+        .eq('scholar_id', req.user.id)
+        .eq('status', 'booked')
+        .maybeSingle();
+
+      if (currentError) throw currentError;
+
+      // The new slot must accept the assignment being demoed
+      if (current?.assignment_id) {
+        const assignmentCheck = await checkAssignmentForSlot(target, current.assignment_id);
+        if (assignmentCheck.error) {
+          return res.status(assignmentCheck.status).json({ error: assignmentCheck.error });
+        }
+      }
+
+      // The booking being moved does not count against the scholar's limits
+      const violations = await evaluateBookingPolicy(target, req.user.id, slotId);
+      if (violations.length > 0) {
+        return sendPolicyViolation(res, violations);
+      }
+
+      const { data: moved, error: moveError } = await supabaseAdmin
+        .rpc('reschedule_booking', {
+          p_old_slot_id: slotId,
+          p_new_slot_id: new_slot_id,
+          p_scholar_id: req.user.id
+        });
+
+      if (moveError) {
+        if (moveError.code === 'SL404') {
+          return res.status(404).json({ error: 'Booking not found' });
+        }
+        if (moveError.code === 'SL409') {
+          return res.status(409).json({ error: 'Slot not available' });
+        }
+        throw moveError;
+      }
+
+      const booking = moved[0];
+
+      await markOfferClaimed(new_slot_id, req.user.id).catch((waitlistError) => {
+        console.error('Failed to mark waitlist offer claimed:', waitlistError);
+      });
+
+      // Move the scholar between the two meetings; the booking itself is
+      // already committed. A meeting that moved with the booking still has
+      // the old slot's time, so the new slot gets a full update.
+      const bookedSlot = await syncSlotMeeting(new_slot_id);
+      const releasedSlot = await syncSlotMeeting(slotId, { change: 'attendees' });
+
+      // The old seat is open again
+      await offerSlotsToWaitlist([releasedSlot]);
+
+      res.json({
+        slot: bookedSlot,
+        booking,
+        message: 'Booking rescheduled successfully',
+        meetingLink: bookedSlot.meeting_link,
+        calendarLink: generateCalendarLink(bookedSlot, bookedSlot.faculty, req.user, booking.notes)
+      });
+    } catch (error) {
+      console.error('Reschedule booking error:', error);
+      res.status(500).json({ error: 'Failed to reschedule booking' });
+    }
   }
-});
+);
+
+// Cancel a booking: the scholar who booked, the owning faculty or an admin.
+// Faculty/admin may choose whether the seat returns to the available pool;
+// scholar cancellations follow the faculty's release_cancelled_slots preference.
+// On group slots faculty/admin pick the attendee with scholar_id.
+router.post(
+  '/:slotId/cancel',
+  requireRole('scholar', 'faculty', 'admin'),
+  [
+    body('reason').optional().isString().trim().isLength({ max: 1000 }),
+    body('release_slot').optional().isBoolean().toBoolean(),
+    body('scholar_id').optional().isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { slotId } = req.params;
+      const { reason, release_slot, scholar_id } = req.body;
+
+      const slot = await fetchSlotWithAttendees(slotId);
+
+      if (!slot || slot.attendees.length === 0) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      const isScholar = req.user.role === 'scholar';
+      if (!isScholar && !(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You cannot cancel this booking' });
+      }
+
+      const attendeeId = isScholar ? req.user.id : scholar_id;
+      if (!attendeeId && slot.attendees.length > 1) {
+        return res.status(400).json({ error: 'scholar_id is required to cancel a seat in a group slot' });
+      }
+
+      const booking = attendeeId
+        ? slot.attendees.find((attendee) => attendee.scholar_id === attendeeId)
+        : slot.attendees[0];
+
+      if (!booking) {
+        return isScholar
+          ? res.status(403).json({ error: 'You cannot cancel this booking' })
+          : res.status(404).json({ error: 'Booking not found' });
+      }
+
+      // Faculty and admins may cancel at any time
+      if (isScholar) {
+        const violation = await evaluateCancellationPolicy(slot);
+        if (violation) {
+          return sendPolicyViolation(res, [violation]);
+        }
+      }
+
+      const releaseSlot = isScholar || release_slot === undefined
+        ? slot.faculty.release_cancelled_slots !== false
+        : release_slot;
+
+      // Cancels the seat and records the history row in one transaction
+      const { data: released, error: cancelError } = await supabaseAdmin
+        .rpc('cancel_booking', {
+          p_booking_id: booking.id,
+          p_release: releaseSlot,
+          p_cancelled_by: req.user.id,
+          p_reason: reason || null
+        });
+
+      if (cancelError) {
+        if (cancelError.code === 'SL404') {
+          return res.status(404).json({ error: 'Booking not found' });
+        }
+        throw cancelError;
+      }
+
+      // Drop the scholar from the meeting, or cancel it so attendees are notified
+      await syncSlotMeeting(slot.id, { change: 'attendees' });
+
+      if (releaseSlot) {
+        await offerSlotsToWaitlist(released);
+      }
+
+      res.json({
+        slot: released[0],
+        released: releaseSlot,
+        message: 'Booking cancelled successfully'
+      });
+    } catch (error) {
+      console.error('Cancel booking error:', error);
+      res.status(500).json({ error: 'Failed to cancel booking' });
+    }
+  }
+);
+
+const OUTCOME_STATUS = {
+  completed: 'completed',
+  no_show: 'no_show',
+  faculty_cancelled: 'cancelled'
+};
+
+// Faculty: Record the outcome of a booked session once it has started.
+// Outcomes are per attendee; on group slots pass the scholar_id.
+// Recording again corrects a previously recorded outcome.
+router.post(
+  '/:slotId/outcome',
+  requireRole('faculty', 'admin'),
+  [
+    body('outcome').isIn(Object.keys(OUTCOME_STATUS)),
+    body('remark').optional().isString().trim().isLength({ max: 1000 }),
+    body('scholar_id').optional().isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { slotId } = req.params;
+      const { outcome, remark, scholar_id } = req.body;
+
+      const { data: slot, error: slotError } = await supabaseAdmin
+        .from('slots')
+        .select('*, bookings(*)')
+        .eq('id', slotId)
+        .single();
+
+      if (slotError || !slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (!(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You can only record outcomes for your own slots' });
+      }
+
+      const markable = slot.bookings.filter(
+        (booking) =>
+          booking.status === 'booked' || booking.status === 'awaiting_outcome' || booking.outcome
+      );
+
+      if (!scholar_id && markable.length > 1) {
+        return res.status(400).json({ error: 'scholar_id is required to mark an attendee of a group slot' });
+      }
+
+      const booking = scholar_id
+        ? markable.find((candidate) => candidate.scholar_id === scholar_id)
+        : markable[0];
+
+      if (!booking) {
+        return res.status(409).json({ error: 'Only booked sessions can be marked' });
+      }
+
+      if (slotStartsAt(slot) > new Date()) {
+        return res.status(409).json({ error: 'Session has not started yet' });
+      }
+
+      const { data: updatedBooking, error: updateError } = await supabaseAdmin
+        .from('bookings')
+        .update({
+          status: OUTCOME_STATUS[outcome],
+          outcome,
+          outcome_remark: remark || null,
+          outcome_recorded_at: new Date().toISOString(),
+          outcome_recorded_by: req.user.id
+        })
+        .eq('id', booking.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      // A finished session is settled once every attendee has an outcome
+      const { error: settleError } = await supabaseAdmin
+        .rpc('settle_slot_status', { p_slot_id: slot.id });
+
+      if (settleError) throw settleError;
+
+      res.json({ booking: updatedBooking, message: 'Session outcome recorded' });
+    } catch (error) {
+      console.error('Record outcome error:', error);
+      res.status(500).json({ error: 'Failed to record session outcome' });
+    }
+  }
+);
+
+// Fetch a pending request with its slot. Returns null when it does not exist.
+async function fetchBookingRequest(bookingId) {
+  const { data: request, error } = await supabaseAdmin
+    .from('bookings')
+    .select('*, slot:slots(*)')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return request;
+}
+
+// Faculty: Pending booking requests on own slots
+router.get('/requests', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    await expireStaleRequests();
+
+    const slotIds = await fetchPanelSlotIds(req.user.id);
+
+    const { data: requests, error } = await supabaseAdmin
+      .from('bookings')
+      .select(`
+        *,
+        ${BOOKING_SCHOLAR},
+        ${BOOKING_ASSIGNMENT},
+        slot:slots!inner(*)
+      `)
+      .eq('status', 'pending')
+      .in('slot_id', slotIds)
+      .order('request_expires_at');
+
+    if (error) throw error;
+
+    const attendance = await fetchAttendance(requests.map((request) => request.scholar_id));
+
+    requests.forEach((request) => {
+      request.scholar.no_show_count = attendance[request.scholar_id]?.no_show_count || 0;
+    });
+
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get booking requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking requests' });
+  }
+});
+
+// Faculty: Approve a pending request. The seat becomes a booking and the
+// scholar is added to the slot's meeting.
+router.post('/requests/:bookingId/approve', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const request = await fetchBookingRequest(req.params.bookingId);
+
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (!(await canManageSlot(request.slot, req.user))) {
+      return res.status(403).json({ error: 'You can only decide requests for your own slots' });
+    }
+
+    const { data: approved, error: approveError } = await supabaseAdmin
+      .rpc('approve_booking_request', {
+        p_booking_id: request.id,
+        p_decided_by: req.user.id
+      });
+
+    if (approveError) {
+      if (approveError.code === 'SL404') {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+      if (approveError.code === 'SL409') {
+        return res.status(409).json({ error: 'This request has expired or was already decided' });
+      }
+      throw approveError;
+    }
+
+    const booking = approved[0];
+
+    let slot;
+    try {
+      slot = await syncSlotMeeting(request.slot_id, { change: 'attendees' });
+    } catch (meetingError) {
+      // Roll back: the request stays pending so it can be approved again
+      await supabaseAdmin
+        .from('bookings')
+        .update({
+          status: 'pending',
+          request_expires_at: request.request_expires_at,
+          decided_at: null,
+          decided_by: null
+        })
+        .eq('id', booking.id);
+      throw meetingError;
+    }
+
+    res.json({ slot, booking, message: 'Booking request approved' });
+  } catch (error) {
+    console.error('Approve booking request error:', error);
+    res.status(500).json({ error: 'Failed to approve booking request' });
+  }
+});
+
+// Faculty: Decline a pending request and free its seat
+router.post(
+  '/requests/:bookingId/decline',
+  requireRole('faculty', 'admin'),
+  [body('reason').optional().isString().trim().isLength({ max: 1000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await fetchBookingRequest(req.params.bookingId);
+
+      if (!request) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      if (!(await canManageSlot(request.slot, req.user))) {
+        return res.status(403).json({ error: 'You can only decide requests for your own slots' });
+      }
+
+      const { data: released, error: releaseError } = await supabaseAdmin
+        .rpc('release_booking_request', {
+          p_booking_id: request.id,
+          p_status: 'declined',
+          p_decided_by: req.user.id,
+          p_reason: req.body.reason || null
+        });
+
+      if (releaseError) {
+        if (releaseError.code === 'SL404') {
+          return res.status(409).json({ error: 'This request has expired or was already decided' });
+        }
+        throw releaseError;
+      }
+
+      await offerSlotsToWaitlist(released);
+
+      res.json({ slot: released[0], message: 'Booking request declined' });
+    } catch (error) {
+      console.error('Decline booking request error:', error);
+      res.status(500).json({ error: 'Failed to decline booking request' });
+    }
+  }
+);
+
+// Scholar: Withdraw own pending request
+router.post('/requests/:bookingId/withdraw', requireRole('scholar'), async (req, res) => {
+  try {
+    const request = await fetchBookingRequest(req.params.bookingId);
+
+    if (!request || request.scholar_id !== req.user.id) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const { data: released, error: releaseError } = await supabaseAdmin
+      .rpc('release_booking_request', {
+        p_booking_id: request.id,
+        p_status: 'cancelled',
+        p_decided_by: req.user.id
+      });
+
+    if (releaseError) {
+      if (releaseError.code === 'SL404') {
+        return res.status(409).json({ error: 'This request is no longer pending' });
+      }
+      throw releaseError;
+    }
+
+    await offerSlotsToWaitlist(released);
+
+    res.json({ message: 'Booking request withdrawn' });
+  } catch (error) {
+    console.error('Withdraw booking request error:', error);
+    res.status(500).json({ error: 'Failed to withdraw booking request' });
+  }
+});
+
+// Get user's bookings (scholar view). Each booking is returned with its
+// slot's fields, the booking's own status and booking_id.
+router.get('/my-bookings', requireRole('scholar'), async (req, res) => {
+  try {
+    await expireStaleRequests();
+
+    let query = supabaseAdmin
+      .from('bookings')
+      .select(`
+        *,
+        ${BOOKING_ASSIGNMENT},
+        ${BOOKING_ARTIFACTS},
+        slot:slots(
+          *,
+          faculty:users!slots_faculty_id_fkey(id, name, email, picture),
+          ${SLOT_PANELISTS}
+        )
+      `)
+      .eq('scholar_id', req.user.id)
+      // Cancellations are listed separately unless the faculty cancelled the session
+      .or('status.neq.cancelled,outcome.not.is.null');
+
+    if (req.query.assignment_id) {
+      query = query.eq('assignment_id', req.query.assignment_id);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) throw error;
+
+    // Scholars only see grades the faculty has released
+    const grades = await fetchGrades(rows.map((row) => row.id), { releasedOnly: true });
+
+    const bookings = rows
+      .map(({ slot, ...booking }) => ({
+        ...slot,
+        ...booking,
+        id: slot.id,
+        booking_id: booking.id,
+        grade: grades[booking.id] || null
+      }))
+      .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+
+    const { data: cancellations, error: cancellationsError } = await supabaseAdmin
+      .from('booking_cancellations')
+      .select(`
+        *,
+        faculty:users!booking_cancellations_faculty_id_fkey(id, name, email, picture)
+      `)
+      .eq('scholar_id', req.user.id)
+      .order('cancelled_at', { ascending: false });
+
+    if (cancellationsError) throw cancellationsError;
+
+    // Faculty edits to slots the scholar was booked into
+    const { data: changes, error: changesError } = await supabaseAdmin
+      .from('slot_changes')
+      .select(`
+        *,
+        faculty:users!slot_changes_faculty_id_fkey(id, name, email, picture)
+      `)
+      .contains('scholar_ids', [req.user.id])
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (changesError) throw changesError;
+
+    res.json({ bookings, cancellations, changes });
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ error: 'Failed to fetch bookings' });
+  }
+});
+
+// Get faculty's slots (faculty view) with every attendee
+router.get('/my-slots', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    // Every slot the faculty sits on the panel of, not just those they lead
+    const slotIds = await fetchPanelSlotIds(req.user.id);
+
+    const { data: rows, error } = await supabaseAdmin
+      .from('slots')
+      .select(`
+        *,
+        ${SLOT_ASSIGNMENTS},
+        ${SLOT_PANELISTS},
+        rubric:rubrics(${RUBRIC_SELECT}),
+        bookings(*, ${BOOKING_SCHOLAR}, ${BOOKING_ASSIGNMENT}, ${BOOKING_ARTIFACTS})
+      `)
+      .in('id', slotIds)
+      .order('starts_at');
+
+    if (error) throw error;
+
+    // Surface each scholar's attendance history for follow-up
+    const attendance = await fetchAttendance(
+      rows.flatMap((slot) => slot.bookings.map((booking) => booking.scholar_id))
+    );
+    const grades = await fetchGrades(
+      rows.flatMap((slot) => slot.bookings.map((booking) => booking.id))
+    );
+
+    const slots = rows.map(({ bookings, rubric, ...slot }) => ({
+      ...slot,
+      // Embedded so co-panelists can grade against the lead's rubric
+      rubric: rubric && withSortedCriteria(rubric),
+      // Pending requests are listed by GET /requests
+      attendees: bookings
+        .filter((booking) =>
+          ['booked', 'awaiting_outcome', 'completed', 'no_show'].includes(booking.status) ||
+          (booking.status === 'cancelled' && booking.outcome)
+        )
+        .map((booking) => ({
+          ...booking,
+          grade: grades[booking.id] || null,
+          scholar: {
+            ...booking.scholar,
+            no_show_count: attendance[booking.scholar_id]?.no_show_count || 0
+          }
+        }))
+    }));
+
+    res.json({ slots });
+  } catch (error) {
+    console.error('Get faculty slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch slots' });
+  }
+});
+
+// Faculty: Replace the assignments a slot is attached to. An empty list opens
+// the slot to any assignment; existing bookings keep their assignment.
+router.put(
+  '/:slotId/assignments',
+  requireRole('faculty', 'admin'),
+  [body('assignment_ids').isArray({ max: 20 }), body('assignment_ids.*').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: slot, error: fetchError } = await supabaseAdmin
+        .from('slots')
+        .select('id, faculty_id')
+        .eq('id', req.params.slotId)
+        .single();
+
+      if (fetchError || !slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (!(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You can only change your own slots' });
+      }
+
+      if ((await findUnknownAssignments(req.body.assignment_ids)).length > 0) {
+        return res.status(400).json({ error: 'Unknown assignment' });
+      }
+
+      await setSlotAssignments([slot.id], req.body.assignment_ids);
+
+      res.json({ message: 'Slot assignments updated successfully' });
+    } catch (error) {
+      console.error('Update slot assignments error:', error);
+      res.status(500).json({ error: 'Failed to update slot assignments' });
+    }
+  }
+);
+
+// Faculty: Replace a slot's co-panelists. The lead faculty always stays on the
+// panel. New panelists must be free at the slot's time, and a booked slot's
+// meeting invite is updated.
+router.put(
+  '/:slotId/panelists',
+  requireRole('faculty', 'admin'),
+  [body('panelist_ids').isArray({ max: 10 }), body('panelist_ids.*').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const slot = await fetchSlotWithAttendees(req.params.slotId);
+
+      if (!slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (!(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You can only change your own slots' });
+      }
+
+      if (['cancelled', 'expired'].includes(slot.status) || slotStartsAt(slot) <= new Date()) {
+        return res.status(409).json({ error: 'Only upcoming slots can change their panel' });
+      }
+
+      const { panelist_ids } = req.body;
+
+      if ((await findUnknownFaculty(panelist_ids)).length > 0) {
+        return res.status(400).json({ error: 'Panelists must be faculty members' });
+      }
+
+      const current = new Set(slot.panelists.map((member) => member.id));
+      const added = panelist_ids.filter((facultyId) => !current.has(facultyId));
+
+      if (added.length > 0) {
+        const overlapping = await findOverlappingSlots(added, slot.starts_at, slot.ends_at, slot.id);
+        if (overlapping.length > 0) {
+          return res.status(409).json({ error: 'A new panelist already has a slot at this time' });
+        }
+      }
+
+      await setSlotPanelists(slot, panelist_ids);
+
+      // Invite new panelists to (and drop removed ones from) the meeting
+      const updated = slot.attendees.length > 0
+        ? await syncSlotMeeting(slot.id, { change: 'attendees' })
+        : await fetchSlotWithAttendees(slot.id);
+
+      res.json({ panelists: updated.panelists, message: 'Panel updated successfully' });
+    } catch (error) {
+      console.error('Update slot panelists error:', error);
+      res.status(500).json({ error: 'Failed to update slot panel' });
+    }
+  }
+);
+
+// Faculty: Attach the rubric sessions in a slot are graded against, or detach
+// it with null. Grades already given keep their scores.
+router.put(
+  '/:slotId/rubric',
+  requireRole('faculty', 'admin'),
+  [body('rubric_id').optional({ values: 'null' }).isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: slot, error: fetchError } = await supabaseAdmin
+        .from('slots')
+        .select('id, faculty_id')
+        .eq('id', req.params.slotId)
+        .single();
+
+      if (fetchError || !slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (!(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You can only change your own slots' });
+      }
+
+      const rubricId = req.body.rubric_id || null;
+      if (rubricId) {
+        const rubric = await fetchRubric(rubricId);
+        if (!rubric || !(await fetchPanelistIds(slot.id)).includes(rubric.faculty_id)) {
+          return res.status(400).json({ error: 'Unknown rubric' });
+        }
+      }
+
+      const { error } = await supabaseAdmin
+        .from('slots')
+        .update({ rubric_id: rubricId })
+        .eq('id', slot.id);
+
+      if (error) throw error;
+
+      res.json({ message: rubricId ? 'Rubric attached' : 'Rubric detached' });
+    } catch (error) {
+      console.error('Update slot rubric error:', error);
+      res.status(500).json({ error: 'Failed to update slot rubric' });
+    }
+  }
+);
+
+// Faculty: Move a slot to another date/time and/or change its notes. Times are
+// wall-clock times in the slot's own time zone. Booked scholars get an updated
+// calendar invite and see the change in their bookings.
+router.patch(
+  '/:slotId',
+  requireRole('faculty', 'admin'),
+  [
+    body('date').optional().isISO8601(),
+    body('start_time').optional().matches(TIME_INPUT),
+    body('end_time').optional().matches(TIME_INPUT),
+    body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+    body('reason').optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { slotId } = req.params;
+      const slot = await fetchSlotWithAttendees(slotId);
+
+      if (!slot) {
+        return res.status(404).json({ error: 'Slot not found' });
+      }
+
+      if (!(await canManageSlot(slot, req.user))) {
+        return res.status(403).json({ error: 'You can only change your own slots' });
+      }
+
+      if (slot.status === 'cancelled' || slotStartsAt(slot) <= new Date()) {
+        return res.status(409).json({ error: 'Only upcoming slots can be edited' });
+      }
+
+      const { date, start_time, end_time, notes, reason } = req.body;
+      const changes = {};
+
+      if (date !== undefined || start_time !== undefined || end_time !== undefined) {
+        const dateOnly = date !== undefined ? toDateOnly(date) : slot.date;
+        const startTimeOnly = start_time !== undefined
+          ? toTimeOnly(start_time.match(TIME_INPUT)[2])
+          : slot.start_time;
+        const endTimeOnly = end_time !== undefined
+          ? toTimeOnly(end_time.match(TIME_INPUT)[2])
+          : slot.end_time;
+
+        if (endTimeOnly <= startTimeOnly) {
+          return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        const times = zonedSlotTimes(dateOnly, startTimeOnly, endTimeOnly, slot.time_zone);
+        if (!times) {
+          return res.status(400).json({ error: 'That time does not exist on this date (daylight saving change)' });
+        }
+
+        if (times.starts_at !== new Date(slot.starts_at).toISOString() ||
+            times.ends_at !== new Date(slot.ends_at).toISOString()) {
+          if (new Date(times.starts_at) <= new Date()) {
+            return res.status(400).json({ error: 'A slot cannot be moved into the past' });
+          }
+
+          const blocked = await findBlockingRange(
+            slot.panelists.map((member) => member.id),
+            dateOnly
+          );
+          if (blocked) {
+            return res.status(409).json({ error: `No slots can be scheduled on ${dateOnly} (${blocked.label})` });
+          }
+
+          const overlapping = await findOverlappingSlots(
+            slot.panelists.map((member) => member.id),
+            times.starts_at,
+            times.ends_at,
+            slot.id
+          );
+          if (overlapping.length > 0) {
+            return res.status(409).json({ error: 'Time slot overlaps with an existing slot of a panelist' });
+          }
+
+          // Moving out of a blackout or holiday resolves the flag
+          Object.assign(changes, times, { needs_reschedule: false, reschedule_reason: null });
+        }
+      }
+
+      if (notes !== undefined && (notes || null) !== slot.faculty_notes) {
+        changes.faculty_notes = notes || null;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('slots')
+        .update(changes)
+        .eq('id', slot.id);
+
+      if (updateError) throw updateError;
+
+      const { data: change, error: historyError } = await supabaseAdmin
+        .from('slot_changes')
+        .insert([{
+          slot_id: slot.id,
+          faculty_id: slot.faculty_id,
+          changed_by: req.user.id,
+          previous_starts_at: slot.starts_at,
+          previous_ends_at: slot.ends_at,
+          starts_at: changes.starts_at || slot.starts_at,
+          ends_at: changes.ends_at || slot.ends_at,
+          previous_notes: slot.faculty_notes,
+          notes: changes.faculty_notes !== undefined ? changes.faculty_notes : slot.faculty_notes,
+          reason: reason || null,
+          scholar_ids: slot.attendees.map((booking) => booking.scholar_id)
+        }])
+        .select()
+        .single();
+
+      if (historyError) throw historyError;
+
+      // Move the calendar event; Google emails the updated invite to attendees.
+      // Changed notes are in the description, so those need a full update.
+      const updated = await syncSlotMeeting(slot.id, {
+        change: changes.faculty_notes === undefined ? 'time' : null
+      });
+
+      res.json({ slot: updated, change, message: 'Slot updated successfully' });
+    } catch (error) {
+      console.error('Update slot error:', error);
+      res.status(500).json({
+        error: 'Failed to update slot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
 
 // Faculty: Delete a slot (only if not booked)
 router.delete('/:slotId', requireRole('faculty', 'admin'), async (req, res) => {
   try {
     const { slotId } = req.params;
 
-    // Check if slot belongs to faculty and is not booked
+    // Check if slot is on the faculty's panel and is not booked
     const { data: slot, error: fetchError } = await supabaseAdmin
       .from('slots')
       .select('*')
       .eq('id', slotId)
-      .eq('faculty_id', req.user.id)
       .single();
 
-    if (fetchError || !slot) {
+    if (fetchError || !slot || !(await canManageSlot(slot, req.user))) {
       return res.status(404).json({ error: 'Slot not found' });
     }
 
-    if (slot.status === 'booked') {
+    if (slot.booked_count > 0) {
       return res.status(403).json({ error: 'Cannot delete booked slot' });
     }
 
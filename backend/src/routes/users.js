@@ -1,6 +1,9 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { fetchAttendance, isValidTimeZone } from '../utils/slotUtils.js';
+import { DEFAULT_MEETING_PROVIDER, MEETING_PROVIDERS } from '../utils/meetingProviders.js';
 
 const router = express.Router();
 
@@ -17,6 +20,14 @@ router.get('/', requireRole('admin'), async (req, res) => {
 
     if (error) throw error;
 
+    const attendanceByScholar = await fetchAttendance(
+      users.filter((user) => user.role === 'scholar').map((user) => user.id)
+    );
+    users.forEach((user) => {
+      user.completed_count = attendanceByScholar[user.id]?.completed_count || 0;
+      user.no_show_count = attendanceByScholar[user.id]?.no_show_count || 0;
+    });
+
     res.json({ users });
   } catch (error) {
     console.error('Get users error:', error);
@@ -150,6 +161,92 @@ router.get('/roles', requireRole('admin'), async (req, res) => {
   }
 });
 
+// Update own settings
+router.patch(
+  '/me/settings',
+  [
+    body('release_cancelled_slots').optional().isBoolean().toBoolean(),
+    body('requires_booking_approval').optional().isBoolean().toBoolean(),
+    body('time_zone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+    body('display_time_zone').optional({ values: 'null' }).custom(isValidTimeZone).withMessage('Unknown time zone'),
+    body('meeting_provider').optional({ values: 'null' }).isIn(MEETING_PROVIDERS),
+    body('meeting_room_url').optional({ values: 'null' }).isURL({ protocols: ['https', 'http'], require_protocol: true }),
+    body('meeting_location').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const settings = {};
+      if (req.body.release_cancelled_slots !== undefined) {
+        settings.release_cancelled_slots = req.body.release_cancelled_slots;
+      }
+      if (req.body.requires_booking_approval !== undefined) {
+        settings.requires_booking_approval = req.body.requires_booking_approval;
+      }
+      if (req.body.time_zone !== undefined) {
+        settings.time_zone = req.body.time_zone;
+      }
+      // NULL shows times in the scheduling zone again
+      if (req.body.display_time_zone !== undefined) {
+        settings.display_time_zone = req.body.display_time_zone || null;
+      }
+      for (const field of ['meeting_provider', 'meeting_room_url', 'meeting_location']) {
+        if (req.body[field] !== undefined) {
+          settings[field] = req.body[field] || null;
+        }
+      }
+
+      if (Object.keys(settings).length === 0) {
+        return res.status(400).json({ error: 'No settings provided' });
+      }
+
+      // A room or in-person provider is useless without its link or place
+      if (['meeting_provider', 'meeting_room_url', 'meeting_location'].some((field) => field in settings)) {
+        const { data: current, error: currentError } = await supabaseAdmin
+          .from('users')
+          .select('meeting_provider, meeting_room_url, meeting_location')
+          .eq('id', req.user.id)
+          .single();
+
+        if (currentError) throw currentError;
+
+        const meeting = { ...current, ...settings };
+        const provider = meeting.meeting_provider || DEFAULT_MEETING_PROVIDER;
+        if (provider === 'static_room' && !meeting.meeting_room_url) {
+          return res.status(400).json({ error: 'Set a meeting room link to use a static room' });
+        }
+        if (provider === 'in_person' && !meeting.meeting_location) {
+          return res.status(400).json({ error: 'Set a location to meet in person' });
+        }
+      }
+
+      const { data: user, error } = await supabaseAdmin
+        .from('users')
+        .update(settings)
+        .eq('id', req.user.id)
+        .select(`id, email, name, picture, role, release_cancelled_slots, requires_booking_approval, time_zone,
+          display_time_zone, meeting_provider, meeting_room_url, meeting_location`)
+        .single();
+
+      if (error) throw error;
+
+      res.json({ user, message: 'Settings updated successfully' });
+    } catch (error) {
+      console.error('Update settings error:', error);
+      res.status(500).json({ error: 'Failed to update settings' });
+    }
+  }
+);
+
+// Meeting providers faculty can choose from, and the server default
+router.get('/meeting-providers', (req, res) => {
+  res.json({ providers: MEETING_PROVIDERS, default: DEFAULT_MEETING_PROVIDER });
+});
+
 // Get faculties (available to all authenticated users)
 router.get('/faculties', async (req, res) => {
   try {
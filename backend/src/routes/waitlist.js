@@ -0,0 +1,166 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { expireStaleOffers } from '../utils/waitlist.js';
+import { toDateOnly } from '../utils/slotUtils.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Scholar: Get own waitlist entries (with any pending offers)
+router.get('/mine', requireRole('scholar'), async (req, res) => {
+  try {
+    await expireStaleOffers();
+
+    const { data: entries, error } = await supabaseAdmin
+      .from('waitlist_entries')
+      .select(`
+        *,
+        faculty:users!waitlist_entries_faculty_id_fkey(id, name, email, picture),
+        offered_slot:slots!waitlist_entries_offered_slot_id_fkey(
+          *,
+          assignments!slot_assignments(id, title, course)
+        )
+      `)
+      .eq('scholar_id', req.user.id)
+      .in('status', ['waiting', 'offered'])
+      .order('created_at');
+
+    if (error) throw error;
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+// Scholar: Join a faculty member's waitlist (optionally for one date)
+router.post(
+  '/',
+  requireRole('scholar'),
+  [
+    body('faculty_id').isUUID(),
+    body('date').optional({ values: 'falsy' }).isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { faculty_id, date } = req.body;
+
+      const { data: faculty, error: facultyError } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('id', faculty_id)
+        .in('role', ['faculty', 'admin'])
+        .single();
+
+      if (facultyError || !faculty) {
+        return res.status(404).json({ error: 'Faculty not found' });
+      }
+
+      const { data: entry, error } = await supabaseAdmin
+        .from('waitlist_entries')
+        .insert([
+          {
+            faculty_id,
+            scholar_id: req.user.id,
+            date: date ? toDateOnly(date) : null
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        // Unique violation: already waiting
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'You are already on this waitlist' });
+        }
+        throw error;
+      }
+
+      res.status(201).json({ entry, message: 'Added to waitlist' });
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+  }
+);
+
+// Scholar: Leave a waitlist (also declines a pending offer)
+router.delete('/:entryId', requireRole('scholar'), async (req, res) => {
+  try {
+    const { data: entry, error: fetchError } = await supabaseAdmin
+      .from('waitlist_entries')
+      .select('*')
+      .eq('id', req.params.entryId)
+      .eq('scholar_id', req.user.id)
+      .in('status', ['waiting', 'offered'])
+      .single();
+
+    if (fetchError || !entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('waitlist_entries')
+      .update({ status: 'left' })
+      .eq('id', entry.id);
+
+    if (error) throw error;
+
+    // Release the held slot back to the general pool
+    if (entry.status === 'offered' && entry.offered_slot_id) {
+      await supabaseAdmin
+        .from('slots')
+        .update({ held_for: null, held_until: null })
+        .eq('id', entry.offered_slot_id)
+        .eq('held_for', req.user.id);
+    }
+
+    res.json({ message: 'Removed from waitlist' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+// Faculty: Waitlist length, split by requested date (null = any date)
+router.get('/summary', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    await expireStaleOffers();
+
+    const { data: entries, error } = await supabaseAdmin
+      .from('waitlist_entries')
+      .select('date, status')
+      .eq('faculty_id', req.user.id)
+      .in('status', ['waiting', 'offered']);
+
+    if (error) throw error;
+
+    const byDate = {};
+    entries.forEach((entry) => {
+      const key = entry.date || 'any';
+      byDate[key] = (byDate[key] || 0) + 1;
+    });
+
+    res.json({
+      total: entries.length,
+      waiting: entries.filter((entry) => entry.status === 'waiting').length,
+      offered: entries.filter((entry) => entry.status === 'offered').length,
+      byDate
+    });
+  } catch (error) {
+    console.error('Get waitlist summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist summary' });
+  }
+});
+
+export default router;
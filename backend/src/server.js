@@ -5,6 +5,20 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import slotRoutes from './routes/slots.js';
+import seriesRoutes from './routes/series.js';
+import waitlistRoutes from './routes/waitlist.js';
+import policyRoutes from './routes/policies.js';
+import assignmentRoutes from './routes/assignments.js';
+import blackoutRoutes from './routes/blackouts.js';
+import holidayRoutes from './routes/holidays.js';
+import rubricRoutes from './routes/rubrics.js';
+import gradeRoutes from './routes/grades.js';
+import bookingRoutes from './routes/bookings.js';
+import allocationRoutes from './routes/allocations.js';
+import meetingJobRoutes from './routes/meetingJobs.js';
+import calendarRoutes from './routes/calendar.js';
+import { startSlotLifecycleJob } from './jobs/slotLifecycle.js';
+import { startMeetingOutboxJob } from './jobs/meetingOutbox.js';
 
 dotenv.config();
 
@@ -42,7 +56,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-File-Name']
 }));
 
 app.use(express.json());
@@ -52,6 +66,18 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/slots', slotRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/blackouts', blackoutRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/allocations', allocationRoutes);
+app.use('/api/meeting-jobs', meetingJobRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -75,5 +101,11 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Expire past slots and move finished sessions to awaiting_outcome
+  startSlotLifecycleJob();
+
+  // Retry meeting side effects that failed (calendar events and links)
+  startMeetingOutboxJob();
 });
 
@@ -0,0 +1,322 @@
+import { supabaseAdmin } from '../config/database.js';
+import { checkAssignmentForSlot } from './assignments.js';
+import { evaluateBookingPolicy } from './bookingPolicy.js';
+import { requestExpiry, requiresApproval } from './bookingRequests.js';
+import { syncSlotMeeting } from './meetings.js';
+import { SLOT_PANELISTS } from './panelists.js';
+import { slotStartsAt } from './slotUtils.js';
+import { offerSlotsToWaitlist } from './waitlist.js';
+
+// Most choices a scholar can rank in one round
+export const MAX_CHOICES = 10;
+
+// Slots in a round stay held until the round is allocated or cancelled
+const ROUND_HOLD = 'infinity';
+
+// A round still allocating with no progress for this long was interrupted
+// (e.g. a restart) and may be resumed
+const STALE_ALLOCATION_MINUTES = 10;
+
+function staleAllocationBefore() {
+  return new Date(Date.now() - STALE_ALLOCATION_MINUTES * 60 * 1000).toISOString();
+}
+
+export const ROUND_SLOT_SELECT = `
+  *,
+  faculty:users!slots_faculty_id_fkey(id, name, email, picture, requires_booking_approval),
+  ${SLOT_PANELISTS}
+`;
+
+/**
+ * Slots offered through a round, soonest first
+ */
+export async function fetchRoundSlots(roundId) {
+  const { data, error } = await supabaseAdmin
+    .from('slots')
+    .select(ROUND_SLOT_SELECT)
+    .eq('allocation_round_id', roundId)
+    .order('starts_at');
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Hold slots for a round. Only slots that are still open and not held for
+ * anyone else are taken. Returns the held slots.
+ */
+export async function holdSlotsForRound(roundId, slotIds) {
+  const { data, error } = await supabaseAdmin
+    .from('slots')
+    .update({ allocation_round_id: roundId, held_for: null, held_until: ROUND_HOLD })
+    .in('id', slotIds)
+    .eq('status', 'available')
+    .or(`held_until.is.null,held_until.lt.${new Date().toISOString()}`)
+    .select('id');
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Return a round's unallocated seats to the general pool, offering them to
+ * the waitlist first
+ */
+export async function releaseRoundSlots(roundId) {
+  const { data: released, error } = await supabaseAdmin
+    .from('slots')
+    .update({ held_until: null })
+    .eq('allocation_round_id', roundId)
+    .is('held_for', null)
+    .eq('held_until', ROUND_HOLD)
+    .select();
+
+  if (error) throw error;
+
+  await offerSlotsToWaitlist(released);
+}
+
+// Small seeded PRNG (mulberry32) so a run's lottery order can be reproduced
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, seed) {
+  const random = seededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// The round slots a ranked choice stands for: the slot itself, or every slot
+// the faculty member sits on the panel of, soonest first
+function expandChoice(choice, slots) {
+  if (choice.slot_id) {
+    return slots.filter((slot) => slot.id === choice.slot_id);
+  }
+  return slots.filter((slot) => slot.panelists.some((member) => member.id === choice.faculty_id));
+}
+
+// Book the first of a scholar's choices that still has a seat and that the
+// booking policies allow. Returns their allocation_results row.
+async function allocateScholar(round, scholarId, choices, slots) {
+  let reason = 'Every slot you ranked was already full';
+
+  for (const choice of choices) {
+    for (const slot of expandChoice(choice, slots)) {
+      if (slot.needs_reschedule || slotStartsAt(slot) <= new Date()) continue;
+
+      const assignmentCheck = await checkAssignmentForSlot(slot, round.assignment_id);
+      if (assignmentCheck.error) {
+        reason = assignmentCheck.error;
+        continue;
+      }
+
+      const violations = await evaluateBookingPolicy(slot, scholarId);
+      if (violations.length > 0) {
+        reason = violations[0].message;
+        continue;
+      }
+
+      const pendingUntil = requiresApproval(slot, slot.faculty) ? requestExpiry(slot) : null;
+
+      const { data: claimed, error } = await supabaseAdmin.rpc('book_allocated_seat', {
+        p_round_id: round.id,
+        p_slot_id: slot.id,
+        p_scholar_id: scholarId,
+        p_assignment_id: round.assignment_id,
+        p_pending_until: pendingUntil
+      });
+
+      if (error) {
+        if (error.code === 'SL404' || error.code === 'SL409') continue;
+        throw error;
+      }
+
+      const booking = claimed[0];
+
+      // Pending requests get their meeting once the faculty approves
+      if (!pendingUntil) {
+        await syncSlotMeeting(slot.id, { change: 'attendees' }).catch((meetingError) => {
+          console.error('Failed to sync meeting for allocated booking:', meetingError);
+        });
+      }
+
+      return {
+        round_id: round.id,
+        scholar_id: scholarId,
+        booking_id: booking.id,
+        slot_id: slot.id,
+        choice_rank: choice.rank,
+        reason: pendingUntil ? 'Awaiting faculty approval' : null
+      };
+    }
+  }
+
+  return {
+    round_id: round.id,
+    scholar_id: scholarId,
+    booking_id: null,
+    slot_id: null,
+    choice_rank: null,
+    reason
+  };
+}
+
+// Random serial dictatorship: scholars are put in a random order and each in
+// turn gets their best choice that still has a seat. Nobody gains by ranking
+// strategically, and the order (not speed at release time) decides ties.
+// Scholars with a result from an earlier, interrupted run are skipped.
+async function allocateRound(round) {
+  const slots = await fetchRoundSlots(round.id);
+
+  const { data: preferences, error } = await supabaseAdmin
+    .from('allocation_preferences')
+    .select('*')
+    .eq('round_id', round.id)
+    .order('rank');
+
+  if (error) throw error;
+
+  const { data: existing, error: existingError } = await supabaseAdmin
+    .from('allocation_results')
+    .select('*')
+    .eq('round_id', round.id);
+
+  if (existingError) throw existingError;
+
+  const finished = new Set(existing.map((result) => result.scholar_id));
+  const choicesByScholar = new Map();
+  preferences
+    .filter((preference) => !finished.has(preference.scholar_id))
+    .forEach((preference) => {
+      const choices = choicesByScholar.get(preference.scholar_id) || [];
+      choices.push(preference);
+      choicesByScholar.set(preference.scholar_id, choices);
+    });
+
+  const seed = Math.floor(Math.random() * 4294967296);
+  const order = shuffle([...choicesByScholar.keys()].sort(), seed);
+  const results = [...existing];
+
+  for (const scholarId of order) {
+    const result = await allocateScholar(round, scholarId, choicesByScholar.get(scholarId), slots);
+
+    const { error: resultError } = await supabaseAdmin.from('allocation_results').insert(result);
+
+    if (resultError) throw resultError;
+    results.push(result);
+
+    // Show the run is still alive so it is not taken for an interrupted one
+    const { error: progressError } = await supabaseAdmin
+      .from('allocation_rounds')
+      .update({ allocating_since: new Date().toISOString() })
+      .eq('id', round.id);
+
+    if (progressError) throw progressError;
+  }
+
+  await releaseRoundSlots(round.id);
+
+  const allocated = results.filter((result) => result.booking_id);
+  const byChoice = {};
+  allocated.forEach((result) => {
+    byChoice[result.choice_rank] = (byChoice[result.choice_rank] || 0) + 1;
+  });
+
+  return {
+    algorithm: 'random_serial_dictatorship',
+    seed,
+    order,
+    participants: results.length,
+    allocated: allocated.length,
+    awaiting_approval: allocated.filter((result) => result.reason).length,
+    unallocated: results.length - allocated.length,
+    by_choice: byChoice,
+    seats_offered: slots.reduce((total, slot) => total + slot.capacity - slot.booked_count, 0)
+  };
+}
+
+/**
+ * Close a collecting round and allocate it, or resume a run that was
+ * interrupted. Returns the report, or null when the round is not collecting
+ * (already allocated, running or cancelled). A failed run puts the round
+ * back to collecting so it can be retried.
+ */
+export async function runAllocation(roundId) {
+  const { data: round, error } = await supabaseAdmin
+    .from('allocation_rounds')
+    .update({ status: 'allocating', allocating_since: new Date().toISOString() })
+    .eq('id', roundId)
+    .or(`status.eq.collecting,and(status.eq.allocating,allocating_since.lt.${staleAllocationBefore()})`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!round) return null;
+
+  try {
+    const report = await allocateRound(round);
+
+    const { error: doneError } = await supabaseAdmin
+      .from('allocation_rounds')
+      .update({
+        status: 'allocated',
+        report,
+        allocated_at: new Date().toISOString(),
+        allocating_since: null
+      })
+      .eq('id', round.id);
+
+    if (doneError) throw doneError;
+
+    return report;
+  } catch (runError) {
+    await supabaseAdmin
+      .from('allocation_rounds')
+      .update({ status: 'collecting', allocating_since: null })
+      .eq('id', round.id);
+    throw runError;
+  }
+}
+
+/**
+ * Allocate every round whose collection window has closed, and resume rounds
+ * whose run was interrupted. Failures are logged and retried on the next
+ * sweep.
+ */
+export async function runDueAllocations() {
+  const { data: rounds, error } = await supabaseAdmin
+    .from('allocation_rounds')
+    .select('id, title')
+    .or(
+      `and(status.eq.collecting,closes_at.lte.${new Date().toISOString()}),` +
+      `and(status.eq.allocating,allocating_since.lt.${staleAllocationBefore()})`
+    );
+
+  if (error) throw error;
+
+  for (const round of rounds) {
+    try {
+      const report = await runAllocation(round.id);
+      if (report) {
+        console.log(
+          `Allocation round "${round.title}": ${report.allocated} of ${report.participants} scholars allocated`
+        );
+      }
+    } catch (runError) {
+      console.error(`Allocation round "${round.title}" failed:`, runError);
+    }
+  }
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { body } from 'express-validator';
+import { supabaseAdmin } from '../config/database.js';
+
+// Where new uploads go: 'supabase' (Storage bucket) or 'local' (upload directory)
+export const ARTIFACT_STORAGE = process.env.ARTIFACT_STORAGE === 'local' ? 'local' : 'supabase';
+const ARTIFACT_BUCKET = process.env.ARTIFACT_BUCKET || 'booking-artifacts';
+const ARTIFACT_UPLOAD_DIR = path.resolve(process.env.ARTIFACT_UPLOAD_DIR || 'uploads');
+
+export const ARTIFACT_MAX_BYTES = (Number(process.env.ARTIFACT_MAX_MB) || 10) * 1024 * 1024;
+export const ARTIFACT_MAX_FILES = 5;
+
+// Accepted file types by extension; the content type is derived from these
+// rather than trusted from the client
+const ARTIFACT_TYPES = {
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  mp4: 'video/mp4'
+};
+
+export const ARTIFACT_EXTENSIONS = Object.keys(ARTIFACT_TYPES);
+
+const linkValidator = (field, label) =>
+  body(field)
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 2048 })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage(`${label} must be a full http(s) link`);
+
+// Validators for the links a scholar submits with a booking
+export const submissionLinkValidators = [
+  linkValidator('repository_url', 'Repository URL'),
+  linkValidator('demo_url', 'Demo URL'),
+];
+
+/**
+ * Content type for an uploaded file name, or null when the type is not accepted
+ */
+export function artifactContentType(fileName) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return ARTIFACT_TYPES[extension] || null;
+}
+
+/**
+ * Store an uploaded file for a booking. Returns where it was stored.
+ */
+export async function storeArtifact(bookingId, fileName, contentType, data) {
+  const storagePath = `${bookingId}/${crypto.randomUUID()}${path.extname(fileName).toLowerCase()}`;
+
+  if (ARTIFACT_STORAGE === 'local') {
+    const filePath = path.join(ARTIFACT_UPLOAD_DIR, storagePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  } else {
+    const { error } = await supabaseAdmin.storage
+      .from(ARTIFACT_BUCKET)
+      .upload(storagePath, data, { contentType });
+
+    if (error) throw error;
+  }
+
+  return { storage_driver: ARTIFACT_STORAGE, storage_path: storagePath };
+}
+
+/**
+ * Read a stored artifact's bytes as a Buffer
+ */
+export async function readArtifact(artifact) {
+  if (artifact.storage_driver === 'local') {
+    return fs.readFile(path.join(ARTIFACT_UPLOAD_DIR, artifact.storage_path));
+  }
+
+  const { data, error } = await supabaseAdmin.storage
+    .from(ARTIFACT_BUCKET)
+    .download(artifact.storage_path);
+
+  if (error) throw error;
+
+  return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Delete a stored artifact's bytes. A file that is already gone is ignored.
+ */
+export async function removeArtifact(artifact) {
+  if (artifact.storage_driver === 'local') {
+    await fs.rm(path.join(ARTIFACT_UPLOAD_DIR, artifact.storage_path), { force: true });
+    return;
+  }
+
+  const { error } = await supabaseAdmin.storage
+    .from(ARTIFACT_BUCKET)
+    .remove([artifact.storage_path]);
+
+  if (error) throw error;
+}
@@ -0,0 +1,76 @@
+import { supabaseAdmin } from '../config/database.js';
+import { slotStartsAt } from './slotUtils.js';
+
+/**
+ * IDs from the list that do not match an existing assignment
+ */
+export async function findUnknownAssignments(assignmentIds) {
+  const ids = [...new Set(assignmentIds)];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('assignments')
+    .select('id')
+    .in('id', ids);
+
+  if (error) throw error;
+
+  const known = new Set(data.map((assignment) => assignment.id));
+  return ids.filter((id) => !known.has(id));
+}
+
+/**
+ * Replace the assignments attached to each of the given slots
+ */
+export async function setSlotAssignments(slotIds, assignmentIds) {
+  if (slotIds.length === 0) return;
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('slot_assignments')
+    .delete()
+    .in('slot_id', slotIds);
+
+  if (deleteError) throw deleteError;
+
+  const rows = slotIds.flatMap((slotId) =>
+    [...new Set(assignmentIds)].map((assignmentId) => ({ slot_id: slotId, assignment_id: assignmentId }))
+  );
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('slot_assignments').insert(rows);
+
+  if (error) throw error;
+}
+
+/**
+ * Check that a scholar may demo an assignment in a slot: the slot must accept
+ * the assignment (slots without attachments accept any) and start before its
+ * demo deadline. Returns { assignment } or { status, error }.
+ */
+export async function checkAssignmentForSlot(slot, assignmentId) {
+  const { data: assignment, error } = await supabaseAdmin
+    .from('assignments')
+    .select('*')
+    .eq('id', assignmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!assignment) return { status: 404, error: 'Assignment not found' };
+
+  const { data: attached, error: attachedError } = await supabaseAdmin
+    .from('slot_assignments')
+    .select('assignment_id')
+    .eq('slot_id', slot.id);
+
+  if (attachedError) throw attachedError;
+
+  if (attached.length > 0 && !attached.some((row) => row.assignment_id === assignmentId)) {
+    return { status: 409, error: 'This slot is not open for that assignment' };
+  }
+
+  if (assignment.demo_deadline && slotStartsAt(slot) > new Date(assignment.demo_deadline)) {
+    return { status: 409, error: 'This slot is after the assignment\'s demo deadline' };
+  }
+
+  return { assignment };
+}
@@ -0,0 +1,125 @@
+import { supabaseAdmin } from '../config/database.js';
+
+/**
+ * Blackout and holiday ranges that overlap a date span for a faculty member,
+ * or for any of several (e.g. everyone on a panel). Each range has
+ * start_date, end_date and a human-readable label.
+ */
+export async function findBlockingRanges(facultyIds, fromDate, toDate) {
+  const { data: blackouts, error } = await supabaseAdmin
+    .from('faculty_blackouts')
+    .select('*')
+    .in('faculty_id', [].concat(facultyIds))
+    .lte('start_date', toDate)
+    .gte('end_date', fromDate);
+
+  if (error) throw error;
+
+  const { data: holidays, error: holidaysError } = await supabaseAdmin
+    .from('holidays')
+    .select('*')
+    .lte('start_date', toDate)
+    .gte('end_date', fromDate);
+
+  if (holidaysError) throw holidaysError;
+
+  return [
+    ...holidays.map((holiday) => ({ ...holiday, label: holidayLabel(holiday) })),
+    ...blackouts.map((blackout) => ({ ...blackout, label: blackoutLabel(blackout) }))
+  ];
+}
+
+/**
+ * The first range that covers a YYYY-MM-DD date, or null
+ */
+export function rangeCovering(ranges, date) {
+  return ranges.find((range) => range.start_date <= date && date <= range.end_date) || null;
+}
+
+/**
+ * The blackout or holiday a faculty member (or any of several) has on a
+ * date, or null
+ */
+export async function findBlockingRange(facultyIds, date) {
+  return rangeCovering(await findBlockingRanges(facultyIds, date, date), date);
+}
+
+export function blackoutLabel(blackout) {
+  return blackout.reason ? `Blackout: ${blackout.reason}` : 'Blackout';
+}
+
+export function holidayLabel(holiday) {
+  return `Holiday: ${holiday.name}`;
+}
+
+/**
+ * Apply a new blackout or holiday to upcoming slots: unbooked slots in the
+ * range are withdrawn and booked ones are flagged for the faculty to
+ * reschedule. A null facultyId applies to every faculty member (holidays).
+ */
+export async function applyBlockedRange(range, label, facultyId = null) {
+  const now = new Date().toISOString();
+  const inRange = (query) => {
+    query = query
+      .gte('date', range.start_date)
+      .lte('date', range.end_date)
+      .gt('starts_at', now);
+    return facultyId ? query.eq('faculty_id', facultyId) : query;
+  };
+
+  const { data: withdrawn, error: withdrawError } = await inRange(
+    supabaseAdmin
+      .from('slots')
+      .delete()
+      .eq('status', 'available')
+      .eq('booked_count', 0)
+  ).select('id');
+
+  if (withdrawError) throw withdrawError;
+
+  const { data: flagged, error: flagError } = await inRange(
+    supabaseAdmin
+      .from('slots')
+      .update({ needs_reschedule: true, reschedule_reason: label })
+      .gt('booked_count', 0)
+  ).select();
+
+  if (flagError) throw flagError;
+
+  return { withdrawn: withdrawn.length, flagged };
+}
+
+/**
+ * Re-check the flagged slots in a range after a blackout or holiday was
+ * removed. Slots still covered by another range keep their flag.
+ */
+export async function clearBlockedRange(range, facultyId = null) {
+  let query = supabaseAdmin
+    .from('slots')
+    .select('id, faculty_id, date')
+    .eq('needs_reschedule', true)
+    .gte('date', range.start_date)
+    .lte('date', range.end_date);
+
+  if (facultyId) {
+    query = query.eq('faculty_id', facultyId);
+  }
+
+  const { data: slots, error } = await query;
+
+  if (error) throw error;
+
+  for (const slot of slots) {
+    const covering = await findBlockingRange(slot.faculty_id, slot.date);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('slots')
+      .update({
+        needs_reschedule: Boolean(covering),
+        reschedule_reason: covering ? covering.label : null
+      })
+      .eq('id', slot.id);
+
+    if (updateError) throw updateError;
+  }
+}
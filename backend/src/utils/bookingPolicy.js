@@ -0,0 +1,144 @@
+import { supabaseAdmin } from '../config/database.js';
+import { rangesOverlap, slotStartsAt } from './slotUtils.js';
+
+export const POLICY_FIELDS = [
+  'max_active_bookings',
+  'one_booking_per_faculty',
+  'min_lead_minutes',
+  'cancellation_cutoff_minutes',
+  'prevent_overlapping_bookings'
+];
+
+// Used when no global policy row exists
+const DEFAULT_POLICY = {
+  max_active_bookings: null,
+  one_booking_per_faculty: false,
+  min_lead_minutes: 0,
+  cancellation_cutoff_minutes: 0,
+  prevent_overlapping_bookings: true
+};
+
+// The policy row for a faculty (or the global row when facultyId is null)
+async function fetchPolicyRow(facultyId) {
+  let query = supabaseAdmin.from('booking_policies').select('*');
+  query = facultyId ? query.eq('faculty_id', facultyId) : query.is('faculty_id', null);
+
+  const { data: row, error } = await query.maybeSingle();
+
+  if (error) throw error;
+
+  return row || {};
+}
+
+/**
+ * Effective policy for a faculty: global defaults with the faculty's
+ * non-null overrides applied on top
+ */
+export async function getEffectivePolicy(facultyId) {
+  const global = await fetchPolicyRow(null);
+  const override = facultyId ? await fetchPolicyRow(facultyId) : {};
+
+  const policy = { ...DEFAULT_POLICY };
+  POLICY_FIELDS.forEach((field) => {
+    if (global[field] !== undefined && global[field] !== null) policy[field] = global[field];
+    if (override[field] !== undefined && override[field] !== null) policy[field] = override[field];
+  });
+
+  return policy;
+}
+
+/**
+ * Check whether a scholar may book a slot. Returns a list of violations, each
+ * with a machine-readable code; an empty list means the booking is allowed.
+ * `ignoreSlotId` excludes the scholar's current booking (used by reschedule).
+ */
+export async function evaluateBookingPolicy(slot, scholarId, ignoreSlotId = null) {
+  const policy = await getEffectivePolicy(slot.faculty_id);
+  const violations = [];
+
+  const minutesUntilStart = (slotStartsAt(slot) - new Date()) / 60000;
+  if (minutesUntilStart < policy.min_lead_minutes) {
+    violations.push({
+      code: 'MIN_LEAD_TIME',
+      message: `Slots must be booked at least ${policy.min_lead_minutes} minutes in advance`,
+      limit: policy.min_lead_minutes
+    });
+  }
+
+  let query = supabaseAdmin
+    .from('bookings')
+    .select('slot:slots!inner(id, faculty_id, starts_at, ends_at)')
+    .eq('scholar_id', scholarId)
+    // Pending requests hold a seat too
+    .in('status', ['booked', 'pending'])
+    .gt('slot.ends_at', new Date().toISOString());
+
+  if (ignoreSlotId) {
+    query = query.neq('slot_id', ignoreSlotId);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) throw error;
+
+  const activeBookings = rows.map((row) => row.slot);
+
+  if (policy.max_active_bookings && activeBookings.length >= policy.max_active_bookings) {
+    violations.push({
+      code: 'MAX_ACTIVE_BOOKINGS',
+      message: `You can hold at most ${policy.max_active_bookings} upcoming booking(s)`,
+      limit: policy.max_active_bookings
+    });
+  }
+
+  if (
+    policy.one_booking_per_faculty &&
+    activeBookings.some((booking) => booking.faculty_id === slot.faculty_id)
+  ) {
+    violations.push({
+      code: 'ONE_PER_FACULTY',
+      message: 'You already have an upcoming booking with this faculty member'
+    });
+  }
+
+  if (
+    policy.prevent_overlapping_bookings &&
+    activeBookings.some((booking) => rangesOverlap(booking, slot))
+  ) {
+    violations.push({
+      code: 'OVERLAPPING_BOOKING',
+      message: 'You already have a booking at this time'
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Check whether a scholar may still cancel a booking. Returns a violation or null.
+ */
+export async function evaluateCancellationPolicy(slot) {
+  const policy = await getEffectivePolicy(slot.faculty_id);
+  const minutesUntilStart = (slotStartsAt(slot) - new Date()) / 60000;
+
+  if (minutesUntilStart < policy.cancellation_cutoff_minutes) {
+    return {
+      code: 'CANCELLATION_CUTOFF',
+      message: `Bookings cannot be cancelled within ${policy.cancellation_cutoff_minutes} minutes of the start`,
+      limit: policy.cancellation_cutoff_minutes
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Send a 422 response describing policy violations
+ */
+export function sendPolicyViolation(res, violations) {
+  return res.status(422).json({
+    error: violations[0].message,
+    code: violations[0].code,
+    violations
+  });
+}
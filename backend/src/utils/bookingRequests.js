@@ -0,0 +1,39 @@
+import { supabaseAdmin } from '../config/database.js';
+import { slotStartsAt } from './slotUtils.js';
+import { offerSlotsToWaitlist } from './waitlist.js';
+
+// How long a pending request holds its seat while the faculty decides
+export const REQUEST_HOLD_MINUTES = Number(process.env.BOOKING_REQUEST_HOLD_MINUTES) || 24 * 60;
+
+/**
+ * Whether booking a slot needs the faculty's approval. The slot's own
+ * setting wins; otherwise the faculty's preference applies.
+ */
+export function requiresApproval(slot, faculty) {
+  if (slot.requires_approval !== null && slot.requires_approval !== undefined) {
+    return slot.requires_approval;
+  }
+  return Boolean(faculty?.requires_booking_approval);
+}
+
+/**
+ * When a request for a slot made now stops holding its seat: after the hold
+ * period, but never later than the start of the slot
+ */
+export function requestExpiry(slot) {
+  const holdEnds = new Date(Date.now() + REQUEST_HOLD_MINUTES * 60 * 1000);
+  const startsAt = slotStartsAt(slot);
+  return (holdEnds < startsAt ? holdEnds : startsAt).toISOString();
+}
+
+/**
+ * Expire pending requests whose hold has run out and offer the freed seats
+ * to the waitlist
+ */
+export async function expireStaleRequests() {
+  const { data: released, error } = await supabaseAdmin.rpc('expire_booking_requests');
+
+  if (error) throw error;
+
+  await offerSlotsToWaitlist(released);
+}
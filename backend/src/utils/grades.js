@@ -0,0 +1,116 @@
+import { supabaseAdmin } from '../config/database.js';
+
+export const RUBRIC_SELECT = '*, criteria:rubric_criteria(*)';
+
+/**
+ * Order a rubric's criteria by position
+ */
+export function withSortedCriteria(rubric) {
+  return {
+    ...rubric,
+    criteria: [...rubric.criteria].sort((a, b) => a.position - b.position)
+  };
+}
+
+/**
+ * Fetch a rubric with its criteria. Returns null when it does not exist.
+ */
+export async function fetchRubric(rubricId) {
+  const { data: rubric, error } = await supabaseAdmin
+    .from('rubrics')
+    .select(RUBRIC_SELECT)
+    .eq('id', rubricId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return rubric && withSortedCriteria(rubric);
+}
+
+/**
+ * Replace a rubric's criteria with the given list, keeping its order
+ */
+export async function setRubricCriteria(rubricId, criteria) {
+  const { error: deleteError } = await supabaseAdmin
+    .from('rubric_criteria')
+    .delete()
+    .eq('rubric_id', rubricId);
+
+  if (deleteError) throw deleteError;
+
+  const rows = criteria.map((criterion, position) => ({
+    rubric_id: rubricId,
+    label: criterion.label,
+    description: criterion.description || null,
+    max_points: criterion.max_points,
+    position
+  }));
+
+  const { error } = await supabaseAdmin.from('rubric_criteria').insert(rows);
+
+  if (error) throw error;
+}
+
+/**
+ * Score a rubric. `points` maps criterion IDs to the points awarded; every
+ * criterion must be scored between 0 and its maximum. Returns the scores
+ * snapshot with totals, or { error }.
+ */
+export function scoreRubric(rubric, points) {
+  const scores = [];
+
+  for (const criterion of rubric.criteria) {
+    const awarded = Number(points?.[criterion.id]);
+    const max = Number(criterion.max_points);
+
+    if (points?.[criterion.id] === undefined || points[criterion.id] === '' || Number.isNaN(awarded)) {
+      return { error: `Enter a score for "${criterion.label}"` };
+    }
+    if (awarded < 0 || awarded > max) {
+      return { error: `"${criterion.label}" must be between 0 and ${max} points` };
+    }
+
+    scores.push({ criterion_id: criterion.id, label: criterion.label, max_points: max, points: awarded });
+  }
+
+  return {
+    scores,
+    total_points: scores.reduce((sum, score) => sum + score.points, 0),
+    max_points: scores.reduce((sum, score) => sum + score.max_points, 0)
+  };
+}
+
+/**
+ * Grades keyed by booking ID. With `releasedOnly`, drafts are left out.
+ */
+export async function fetchGrades(bookingIds, { releasedOnly = false } = {}) {
+  const ids = [...new Set(bookingIds)];
+  if (ids.length === 0) return {};
+
+  let query = supabaseAdmin
+    .from('booking_grades')
+    .select('*')
+    .in('booking_id', ids);
+
+  if (releasedOnly) {
+    query = query.not('released_at', 'is', null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map((grade) => [grade.booking_id, grade]));
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows (arrays of cells) as CSV text
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,101 @@
+// Minimal iCalendar (RFC 5545) writer for subscription feeds
+
+const PRODUCT_ID = '-//Assignment Scheduler//Calendar Feed//EN';
+
+// Suffix that makes event UIDs globally unique
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'assignment-scheduler';
+
+// How often subscribed calendar apps are asked to refresh
+const REFRESH_INTERVAL = 'PT15M';
+
+/**
+ * Escape a TEXT value: backslashes, separators and line breaks
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME (20250101T090000Z)
+ */
+export function formatDateTime(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a
+// space. Multi-byte characters are never split.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Stable event UID for a record, e.g. eventUid('booking', id)
+ */
+export function eventUid(kind, id) {
+  return `${kind}-${id}@${UID_DOMAIN}`;
+}
+
+function eventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `TRANSP:${event.status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document. Each event has uid, sequence, start, end,
+ * summary and optionally description, location, url, updatedAt and status
+ * (CONFIRMED, TENTATIVE or CANCELLED). Cancelled events stay in the feed so
+ * subscribers remove them.
+ */
+export function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
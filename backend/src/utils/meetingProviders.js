@@ -0,0 +1,136 @@
+import {
+  cancelCalendarEvent,
+  createCalendarEventWithMeet,
+  updateCalendarEvent,
+  updateCalendarEventAttendees,
+  updateCalendarEventTime
+} from '../config/googleCalendar.js';
+
+export const MEETING_PROVIDERS = ['google_meet', 'jitsi', 'static_room', 'in_person', 'fake'];
+
+// Provider for faculty who have not picked one
+export const DEFAULT_MEETING_PROVIDER = MEETING_PROVIDERS.includes(process.env.MEETING_PROVIDER)
+  ? process.env.MEETING_PROVIDER
+  : 'google_meet';
+
+const JITSI_BASE_URL = (process.env.JITSI_BASE_URL || 'https://meet.jit.si').replace(/\/+$/, '');
+const JITSI_ROOM_PREFIX = process.env.JITSI_ROOM_PREFIX || 'demo';
+
+// Each provider creates the meeting for a slot's first booking, keeps it in
+// step when the slot or its guest list changes, and cancels it once nobody is
+// booked. create returns { meetingLink, eventId, htmlLink, location } and
+// throws rather than return a link that does not lead to a meeting. update is
+// told what changed ('time', 'attendees', or null for everything) and returns
+// { htmlLink } when the provider has an event page.
+const providers = {
+  google_meet: {
+    async create(slot, eventDetails) {
+      const result = await createCalendarEventWithMeet(eventDetails);
+      if (!result.meetLink) {
+        if (result.eventId) {
+          await cancelCalendarEvent(result.eventId).catch(() => {});
+        }
+        throw new Error('Google Calendar did not return a Meet link');
+      }
+      return {
+        meetingLink: result.meetLink,
+        eventId: result.eventId,
+        htmlLink: result.htmlLink,
+        location: null
+      };
+    },
+    async update(slot, eventDetails, change) {
+      if (!slot.calendar_event_id) return {};
+      let result;
+      if (change === 'time') {
+        result = await updateCalendarEventTime(slot.calendar_event_id, eventDetails);
+      } else if (change === 'attendees') {
+        result = await updateCalendarEventAttendees(slot.calendar_event_id, eventDetails);
+      } else {
+        result = await updateCalendarEvent(slot.calendar_event_id, eventDetails);
+      }
+      return { htmlLink: result.htmlLink };
+    },
+    async cancel(slot) {
+      if (slot.calendar_event_id) {
+        await cancelCalendarEvent(slot.calendar_event_id);
+      }
+    }
+  },
+
+  // Self-hosted Jitsi-style servers open a room for any path, so the slot id
+  // makes a stable, unguessable room name
+  jitsi: {
+    async create(slot) {
+      return {
+        meetingLink: `${JITSI_BASE_URL}/${JITSI_ROOM_PREFIX}-${slot.id}`,
+        eventId: null,
+        location: null
+      };
+    },
+    async update() {
+      return {};
+    },
+    async cancel() {}
+  },
+
+  // The faculty member's own standing room (Zoom, Teams, ...)
+  static_room: {
+    async create(slot, eventDetails, faculty) {
+      if (!faculty.meeting_room_url) {
+        throw new Error(`${faculty.name} has no meeting room link set`);
+      }
+      return { meetingLink: faculty.meeting_room_url, eventId: null, location: null };
+    },
+    async update() {
+      return {};
+    },
+    async cancel() {}
+  },
+
+  in_person: {
+    async create(slot, eventDetails, faculty) {
+      if (!faculty.meeting_location) {
+        throw new Error(`${faculty.name} has no meeting location set`);
+      }
+      return { meetingLink: null, eventId: null, location: faculty.meeting_location };
+    },
+    async update() {
+      return {};
+    },
+    async cancel() {}
+  },
+
+  // Local development without Google credentials. The .invalid domain can
+  // never resolve, so nobody mistakes it for a real meeting.
+  fake: {
+    async create(slot) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake meeting provider is disabled in production');
+      }
+      return { meetingLink: `https://meeting.invalid/fake-${slot.id}`, eventId: null, location: null };
+    },
+    async update() {
+      return {};
+    },
+    async cancel() {}
+  }
+};
+
+/**
+ * The provider a faculty member's new meetings use
+ */
+export function meetingProviderFor(faculty) {
+  return faculty?.meeting_provider || DEFAULT_MEETING_PROVIDER;
+}
+
+/**
+ * Look up a provider implementation by name
+ */
+export function getMeetingProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown meeting provider: ${name}`);
+  }
+  return provider;
+}
@@ -0,0 +1,404 @@
+import { supabaseAdmin } from '../config/database.js';
+import { getMeetingProvider, meetingProviderFor } from './meetingProviders.js';
+import { SLOT_PANELISTS } from './panelists.js';
+
+export const BOOKING_SCHOLAR = 'scholar:users!bookings_scholar_id_fkey(id, name, email, picture)';
+export const BOOKING_ASSIGNMENT = 'assignment:assignments(id, title, course)';
+
+// Columns describing a slot's meeting, cleared together
+const NO_MEETING = {
+  meeting_provider: null,
+  meeting_link: null,
+  meeting_location: null,
+  calendar_event_id: null
+};
+
+/**
+ * Fetch a slot with its faculty and the bookings still holding a seat.
+ * Returns null when the slot does not exist.
+ */
+export async function fetchSlotWithAttendees(slotId) {
+  const { data: slot, error } = await supabaseAdmin
+    .from('slots')
+    .select(`
+      *,
+      faculty:users!slots_faculty_id_fkey(id, name, email, picture, release_cancelled_slots,
+        meeting_provider, meeting_room_url, meeting_location),
+      ${SLOT_PANELISTS},
+      bookings(*, ${BOOKING_SCHOLAR}, ${BOOKING_ASSIGNMENT})
+    `)
+    .eq('id', slotId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!slot) return null;
+
+  const { bookings, ...rest } = slot;
+  return { ...rest, attendees: bookings.filter((booking) => booking.status === 'booked') };
+}
+
+// Helper function to build the calendar event for a booked slot. Every
+// panelist is invited; the lead faculty names the event.
+function buildEventDetails(slot, faculty, attendees) {
+  const startDateTime = new Date(slot.starts_at);
+  const endDateTime = new Date(slot.ends_at);
+  const scholars = attendees.map((booking) => booking.scholar);
+  const panel = slot.panelists?.length > 0 ? slot.panelists : [faculty];
+  const hosts = panel.length > 1 ? `a panel (${panel.map((member) => member.name).join(', ')})` : faculty.name;
+  const scholarLines = attendees.map((booking) =>
+    `Scholar: ${booking.scholar.name} (${booking.scholar.email})` +
+    (booking.assignment ? ` - ${booking.assignment.title}` : '')
+  );
+  const notes = attendees
+    .filter((booking) => booking.notes)
+    .map((booking) => `${booking.scholar.name}: ${booking.notes}`)
+    .join('\n');
+
+  return {
+    summary: slot.capacity > 1
+      ? `Group Assignment Demo with ${hosts}`
+      : `Assignment Demo - ${scholars[0].name} with ${hosts}`,
+    description: `Assignment demonstration session.\n\n${scholarLines.join('\n')}\n` +
+      panel.map((member) => `Faculty: ${member.name} (${member.email})`).join('\n') + '\n\n' +
+      (slot.faculty_notes ? `Faculty notes: ${slot.faculty_notes}\n\n` : '') +
+      `Notes: ${notes || 'No additional notes'}`,
+    startDateTime: startDateTime.toISOString(),
+    endDateTime: endDateTime.toISOString(),
+    timeZone: slot.time_zone,
+    attendees: [...scholars.map((scholar) => scholar.email), ...panel.map((member) => member.email)],
+  };
+}
+
+// Attempts before a meeting job is given up and listed for admins
+const MAX_ATTEMPTS = Number(process.env.MEETING_JOB_MAX_ATTEMPTS) || 6;
+
+// Retries wait 1, 2, 4, ... minutes, capped at an hour
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+
+// A job still processing after this long was interrupted (e.g. a restart)
+const STALE_LOCK_MINUTES = 10;
+
+// Due jobs handled per worker run
+const JOB_BATCH_SIZE = 50;
+
+function retryDelayMinutes(attempts) {
+  return Math.min(RETRY_BASE_MINUTES * 2 ** (attempts - 1), RETRY_MAX_MINUTES);
+}
+
+// Record on each confirmed booking in a slot whether its meeting is in place
+// and, once it is, the calendar event its invitation belongs to
+async function setCalendarStatus(slotId, calendarStatus, event = null) {
+  const changes = { calendar_status: calendarStatus };
+  if (event) {
+    changes.calendar_event_id = event.eventId;
+    changes.calendar_html_link = event.htmlLink;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('bookings')
+    .update(changes)
+    .eq('slot_id', slotId)
+    .eq('status', 'booked');
+
+  if (error) throw error;
+}
+
+/**
+ * Record a meeting side effect in the outbox. A create or update already
+ * waiting for the slot is reused (and made due now) rather than queued twice;
+ * two updates for different changes merge into a full update. Returns the job.
+ */
+export async function queueMeetingJob(slotId, operation, payload = null) {
+  let job = null;
+
+  if (operation !== 'cancel') {
+    const { data: waiting, error } = await supabaseAdmin
+      .from('meeting_jobs')
+      .select('*')
+      .eq('slot_id', slotId)
+      .eq('operation', operation)
+      .eq('status', 'pending')
+      .limit(1);
+
+    if (error) throw error;
+
+    if (waiting.length > 0) {
+      const same = waiting[0].payload?.change === payload?.change;
+      const { data: reused, error: reuseError } = await supabaseAdmin
+        .from('meeting_jobs')
+        .update({ next_attempt_at: new Date().toISOString(), payload: same ? payload : null })
+        .eq('id', waiting[0].id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+      if (reuseError) throw reuseError;
+      job = reused;
+    }
+  }
+
+  if (!job) {
+    const { data, error } = await supabaseAdmin
+      .from('meeting_jobs')
+      .insert({ slot_id: slotId, operation, payload, max_attempts: MAX_ATTEMPTS })
+      .select()
+      .single();
+
+    if (error) throw error;
+    job = data;
+  }
+
+  if (operation !== 'cancel') {
+    await setCalendarStatus(slotId, 'pending');
+  }
+
+  return job;
+}
+
+// Create the slot's meeting through the lead faculty's provider and attach
+// it, unless a concurrent job attached one first. Returns the meeting, or
+// null when it lost that race.
+async function createSlotMeeting(slot) {
+  const providerName = meetingProviderFor(slot.faculty);
+  const provider = getMeetingProvider(providerName);
+  const meeting = await provider.create(
+    slot,
+    buildEventDetails(slot, slot.faculty, slot.attendees),
+    slot.faculty
+  );
+
+  const attachedMeeting = {
+    meeting_provider: providerName,
+    meeting_link: meeting.meetingLink,
+    meeting_location: meeting.location,
+    calendar_event_id: meeting.eventId
+  };
+
+  const { data: attached, error } = await supabaseAdmin
+    .from('slots')
+    .update(attachedMeeting)
+    .eq('id', slot.id)
+    .is('meeting_provider', null)
+    .select('id');
+
+  if (error || attached.length === 0) {
+    await provider.cancel({ ...slot, ...attachedMeeting }).catch((providerError) => {
+      console.error('Failed to remove duplicate meeting:', providerError);
+    });
+    if (error) throw error;
+    return null;
+  }
+
+  return meeting;
+}
+
+// Carry out one job. Creates and updates both bring the slot's meeting in
+// line with its current attendees, so a stale or repeated job is harmless.
+// Returns the calendar event ({ eventId, htmlLink }) the slot's bookings now
+// belong to, or null when there is nothing to record. Provider errors
+// propagate so the job is retried.
+async function performMeetingJob(job) {
+  if (job.operation === 'cancel') {
+    await getMeetingProvider(job.payload.meeting_provider).cancel({ id: job.slot_id, ...job.payload });
+    return null;
+  }
+
+  const slot = job.slot_id && await fetchSlotWithAttendees(job.slot_id);
+
+  // Nobody left to meet; the cancel job takes care of any meeting
+  if (!slot || slot.attendees.length === 0) return null;
+
+  if (!slot.meeting_provider) {
+    const meeting = await createSlotMeeting(slot);
+    if (meeting) {
+      return { eventId: meeting.eventId || null, htmlLink: meeting.htmlLink || null };
+    }
+    // Lost the race to another job: bring its meeting up to date instead
+    return performMeetingJob({ ...job, payload: null });
+  }
+
+  const result = await getMeetingProvider(slot.meeting_provider).update(
+    slot,
+    buildEventDetails(slot, slot.faculty, slot.attendees),
+    job.payload?.change || null
+  );
+
+  return { eventId: slot.calendar_event_id, htmlLink: result.htmlLink || null };
+}
+
+/**
+ * Claim a pending job and run it once. Success marks it done; a failure is
+ * retried with backoff, and after max_attempts the job (and the slot's
+ * bookings) are marked failed. Returns the updated job, or null when the job
+ * was not pending (another worker has it).
+ */
+export async function processMeetingJob(jobId) {
+  const { data: job, error } = await supabaseAdmin
+    .from('meeting_jobs')
+    .update({ status: 'processing', locked_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!job) return null;
+
+  const attempts = job.attempts + 1;
+  let outcome;
+  let event = null;
+
+  try {
+    event = await performMeetingJob(job);
+    outcome = {
+      status: 'done',
+      attempts,
+      locked_at: null,
+      last_error: null,
+      completed_at: new Date().toISOString()
+    };
+  } catch (jobError) {
+    const failed = attempts >= job.max_attempts;
+    console.error(
+      `Meeting job ${job.id} (${job.operation}) attempt ${attempts} of ${job.max_attempts} failed:`,
+      jobError
+    );
+    outcome = {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      locked_at: null,
+      last_error: jobError.message,
+      next_attempt_at: new Date(Date.now() + retryDelayMinutes(attempts) * 60 * 1000).toISOString()
+    };
+  }
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('meeting_jobs')
+    .update(outcome)
+    .eq('id', job.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  if (job.operation !== 'cancel' && job.slot_id && outcome.status !== 'pending') {
+    if (outcome.status === 'done') {
+      await setCalendarStatus(job.slot_id, 'synced', event);
+    } else {
+      await setCalendarStatus(job.slot_id, 'failed');
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Worker run: put interrupted jobs back in the queue, then process every
+ * due job. Returns how many ended done, retrying or failed.
+ */
+export async function runDueMeetingJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000).toISOString();
+
+  const { error: staleError } = await supabaseAdmin
+    .from('meeting_jobs')
+    .update({ status: 'pending', locked_at: null })
+    .eq('status', 'processing')
+    .lt('locked_at', staleBefore);
+
+  if (staleError) throw staleError;
+
+  const { data: due, error } = await supabaseAdmin
+    .from('meeting_jobs')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at')
+    .limit(JOB_BATCH_SIZE);
+
+  if (error) throw error;
+
+  const counts = { done: 0, retrying: 0, failed: 0 };
+  for (const { id } of due) {
+    const job = await processMeetingJob(id);
+    if (!job) continue;
+    if (job.status === 'done') counts.done += 1;
+    else if (job.status === 'failed') counts.failed += 1;
+    else counts.retrying += 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Give a failed job a fresh set of attempts and run it now. Returns the
+ * updated job, or null when the job is not failed.
+ */
+export async function retryMeetingJob(jobId) {
+  const { data: job, error } = await supabaseAdmin
+    .from('meeting_jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!job) return null;
+
+  if (job.operation !== 'cancel' && job.slot_id) {
+    await setCalendarStatus(job.slot_id, 'pending');
+  }
+
+  return processMeetingJob(job.id);
+}
+
+/**
+ * A slot has one meeting shared by all of its attendees. Create it for the
+ * first booking through the lead faculty's meeting provider, keep it in step
+ * as scholars join or leave, and cancel it once nobody is booked. Each change
+ * goes through the meeting outbox and is tried once right away; a provider
+ * that fails leaves the job to the outbox worker's retries (and never a
+ * made-up link). `change` says what moved on an existing meeting ('time' or
+ * 'attendees') so only that part of the calendar event is patched; omit it
+ * to bring the whole event up to date. Returns the slot with its attendees.
+ */
+export async function syncSlotMeeting(slotId, { change = null } = {}) {
+  const slot = await fetchSlotWithAttendees(slotId);
+
+  if (slot.attendees.length === 0) {
+    if (!slot.meeting_provider) {
+      return slot;
+    }
+
+    // Free the slot for a new meeting straight away; the cancel job keeps
+    // what it needs to remove the old one
+    const { error } = await supabaseAdmin
+      .from('slots')
+      .update(NO_MEETING)
+      .eq('id', slot.id);
+
+    if (error) throw error;
+
+    const job = await queueMeetingJob(slot.id, 'cancel', {
+      meeting_provider: slot.meeting_provider,
+      meeting_link: slot.meeting_link,
+      calendar_event_id: slot.calendar_event_id
+    });
+    await processMeetingJob(job.id);
+
+    return { ...slot, ...NO_MEETING };
+  }
+
+  const job = slot.meeting_provider
+    ? await queueMeetingJob(slot.id, 'update', change ? { change } : null)
+    : await queueMeetingJob(slot.id, 'create');
+  await processMeetingJob(job.id);
+
+  return fetchSlotWithAttendees(slotId);
+}
@@ -0,0 +1,91 @@
+import { supabaseAdmin } from '../config/database.js';
+
+// Embed for a slot's whole panel, lead included
+export const SLOT_PANELISTS = 'panelists:users!slot_panelists(id, name, email, picture)';
+
+/**
+ * Faculty IDs on a slot's panel, lead included
+ */
+export async function fetchPanelistIds(slotId) {
+  const { data, error } = await supabaseAdmin
+    .from('slot_panelists')
+    .select('faculty_id')
+    .eq('slot_id', slotId);
+
+  if (error) throw error;
+
+  return data.map((row) => row.faculty_id);
+}
+
+/**
+ * Whether a user may manage a slot: any admin or any panelist
+ */
+export async function canManageSlot(slot, user) {
+  if (user.role === 'admin' || slot.faculty_id === user.id) return true;
+
+  const { data, error } = await supabaseAdmin
+    .from('slot_panelists')
+    .select('slot_id')
+    .eq('slot_id', slot.id)
+    .eq('faculty_id', user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return Boolean(data);
+}
+
+/**
+ * IDs of every slot a faculty member sits on the panel of
+ */
+export async function fetchPanelSlotIds(facultyId) {
+  const { data, error } = await supabaseAdmin
+    .from('slot_panelists')
+    .select('slot_id')
+    .eq('faculty_id', facultyId);
+
+  if (error) throw error;
+
+  return data.map((row) => row.slot_id);
+}
+
+/**
+ * IDs from the list that are not faculty or admin users
+ */
+export async function findUnknownFaculty(facultyIds) {
+  const ids = [...new Set(facultyIds)];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .in('id', ids)
+    .in('role', ['faculty', 'admin']);
+
+  if (error) throw error;
+
+  const known = new Set(data.map((user) => user.id));
+  return ids.filter((id) => !known.has(id));
+}
+
+/**
+ * Replace the co-panelists of a slot. The lead always stays on the panel.
+ */
+export async function setSlotPanelists(slot, facultyIds) {
+  const { error: deleteError } = await supabaseAdmin
+    .from('slot_panelists')
+    .delete()
+    .eq('slot_id', slot.id)
+    .neq('faculty_id', slot.faculty_id);
+
+  if (deleteError) throw deleteError;
+
+  const rows = [...new Set(facultyIds)]
+    .filter((facultyId) => facultyId !== slot.faculty_id)
+    .map((facultyId) => ({ slot_id: slot.id, faculty_id: facultyId }));
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('slot_panelists').insert(rows);
+
+  if (error) throw error;
+}
@@ -0,0 +1,222 @@
+import { supabaseAdmin } from '../config/database.js';
+
+/**
+ * Normalize a date-like value to a YYYY-MM-DD string
+ */
+export function toDateOnly(value) {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Normalize an HH:MM or HH:MM:SS string to HH:MM:SS
+ */
+export function toTimeOnly(value) {
+  return value.length === 5 ? `${value}:00` : value;
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD string (calendar arithmetic in UTC)
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD string
+ */
+export function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Today's date as a YYYY-MM-DD string in a time zone (UTC by default)
+ */
+export function today(zone = 'UTC') {
+  return instantToZoned(Date.now(), zone).date;
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows about
+ */
+export function isValidTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time (YYYY-MM-DD, HH:MM:SS) of an instant in a zone
+ */
+export function instantToZoned(instant, zone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant));
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}:${get('second')}`
+  };
+}
+
+// Offset of a zone from UTC, in milliseconds, at an instant
+function zoneOffset(instantMs, zone) {
+  const { date, time } = instantToZoned(instantMs, zone);
+  return Date.parse(`${date}T${time}Z`) - instantMs;
+}
+
+/**
+ * The instant at which a wall-clock date and time occurs in a zone.
+ * During a DST fall-back the earlier of the two occurrences is used; a time
+ * skipped by a spring-forward does not exist and yields null.
+ */
+export function zonedToInstant(date, time, zone) {
+  const wallMs = Date.parse(`${date}T${toTimeOnly(time)}Z`);
+  const day = 24 * 60 * 60 * 1000;
+  const offsets = new Set([zoneOffset(wallMs - day, zone), zoneOffset(wallMs + day, zone)]);
+
+  const candidates = [...offsets]
+    .map((offset) => wallMs - offset)
+    .filter((instantMs) => {
+      const zoned = instantToZoned(instantMs, zone);
+      return zoned.date === date && zoned.time === toTimeOnly(time);
+    })
+    .sort((a, b) => a - b);
+
+  return candidates.length > 0 ? new Date(candidates[0]) : null;
+}
+
+/**
+ * Zone-aware columns for a slot defined by wall-clock date and times in a zone.
+ * Returns null when either end falls into a DST gap.
+ */
+export function zonedSlotTimes(date, startTime, endTime, zone) {
+  const startsAt = zonedToInstant(date, startTime, zone);
+  const endsAt = zonedToInstant(date, endTime, zone);
+
+  if (!startsAt || !endsAt) return null;
+
+  return {
+    date,
+    start_time: toTimeOnly(startTime),
+    end_time: toTimeOnly(endTime),
+    starts_at: startsAt.toISOString(),
+    ends_at: endsAt.toISOString(),
+    time_zone: zone
+  };
+}
+
+/**
+ * A user's scheduling zone (falls back to UTC until they pick one)
+ */
+export function userTimeZone(user) {
+  return user?.time_zone || 'UTC';
+}
+
+/**
+ * The zone a user views times in: their display choice, else their
+ * scheduling zone
+ */
+export function displayTimeZone(user) {
+  return user?.display_time_zone || userTimeZone(user);
+}
+
+/**
+ * Find slots that overlap the given instant range on the schedule of a
+ * faculty member, or of any of several (e.g. everyone on a panel)
+ */
+export async function findOverlappingSlots(facultyIds, startsAt, endsAt, excludeSlotId = null) {
+  const { data, error } = await supabaseAdmin
+    .from('slot_panelists')
+    .select('slot:slots!inner(*)')
+    .in('faculty_id', [].concat(facultyIds))
+    .lt('slot.starts_at', endsAt)
+    .gt('slot.ends_at', startsAt);
+
+  if (error) throw error;
+
+  const slots = new Map((data || []).map((row) => [row.slot.id, row.slot]));
+  slots.delete(excludeSlotId);
+  return [...slots.values()];
+}
+
+/**
+ * Convert an HH:MM[:SS] string to minutes since midnight
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to an HH:MM:SS string
+ */
+export function minutesToTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}:00`;
+}
+
+/**
+ * Split a time window into consecutive fixed-length slots separated by a buffer
+ */
+export function splitWindow(windowStart, windowEnd, slotMinutes, bufferMinutes = 0) {
+  const end = timeToMinutes(windowEnd);
+  const slots = [];
+
+  for (
+    let start = timeToMinutes(windowStart);
+    start + slotMinutes <= end;
+    start += slotMinutes + bufferMinutes
+  ) {
+    slots.push({
+      start_time: minutesToTime(start),
+      end_time: minutesToTime(start + slotMinutes)
+    });
+  }
+
+  return slots;
+}
+
+/**
+ * Whether two slots (with starts_at/ends_at instants) overlap
+ */
+export function rangesOverlap(a, b) {
+  return new Date(a.starts_at) < new Date(b.ends_at) && new Date(a.ends_at) > new Date(b.starts_at);
+}
+
+/**
+ * Start of a slot as a Date
+ */
+export function slotStartsAt(slot) {
+  return new Date(slot.starts_at);
+}
+
+/**
+ * Attendance summaries keyed by scholar ID
+ */
+export async function fetchAttendance(scholarIds) {
+  const ids = [...new Set(scholarIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabaseAdmin
+    .from('scholar_attendance')
+    .select('*')
+    .in('scholar_id', ids);
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map((row) => [row.scholar_id, row]));
+}
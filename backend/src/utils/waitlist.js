@@ -0,0 +1,105 @@
+import { supabaseAdmin } from '../config/database.js';
+import { fetchPanelistIds } from './panelists.js';
+import { slotStartsAt } from './slotUtils.js';
+
+// How long a waitlisted scholar has to claim an offered slot
+export const OFFER_HOLD_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+/**
+ * Mark offers whose hold has run out as expired
+ */
+export async function expireStaleOffers() {
+  const { error } = await supabaseAdmin
+    .from('waitlist_entries')
+    .update({ status: 'expired' })
+    .eq('status', 'offered')
+    .lt('offer_expires_at', new Date().toISOString());
+
+  if (error) throw error;
+}
+
+/**
+ * Offer a newly available slot to the first scholar waiting for any faculty
+ * member on its panel.
+ * The slot is held exclusively for them until the offer expires, after which
+ * it is back in the general pool. Returns the offered entry, if any.
+ */
+export async function offerSlotToWaitlist(slot) {
+  // Slots inside a blackout or holiday, or already under way, are not offered to anyone
+  if (slot.needs_reschedule || slotStartsAt(slot) <= new Date()) return null;
+
+  await expireStaleOffers();
+
+  const panelistIds = await fetchPanelistIds(slot.id);
+
+  const { data: entries, error } = await supabaseAdmin
+    .from('waitlist_entries')
+    .select('*')
+    .in('faculty_id', panelistIds)
+    .eq('status', 'waiting')
+    .or(`date.is.null,date.eq.${slot.date}`)
+    .order('created_at')
+    .limit(1);
+
+  if (error) throw error;
+
+  const entry = entries[0];
+  if (!entry) return null;
+
+  const offerExpiresAt = new Date(Date.now() + OFFER_HOLD_MINUTES * 60 * 1000).toISOString();
+
+  // Only hold the slot if it is still open and unheld
+  const { data: held, error: holdError } = await supabaseAdmin
+    .from('slots')
+    .update({ held_for: entry.scholar_id, held_until: offerExpiresAt })
+    .eq('id', slot.id)
+    .eq('status', 'available')
+    .or(`held_until.is.null,held_until.lt.${new Date().toISOString()}`)
+    .select('id');
+
+  if (holdError) throw holdError;
+  if (!held || held.length === 0) return null;
+
+  const { data: offered, error: offerError } = await supabaseAdmin
+    .from('waitlist_entries')
+    .update({
+      status: 'offered',
+      offered_slot_id: slot.id,
+      offer_expires_at: offerExpiresAt
+    })
+    .eq('id', entry.id)
+    .select()
+    .single();
+
+  if (offerError) throw offerError;
+
+  return offered;
+}
+
+/**
+ * Offer each of the given slots to the waitlist. Failures are logged and never
+ * block the operation that opened the slots.
+ */
+export async function offerSlotsToWaitlist(slots) {
+  for (const slot of slots) {
+    try {
+      await offerSlotToWaitlist(slot);
+    } catch (error) {
+      console.error('Failed to offer slot to waitlist:', error);
+    }
+  }
+}
+
+/**
+ * Record that a scholar claimed the slot they were offered
+ */
+export async function markOfferClaimed(slotId, scholarId) {
+  const { error } = await supabaseAdmin
+    .from('waitlist_entries')
+    .update({ status: 'claimed' })
+    .eq('offered_slot_id', slotId)
+    .eq('scholar_id', scholarId)
+    .eq('status', 'offered');
+
+  if (error) throw error;
+}
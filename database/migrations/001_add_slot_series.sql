@@ -0,0 +1,54 @@
+-- Add recurring availability series for faculty slots
+-- Run this in your Supabase SQL Editor
+
+-- Create slot_series table
+CREATE TABLE IF NOT EXISTS slot_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days_of_week SMALLINT[] NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    exception_dates DATE[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    CHECK (end_time > start_time)
+);
+
+-- Link materialized slots back to their series
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES slot_series(id) ON DELETE SET NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_slot_series_faculty_id ON slot_series(faculty_id);
+CREATE INDEX IF NOT EXISTS idx_slots_series_id ON slots(series_id) WHERE series_id IS NOT NULL;
+
+-- Create trigger to update updated_at
+CREATE TRIGGER update_slot_series_updated_at
+    BEFORE UPDATE ON slot_series
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE slot_series ENABLE ROW LEVEL SECURITY;
+
+-- All authenticated users can view series
+CREATE POLICY "Slot series are viewable by authenticated users"
+    ON slot_series FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Faculty can manage their own series
+CREATE POLICY "Faculty can manage own slot series"
+    ON slot_series FOR ALL
+    TO authenticated
+    USING (faculty_id = auth.uid())
+    WITH CHECK (faculty_id = auth.uid());
+
+-- Comments for documentation
+COMMENT ON TABLE slot_series IS 'Recurring availability definitions that are materialized into individual slots';
+COMMENT ON COLUMN slot_series.days_of_week IS 'Days the series repeats on: 0 = Sunday ... 6 = Saturday';
+COMMENT ON COLUMN slot_series.exception_dates IS 'Dates within the range on which no slot is created';
+COMMENT ON COLUMN slots.series_id IS 'Recurring series this slot was generated from, if any';
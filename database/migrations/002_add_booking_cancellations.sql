@@ -0,0 +1,104 @@
+-- Add booking cancellation support
+-- Run this in your Supabase SQL Editor
+
+-- Store the Google Calendar event created for a booking so it can be cancelled
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS calendar_event_id TEXT;
+
+-- Faculty preference: return slots to the available pool when a scholar cancels
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS release_cancelled_slots BOOLEAN NOT NULL DEFAULT true;
+
+-- Create booking_cancellations table (history of cancelled bookings)
+CREATE TABLE IF NOT EXISTS booking_cancellations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot_id UUID REFERENCES slots(id) ON DELETE SET NULL,
+    scholar_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_released BOOLEAN NOT NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_booking_cancellations_scholar_id ON booking_cancellations(scholar_id);
+CREATE INDEX IF NOT EXISTS idx_booking_cancellations_faculty_id ON booking_cancellations(faculty_id);
+CREATE INDEX IF NOT EXISTS idx_booking_cancellations_slot_id ON booking_cancellations(slot_id);
+
+-- Enable RLS
+ALTER TABLE booking_cancellations ENABLE ROW LEVEL SECURITY;
+
+-- Scholars and faculty can view cancellations they are part of
+CREATE POLICY "Cancellations are viewable by participants"
+    ON booking_cancellations FOR SELECT
+    TO authenticated
+    USING (
+        scholar_id = auth.uid() OR
+        faculty_id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+        )
+    );
+
+-- Cancel a booked slot and record the cancellation in one transaction.
+-- Released slots return to the pool; otherwise the slot is cancelled.
+CREATE OR REPLACE FUNCTION cancel_booking(
+    p_slot_id UUID,
+    p_release BOOLEAN,
+    p_cancelled_by UUID,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booked slots%ROWTYPE;
+BEGIN
+    SELECT * INTO booked FROM slots
+    WHERE id = p_slot_id AND status = 'booked'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    INSERT INTO booking_cancellations (
+        slot_id, scholar_id, faculty_id, cancelled_by, reason,
+        date, start_time, end_time, slot_released
+    ) VALUES (
+        booked.id, booked.scholar_id, booked.faculty_id, p_cancelled_by, p_reason,
+        booked.date, booked.start_time, booked.end_time, p_release
+    );
+
+    IF p_release THEN
+        RETURN QUERY
+        UPDATE slots
+        SET status = 'available',
+            scholar_id = NULL,
+            notes = NULL,
+            meeting_link = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_slot_id
+        RETURNING *;
+    ELSE
+        RETURN QUERY
+        UPDATE slots
+        SET status = 'cancelled',
+            meeting_link = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_slot_id
+        RETURNING *;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON TABLE booking_cancellations IS 'History of cancelled bookings with who cancelled and why';
+COMMENT ON COLUMN booking_cancellations.slot_released IS 'Whether the slot was returned to the available pool';
+COMMENT ON COLUMN slots.calendar_event_id IS 'Google Calendar event ID for the booked session';
+COMMENT ON COLUMN users.release_cancelled_slots IS 'Faculty preference: return slots to the pool when scholars cancel';
+COMMENT ON FUNCTION cancel_booking IS 'Cancel a booked slot and record who cancelled it';
@@ -0,0 +1,32 @@
+-- Add session outcome (attendance) tracking
+-- Run this in your Supabase SQL Editor
+
+-- Allow the no_show status
+ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_status_check;
+ALTER TABLE slots ADD CONSTRAINT slots_status_check
+    CHECK (status IN ('available', 'booked', 'cancelled', 'completed', 'no_show'));
+
+-- Outcome recorded by faculty once the session has started
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS outcome VARCHAR(20) CHECK (outcome IN ('completed', 'no_show', 'faculty_cancelled')),
+ADD COLUMN IF NOT EXISTS outcome_remark TEXT,
+ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS outcome_recorded_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_slots_outcome ON slots(outcome) WHERE outcome IS NOT NULL;
+
+-- Per-scholar attendance summary
+CREATE OR REPLACE VIEW scholar_attendance AS
+SELECT
+    scholar_id,
+    COUNT(*) FILTER (WHERE outcome = 'completed') AS completed_count,
+    COUNT(*) FILTER (WHERE outcome = 'no_show') AS no_show_count,
+    COUNT(*) FILTER (WHERE outcome = 'faculty_cancelled') AS faculty_cancelled_count
+FROM slots
+WHERE scholar_id IS NOT NULL AND outcome IS NOT NULL
+GROUP BY scholar_id;
+
+-- Comments for documentation
+COMMENT ON COLUMN slots.outcome IS 'Session outcome: completed, no_show (scholar did not attend), faculty_cancelled';
+COMMENT ON COLUMN slots.outcome_remark IS 'Optional faculty remark about the session outcome';
+COMMENT ON VIEW scholar_attendance IS 'Completed, no-show and faculty-cancelled counts per scholar';
@@ -0,0 +1,57 @@
+-- Add atomic booking reschedule
+-- Run this in your Supabase SQL Editor
+
+-- Move a scholar's booking from one slot to another in a single transaction.
+-- The meeting link and calendar event travel with the booking; the old slot
+-- is returned to the available pool.
+--
+-- Errors:
+--   SL404 - the booking does not exist or does not belong to the scholar
+--   SL409 - the target slot is no longer available
+CREATE OR REPLACE FUNCTION reschedule_booking(
+    p_old_slot_id UUID,
+    p_new_slot_id UUID,
+    p_scholar_id UUID
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    old_slot slots%ROWTYPE;
+    new_slot slots%ROWTYPE;
+BEGIN
+    -- Lock both rows in a stable order to avoid deadlocks
+    PERFORM 1 FROM slots
+    WHERE id IN (p_old_slot_id, p_new_slot_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO old_slot FROM slots WHERE id = p_old_slot_id;
+    IF NOT FOUND OR old_slot.status <> 'booked' OR old_slot.scholar_id <> p_scholar_id THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    SELECT * INTO new_slot FROM slots WHERE id = p_new_slot_id;
+    IF NOT FOUND OR new_slot.status <> 'available' THEN
+        RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+    END IF;
+
+    UPDATE slots
+    SET status = 'booked',
+        scholar_id = old_slot.scholar_id,
+        notes = old_slot.notes,
+        meeting_link = old_slot.meeting_link,
+        calendar_event_id = old_slot.calendar_event_id
+    WHERE id = p_new_slot_id;
+
+    UPDATE slots
+    SET status = 'available',
+        scholar_id = NULL,
+        notes = NULL,
+        meeting_link = NULL,
+        calendar_event_id = NULL
+    WHERE id = p_old_slot_id;
+
+    RETURN QUERY SELECT * FROM slots WHERE id = p_new_slot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reschedule_booking IS 'Atomically move a booking to another available slot';
@@ -0,0 +1,39 @@
+-- Add race-free slot booking
+-- Run this in your Supabase SQL Editor
+
+-- Claim an available slot for a scholar with a single conditional update.
+-- Two concurrent callers can never both succeed: the row lock taken by the
+-- UPDATE makes the second caller re-check status = 'available' and fail.
+--
+-- Errors:
+--   SL404 - the slot does not exist
+--   SL409 - the slot is no longer available
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booked slots%ROWTYPE;
+BEGIN
+    UPDATE slots
+    SET status = 'booked',
+        scholar_id = p_scholar_id,
+        notes = p_notes
+    WHERE id = p_slot_id
+      AND status = 'available'
+    RETURNING * INTO booked;
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN NEXT booked;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION book_slot IS 'Atomically claim an available slot for a scholar';
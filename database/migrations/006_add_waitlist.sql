@@ -0,0 +1,130 @@
+-- Add per-faculty waitlist with exclusive, time-limited slot offers
+-- Run this in your Supabase SQL Editor
+
+-- Slots can be held for one scholar until a deadline
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS held_for UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS held_until TIMESTAMP WITH TIME ZONE;
+
+-- Create waitlist_entries table
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scholar_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'left')),
+    offered_slot_id UUID REFERENCES slots(id) ON DELETE SET NULL,
+    offer_expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A scholar can only wait once per faculty/date at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_active
+    ON waitlist_entries(faculty_id, scholar_id, COALESCE(date, '1970-01-01'::date))
+    WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_faculty_status ON waitlist_entries(faculty_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_scholar_id ON waitlist_entries(scholar_id);
+
+-- Create trigger to update updated_at
+CREATE TRIGGER update_waitlist_entries_updated_at
+    BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE waitlist_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Waitlist entries are viewable by participants"
+    ON waitlist_entries FOR SELECT
+    TO authenticated
+    USING (scholar_id = auth.uid() OR faculty_id = auth.uid());
+
+-- Booking must respect holds: a held slot can only be claimed by the scholar
+-- it is held for until the hold expires
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booked slots%ROWTYPE;
+BEGIN
+    UPDATE slots
+    SET status = 'booked',
+        scholar_id = p_scholar_id,
+        notes = p_notes,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_slot_id
+      AND status = 'available'
+      AND (held_until IS NULL OR held_until < NOW() OR held_for = p_scholar_id)
+    RETURNING * INTO booked;
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN NEXT booked;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION reschedule_booking(
+    p_old_slot_id UUID,
+    p_new_slot_id UUID,
+    p_scholar_id UUID
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    old_slot slots%ROWTYPE;
+    new_slot slots%ROWTYPE;
+BEGIN
+    -- Lock both rows in a stable order to avoid deadlocks
+    PERFORM 1 FROM slots
+    WHERE id IN (p_old_slot_id, p_new_slot_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO old_slot FROM slots WHERE id = p_old_slot_id;
+    IF NOT FOUND OR old_slot.status <> 'booked' OR old_slot.scholar_id <> p_scholar_id THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    SELECT * INTO new_slot FROM slots WHERE id = p_new_slot_id;
+    IF NOT FOUND OR new_slot.status <> 'available'
+       OR (new_slot.held_until >= NOW() AND new_slot.held_for IS DISTINCT FROM p_scholar_id) THEN
+        RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+    END IF;
+
+    UPDATE slots
+    SET status = 'booked',
+        scholar_id = old_slot.scholar_id,
+        notes = old_slot.notes,
+        meeting_link = old_slot.meeting_link,
+        calendar_event_id = old_slot.calendar_event_id,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_new_slot_id;
+
+    UPDATE slots
+    SET status = 'available',
+        scholar_id = NULL,
+        notes = NULL,
+        meeting_link = NULL,
+        calendar_event_id = NULL
+    WHERE id = p_old_slot_id;
+
+    RETURN QUERY SELECT * FROM slots WHERE id = p_new_slot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON TABLE waitlist_entries IS 'Scholars waiting for a faculty member (optionally on a specific date) to open a slot';
+COMMENT ON COLUMN waitlist_entries.date IS 'Only offer slots on this date; NULL means any date';
+COMMENT ON COLUMN slots.held_for IS 'Scholar with an exclusive offer on this slot';
+COMMENT ON COLUMN slots.held_until IS 'When the exclusive offer expires and the slot returns to the general pool';
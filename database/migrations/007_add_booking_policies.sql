@@ -0,0 +1,59 @@
+-- Add configurable booking policies
+-- Run this in your Supabase SQL Editor
+
+-- Create booking_policies table.
+-- The row with faculty_id NULL holds the institution-wide defaults; a row per
+-- faculty overrides any non-NULL field for that faculty's slots.
+CREATE TABLE IF NOT EXISTS booking_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    max_active_bookings INTEGER CHECK (max_active_bookings > 0),
+    one_booking_per_faculty BOOLEAN,
+    min_lead_minutes INTEGER CHECK (min_lead_minutes >= 0),
+    cancellation_cutoff_minutes INTEGER CHECK (cancellation_cutoff_minutes >= 0),
+    prevent_overlapping_bookings BOOLEAN,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only one global row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_policies_global
+    ON booking_policies((faculty_id IS NULL)) WHERE faculty_id IS NULL;
+
+-- Create trigger to update updated_at
+CREATE TRIGGER update_booking_policies_updated_at
+    BEFORE UPDATE ON booking_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE booking_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Booking policies are viewable by authenticated users"
+    ON booking_policies FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Only admins can manage booking policies"
+    ON booking_policies FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+        )
+    );
+
+-- Default global policy (no limits beyond no double-booking the same time)
+INSERT INTO booking_policies (faculty_id, one_booking_per_faculty, min_lead_minutes, cancellation_cutoff_minutes, prevent_overlapping_bookings)
+VALUES (NULL, false, 0, 0, true)
+ON CONFLICT DO NOTHING;
+
+-- Comments for documentation
+COMMENT ON TABLE booking_policies IS 'Booking rules: global defaults (faculty_id NULL) and per-faculty overrides';
+COMMENT ON COLUMN booking_policies.max_active_bookings IS 'Maximum upcoming bookings a scholar may hold (NULL = unlimited)';
+COMMENT ON COLUMN booking_policies.one_booking_per_faculty IS 'Scholar may hold at most one upcoming booking with this faculty';
+COMMENT ON COLUMN booking_policies.min_lead_minutes IS 'Minimum minutes between booking and session start';
+COMMENT ON COLUMN booking_policies.cancellation_cutoff_minutes IS 'Scholars cannot cancel within this many minutes of the start';
+COMMENT ON COLUMN booking_policies.prevent_overlapping_bookings IS 'Scholar may not hold two bookings that overlap in time';
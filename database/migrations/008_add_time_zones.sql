@@ -0,0 +1,106 @@
+-- Add time-zone aware slots
+-- Run this in your Supabase SQL Editor
+
+-- IANA time zones per user: time_zone is the zone faculty define slots and
+-- series in; display_time_zone is where each user reads times (NULL follows
+-- time_zone), so switching it while travelling leaves scheduling alone
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64),
+ADD COLUMN IF NOT EXISTS display_time_zone VARCHAR(64);
+
+-- Slots keep their wall-clock date/start_time/end_time in the faculty's zone
+-- and gain the exact instants they start and end
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64),
+ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE slot_series
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE booking_cancellations
+ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+-- Backfill existing rows. Their zone was never recorded, so use the
+-- faculty's zone if set and UTC otherwise.
+UPDATE slots
+SET time_zone = COALESCE(users.time_zone, 'UTC')
+FROM users
+WHERE users.id = slots.faculty_id AND slots.time_zone IS NULL;
+
+UPDATE slots
+SET starts_at = (date + start_time) AT TIME ZONE time_zone,
+    ends_at = (date + end_time) AT TIME ZONE time_zone
+WHERE starts_at IS NULL;
+
+UPDATE booking_cancellations
+SET starts_at = (date + start_time) AT TIME ZONE 'UTC',
+    ends_at = (date + end_time) AT TIME ZONE 'UTC'
+WHERE starts_at IS NULL;
+
+ALTER TABLE slots
+ALTER COLUMN time_zone SET NOT NULL,
+ALTER COLUMN starts_at SET NOT NULL,
+ALTER COLUMN ends_at SET NOT NULL;
+
+-- Cancellation history records the exact instants as well
+CREATE OR REPLACE FUNCTION cancel_booking(
+    p_slot_id UUID,
+    p_release BOOLEAN,
+    p_cancelled_by UUID,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booked slots%ROWTYPE;
+BEGIN
+    SELECT * INTO booked FROM slots
+    WHERE id = p_slot_id AND status = 'booked'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    INSERT INTO booking_cancellations (
+        slot_id, scholar_id, faculty_id, cancelled_by, reason,
+        date, start_time, end_time, starts_at, ends_at, slot_released
+    ) VALUES (
+        booked.id, booked.scholar_id, booked.faculty_id, p_cancelled_by, p_reason,
+        booked.date, booked.start_time, booked.end_time,
+        booked.starts_at, booked.ends_at, p_release
+    );
+
+    IF p_release THEN
+        RETURN QUERY
+        UPDATE slots
+        SET status = 'available',
+            scholar_id = NULL,
+            notes = NULL,
+            meeting_link = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_slot_id
+        RETURNING *;
+    ELSE
+        RETURN QUERY
+        UPDATE slots
+        SET status = 'cancelled',
+            meeting_link = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_slot_id
+        RETURNING *;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_slots_starts_at ON slots(starts_at);
+CREATE INDEX IF NOT EXISTS idx_slots_faculty_starts_at ON slots(faculty_id, starts_at);
+
+-- Comments for documentation
+COMMENT ON COLUMN users.time_zone IS 'IANA time zone faculty define slots in; also the default display zone';
+COMMENT ON COLUMN users.display_time_zone IS 'IANA time zone the user views times in (NULL follows time_zone)';
+COMMENT ON COLUMN slots.time_zone IS 'IANA zone the wall-clock date/start_time/end_time are expressed in';
+COMMENT ON COLUMN slots.starts_at IS 'Exact start instant of the slot';
+COMMENT ON COLUMN slots.ends_at IS 'Exact end instant of the slot';
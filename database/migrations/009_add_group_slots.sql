@@ -0,0 +1,265 @@
+-- Add group slots: several scholars can book the same slot until it is full
+-- Run this in your Supabase SQL Editor
+
+-- Seats per slot. booked_count is kept in step with the active bookings by
+-- the functions below so a seat can be claimed with one conditional update.
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity BETWEEN 1 AND 50),
+ADD COLUMN IF NOT EXISTS booked_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE slots ADD CONSTRAINT slots_booked_count_check
+    CHECK (booked_count BETWEEN 0 AND capacity);
+
+-- One row per scholar per slot; outcomes are recorded per attendee
+CREATE TABLE IF NOT EXISTS bookings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot_id UUID NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    scholar_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled', 'completed', 'no_show')),
+    notes TEXT,
+    outcome VARCHAR(20) CHECK (outcome IN ('completed', 'no_show', 'faculty_cancelled')),
+    outcome_remark TEXT,
+    outcome_recorded_at TIMESTAMP WITH TIME ZONE,
+    outcome_recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A scholar holds at most one active seat in a slot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_active
+    ON bookings(slot_id, scholar_id)
+    WHERE status = 'booked';
+
+CREATE INDEX IF NOT EXISTS idx_bookings_slot_id ON bookings(slot_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_scholar_status ON bookings(scholar_id, status);
+
+CREATE TRIGGER update_bookings_updated_at
+    BEFORE UPDATE ON bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Bookings are viewable by the scholar and the slot's faculty"
+    ON bookings FOR SELECT
+    TO authenticated
+    USING (
+        scholar_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM slots WHERE slots.id = bookings.slot_id AND slots.faculty_id = auth.uid())
+    );
+
+-- Move existing single-scholar bookings into the new relation
+INSERT INTO bookings (slot_id, scholar_id, status, notes, outcome, outcome_remark,
+                      outcome_recorded_at, outcome_recorded_by, created_at)
+SELECT id, scholar_id,
+       CASE WHEN status IN ('completed', 'no_show', 'cancelled') THEN status ELSE 'booked' END,
+       notes, outcome, outcome_remark, outcome_recorded_at, outcome_recorded_by, updated_at
+FROM slots
+WHERE scholar_id IS NOT NULL;
+
+UPDATE slots SET booked_count = 1 WHERE scholar_id IS NOT NULL AND status = 'booked';
+
+-- Attendance now comes from bookings
+CREATE OR REPLACE VIEW scholar_attendance AS
+SELECT
+    scholar_id,
+    COUNT(*) FILTER (WHERE outcome = 'completed') AS completed_count,
+    COUNT(*) FILTER (WHERE outcome = 'no_show') AS no_show_count,
+    COUNT(*) FILTER (WHERE outcome = 'faculty_cancelled') AS faculty_cancelled_count
+FROM bookings
+WHERE outcome IS NOT NULL
+GROUP BY scholar_id;
+
+-- book_slot and reschedule_booking now return the booking instead of the slot
+DROP FUNCTION IF EXISTS book_slot(UUID, UUID, TEXT);
+DROP FUNCTION IF EXISTS reschedule_booking(UUID, UUID, UUID);
+
+-- cancel_booking now takes the booking instead of the slot
+DROP FUNCTION IF EXISTS cancel_booking(UUID, BOOLEAN, UUID, TEXT);
+
+-- Claim one seat in a slot. The conditional update on the slot row serialises
+-- concurrent callers, so a slot is never booked past its capacity.
+--
+-- Errors:
+--   SL404 - the slot does not exist
+--   SL409 - the slot is full, held for someone else, or already booked by this scholar
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_slot_id
+      AND status = 'available'
+      AND booked_count < capacity
+      AND (held_until IS NULL OR held_until < NOW() OR held_for = p_scholar_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings
+          WHERE slot_id = p_slot_id AND scholar_id = p_scholar_id AND status = 'booked'
+      );
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO bookings (slot_id, scholar_id, notes)
+    VALUES (p_slot_id, p_scholar_id, p_notes)
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give up a seat. Released seats can be booked again; otherwise the seat is
+-- withdrawn, and a slot left with no attendees is cancelled. When
+-- p_cancelled_by is given the cancellation is also written to
+-- booking_cancellations in the same transaction; rolling back a booking that
+-- never went through passes NULL and leaves no history.
+CREATE OR REPLACE FUNCTION cancel_booking(
+    p_booking_id UUID,
+    p_release BOOLEAN,
+    p_cancelled_by UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booking bookings%ROWTYPE;
+    slot slots%ROWTYPE;
+BEGIN
+    UPDATE bookings
+    SET status = 'cancelled'
+    WHERE id = p_booking_id AND status = 'booked'
+    RETURNING * INTO booking;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    IF p_release THEN
+        UPDATE slots
+        SET booked_count = booked_count - 1,
+            status = 'available'
+        WHERE id = booking.slot_id
+        RETURNING * INTO slot;
+    ELSE
+        UPDATE slots
+        SET booked_count = booked_count - 1,
+            capacity = GREATEST(capacity - 1, 1),
+            status = CASE
+                WHEN booked_count - 1 = 0 THEN 'cancelled'
+                WHEN booked_count - 1 >= capacity - 1 THEN 'booked'
+                ELSE status
+            END
+        WHERE id = booking.slot_id
+        RETURNING * INTO slot;
+    END IF;
+
+    IF p_cancelled_by IS NOT NULL THEN
+        INSERT INTO booking_cancellations (
+            slot_id, scholar_id, faculty_id, cancelled_by, reason,
+            date, start_time, end_time, starts_at, ends_at, slot_released
+        ) VALUES (
+            slot.id, booking.scholar_id, slot.faculty_id, p_cancelled_by, p_reason,
+            slot.date, slot.start_time, slot.end_time, slot.starts_at, slot.ends_at, p_release
+        );
+    END IF;
+
+    RETURN NEXT slot;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Move a scholar's seat to another slot in one transaction
+CREATE OR REPLACE FUNCTION reschedule_booking(
+    p_old_slot_id UUID,
+    p_new_slot_id UUID,
+    p_scholar_id UUID
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    booking bookings%ROWTYPE;
+    old_slot slots%ROWTYPE;
+    new_slot slots%ROWTYPE;
+BEGIN
+    -- Lock both rows in a stable order to avoid deadlocks
+    PERFORM 1 FROM slots
+    WHERE id IN (p_old_slot_id, p_new_slot_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO booking FROM bookings
+    WHERE slot_id = p_old_slot_id AND scholar_id = p_scholar_id AND status = 'booked';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    SELECT * INTO old_slot FROM slots WHERE id = p_old_slot_id;
+
+    SELECT * INTO new_slot FROM slots WHERE id = p_new_slot_id;
+    IF NOT FOUND OR new_slot.status <> 'available'
+       OR new_slot.booked_count >= new_slot.capacity
+       OR (new_slot.held_until >= NOW() AND new_slot.held_for IS DISTINCT FROM p_scholar_id)
+       OR EXISTS (
+           SELECT 1 FROM bookings
+           WHERE slot_id = p_new_slot_id AND scholar_id = p_scholar_id AND status = 'booked'
+       ) THEN
+        RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+    END IF;
+
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_new_slot_id;
+
+    UPDATE slots
+    SET booked_count = booked_count - 1,
+        status = 'available'
+    WHERE id = p_old_slot_id;
+
+    -- The last seat leaving a slot takes its meeting along when the new slot
+    -- has none yet, so a one-to-one booking keeps its link
+    IF old_slot.booked_count = 1 AND new_slot.meeting_link IS NULL THEN
+        UPDATE slots
+        SET meeting_link = old_slot.meeting_link,
+            calendar_event_id = old_slot.calendar_event_id
+        WHERE id = p_new_slot_id;
+
+        UPDATE slots
+        SET meeting_link = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_old_slot_id;
+    END IF;
+
+    RETURN QUERY
+    UPDATE bookings
+    SET slot_id = p_new_slot_id
+    WHERE id = booking.id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The single-scholar columns now live on bookings
+DROP INDEX IF EXISTS idx_slots_outcome;
+ALTER TABLE slots
+DROP COLUMN IF EXISTS scholar_id,
+DROP COLUMN IF EXISTS notes,
+DROP COLUMN IF EXISTS outcome,
+DROP COLUMN IF EXISTS outcome_remark,
+DROP COLUMN IF EXISTS outcome_recorded_at,
+DROP COLUMN IF EXISTS outcome_recorded_by;
+
+-- Comments for documentation
+COMMENT ON TABLE bookings IS 'Scholars booked into a slot, with per-attendee session outcomes';
+COMMENT ON COLUMN slots.capacity IS 'Number of scholars who can book the slot';
+COMMENT ON COLUMN slots.booked_count IS 'Active bookings; the slot is booked once this reaches capacity';
+COMMENT ON FUNCTION book_slot IS 'Atomically claim a seat in a slot for a scholar';
+COMMENT ON FUNCTION cancel_booking IS 'Cancel a booking, release or withdraw its seat and record who cancelled it';
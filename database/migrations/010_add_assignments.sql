@@ -0,0 +1,98 @@
+-- Add assignments that slots and bookings belong to
+-- Run this in your Supabase SQL Editor
+
+-- Create assignments table
+CREATE TABLE IF NOT EXISTS assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    course VARCHAR(255),
+    description TEXT,
+    demo_deadline TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Slots can be attached to several assignments. A slot with no attachments
+-- is open to any assignment.
+CREATE TABLE IF NOT EXISTS slot_assignments (
+    slot_id UUID NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    PRIMARY KEY (slot_id, assignment_id)
+);
+
+-- The assignment a scholar is demoing in a booking
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_assignments_faculty_id ON assignments(faculty_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_course ON assignments(course);
+CREATE INDEX IF NOT EXISTS idx_slot_assignments_assignment_id ON slot_assignments(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_assignment_id ON bookings(assignment_id);
+
+-- Create trigger to update updated_at
+CREATE TRIGGER update_assignments_updated_at
+    BEFORE UPDATE ON assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE slot_assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Assignments are viewable by authenticated users"
+    ON assignments FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Slot assignments are viewable by authenticated users"
+    ON slot_assignments FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Booking now records the assignment being demoed
+DROP FUNCTION IF EXISTS book_slot(UUID, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_slot_id
+      AND status = 'available'
+      AND booked_count < capacity
+      AND (held_until IS NULL OR held_until < NOW() OR held_for = p_scholar_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings
+          WHERE slot_id = p_slot_id AND scholar_id = p_scholar_id AND status = 'booked'
+      );
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO bookings (slot_id, scholar_id, notes, assignment_id)
+    VALUES (p_slot_id, p_scholar_id, p_notes, p_assignment_id)
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON TABLE assignments IS 'Assignments scholars demo to faculty';
+COMMENT ON COLUMN assignments.demo_deadline IS 'Demos must be scheduled to start before this instant';
+COMMENT ON TABLE slot_assignments IS 'Assignments a slot accepts demos for; none means any';
+COMMENT ON COLUMN bookings.assignment_id IS 'Assignment the scholar is demoing';
+COMMENT ON FUNCTION book_slot IS 'Atomically claim a seat in a slot for a scholar';
@@ -0,0 +1,57 @@
+-- Add faculty blackout dates and institution holidays
+-- Run this in your Supabase SQL Editor
+
+-- Date ranges a faculty member is unavailable (travel, leave). Dates are
+-- calendar days in the faculty's time zone, inclusive on both ends.
+CREATE TABLE IF NOT EXISTS faculty_blackouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT faculty_blackouts_range CHECK (end_date >= start_date)
+);
+
+-- Institution-wide holidays, managed by admins. They apply to every faculty
+-- member on the same calendar days in their own time zone.
+CREATE TABLE IF NOT EXISTS holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT holidays_range CHECK (end_date >= start_date)
+);
+
+-- Booked slots that fall inside a blackout or holiday are kept but flagged
+-- so the faculty can reschedule them
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS needs_reschedule BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS reschedule_reason TEXT;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_faculty_blackouts_faculty_dates ON faculty_blackouts(faculty_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_holidays_dates ON holidays(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_slots_needs_reschedule ON slots(faculty_id) WHERE needs_reschedule;
+
+-- Enable RLS
+ALTER TABLE faculty_blackouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE holidays ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Faculty can view own blackouts"
+    ON faculty_blackouts FOR SELECT
+    TO authenticated
+    USING (faculty_id = auth.uid());
+
+CREATE POLICY "Holidays are viewable by authenticated users"
+    ON holidays FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Comments for documentation
+COMMENT ON TABLE faculty_blackouts IS 'Date ranges a faculty member takes no slots';
+COMMENT ON TABLE holidays IS 'Institution holidays on which no slots are scheduled';
+COMMENT ON COLUMN slots.needs_reschedule IS 'Booked slot falls inside a blackout or holiday';
+COMMENT ON COLUMN slots.reschedule_reason IS 'Blackout or holiday that flagged the slot';
@@ -0,0 +1,51 @@
+-- Let faculty edit slots and keep a history of the changes
+-- Run this in your Supabase SQL Editor
+
+-- Faculty's own note for a session, shared with everyone booked into it.
+-- Scholars' notes stay on their bookings.
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS faculty_notes TEXT;
+
+-- Create slot_changes table (history of edits to a slot's time or notes)
+CREATE TABLE IF NOT EXISTS slot_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot_id UUID NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    previous_starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    previous_ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    previous_notes TEXT,
+    notes TEXT,
+    reason TEXT,
+    -- Scholars booked into the slot when it changed
+    scholar_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_slot_changes_slot_id ON slot_changes(slot_id);
+CREATE INDEX IF NOT EXISTS idx_slot_changes_scholar_ids ON slot_changes USING GIN (scholar_ids);
+
+-- Enable RLS
+ALTER TABLE slot_changes ENABLE ROW LEVEL SECURITY;
+
+-- Faculty and the affected scholars can view changes
+CREATE POLICY "Slot changes are viewable by participants"
+    ON slot_changes FOR SELECT
+    TO authenticated
+    USING (
+        faculty_id = auth.uid() OR
+        auth.uid() = ANY (scholar_ids) OR
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+        )
+    );
+
+-- Comments for documentation
+COMMENT ON COLUMN slots.faculty_notes IS 'Faculty note for the session, shown to booked scholars';
+COMMENT ON TABLE slot_changes IS 'History of faculty edits to a slot''s time or notes';
+COMMENT ON COLUMN slot_changes.scholar_ids IS 'Scholars booked into the slot who were told about the change';
@@ -0,0 +1,163 @@
+-- Add approval-required booking: a booking starts as a pending request that
+-- holds the seat until the faculty approves or declines it, or the hold expires
+-- Run this in your Supabase SQL Editor
+
+-- Faculty default; a slot may override it (NULL follows the faculty)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS requires_booking_approval BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN;
+
+-- Pending requests and how they were decided
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('pending', 'booked', 'declined', 'expired', 'cancelled', 'completed', 'no_show'));
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS request_expires_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS decline_reason TEXT;
+
+-- A pending request holds a seat just like a booking
+DROP INDEX IF EXISTS idx_bookings_active;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_active
+    ON bookings(slot_id, scholar_id)
+    WHERE status IN ('booked', 'pending');
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending_expiry
+    ON bookings(request_expires_at)
+    WHERE status = 'pending';
+
+-- Booking either confirms the seat or, with p_pending_until, requests it
+DROP FUNCTION IF EXISTS book_slot(UUID, UUID, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL,
+    p_pending_until TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_slot_id
+      AND status = 'available'
+      AND booked_count < capacity
+      AND (held_until IS NULL OR held_until < NOW() OR held_for = p_scholar_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings
+          WHERE slot_id = p_slot_id AND scholar_id = p_scholar_id AND status IN ('booked', 'pending')
+      );
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO bookings (slot_id, scholar_id, notes, assignment_id, status, request_expires_at)
+    VALUES (
+        p_slot_id,
+        p_scholar_id,
+        p_notes,
+        p_assignment_id,
+        CASE WHEN p_pending_until IS NULL THEN 'booked' ELSE 'pending' END,
+        p_pending_until
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirm a pending request that has not expired
+CREATE OR REPLACE FUNCTION approve_booking_request(
+    p_booking_id UUID,
+    p_decided_by UUID
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE bookings
+    SET status = 'booked',
+        request_expires_at = NULL,
+        decided_at = NOW(),
+        decided_by = p_decided_by
+    WHERE id = p_booking_id
+      AND status = 'pending'
+      AND request_expires_at > NOW()
+    RETURNING *;
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM bookings WHERE id = p_booking_id) THEN
+            RAISE EXCEPTION 'Request is no longer pending' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Request not found' USING ERRCODE = 'SL404';
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Close a pending request (declined, expired or withdrawn) and free its seat
+CREATE OR REPLACE FUNCTION release_booking_request(
+    p_booking_id UUID,
+    p_status VARCHAR(20),
+    p_decided_by UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF slots AS $$
+DECLARE
+    booking bookings%ROWTYPE;
+BEGIN
+    UPDATE bookings
+    SET status = p_status,
+        decided_at = NOW(),
+        decided_by = p_decided_by,
+        decline_reason = p_reason
+    WHERE id = p_booking_id AND status = 'pending'
+    RETURNING * INTO booking;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Request not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN QUERY
+    UPDATE slots
+    SET booked_count = booked_count - 1,
+        status = 'available'
+    WHERE id = booking.slot_id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Expire every pending request whose hold has run out. Returns the slots
+-- that got a seat back.
+CREATE OR REPLACE FUNCTION expire_booking_requests()
+RETURNS SETOF slots AS $$
+DECLARE
+    stale_id UUID;
+BEGIN
+    FOR stale_id IN
+        SELECT id FROM bookings
+        WHERE status = 'pending' AND request_expires_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        RETURN QUERY SELECT * FROM release_booking_request(stale_id, 'expired');
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON COLUMN users.requires_booking_approval IS 'Faculty preference: bookings start as requests the faculty must approve';
+COMMENT ON COLUMN slots.requires_approval IS 'Per-slot override of the faculty approval preference (NULL follows the faculty)';
+COMMENT ON COLUMN bookings.request_expires_at IS 'When a pending request stops holding its seat';
+COMMENT ON FUNCTION book_slot IS 'Atomically claim a seat in a slot for a scholar, optionally as a pending request';
+COMMENT ON FUNCTION approve_booking_request IS 'Confirm a pending booking request';
+COMMENT ON FUNCTION release_booking_request IS 'Decline, expire or withdraw a pending request and free its seat';
+COMMENT ON FUNCTION expire_booking_requests IS 'Release the seats of pending requests whose hold has run out';
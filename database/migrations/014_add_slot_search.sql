@@ -0,0 +1,86 @@
+-- Add filtered, sorted and cursor-paginated search over bookable slots
+-- Run this in your Supabase SQL Editor
+
+-- Sort key for a slot under one of the supported orders. Each order is
+-- ascending on (key, starts_at, id), which is what the keyset cursor compares.
+CREATE OR REPLACE FUNCTION slot_sort_key(s slots, p_sort TEXT)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT CASE p_sort
+        WHEN 'latest' THEN -EXTRACT(EPOCH FROM s.starts_at)
+        WHEN 'most_seats' THEN -(s.capacity - s.booked_count)::DOUBLE PRECISION
+        WHEN 'longest' THEN -EXTRACT(EPOCH FROM (s.ends_at - s.starts_at))
+        ELSE EXTRACT(EPOCH FROM s.starts_at)
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Bookable slots for a viewer. NULL arguments do not filter.
+--   p_from/p_to          instants the slot must start within [p_from, p_to)
+--   p_time_from/p_time_to wall-clock window in p_zone the slot must lie within
+--   p_min_minutes        minimum slot length
+--   p_assignment_id      slot accepts the assignment and starts before its deadline
+--   p_after_*            keyset cursor: return rows strictly after this position
+CREATE OR REPLACE FUNCTION search_available_slots(
+    p_viewer_id UUID,
+    p_faculty_ids UUID[] DEFAULT NULL,
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_time_from TIME DEFAULT NULL,
+    p_time_to TIME DEFAULT NULL,
+    p_zone TEXT DEFAULT 'UTC',
+    p_min_minutes INTEGER DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL,
+    p_sort TEXT DEFAULT 'soonest',
+    p_after_key DOUBLE PRECISION DEFAULT NULL,
+    p_after_starts_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF slots AS $$
+    SELECT s.*
+    FROM slots s
+    WHERE s.status = 'available'
+      AND NOT s.needs_reschedule
+      AND s.starts_at > NOW()
+      -- Hide slots held for another waitlisted scholar
+      AND (s.held_until IS NULL OR s.held_until < NOW() OR s.held_for = p_viewer_id)
+      -- Hide slots the viewer already holds a seat in
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings b
+          WHERE b.slot_id = s.id
+            AND b.scholar_id = p_viewer_id
+            AND b.status IN ('booked', 'pending')
+      )
+      AND (p_faculty_ids IS NULL OR s.faculty_id = ANY (p_faculty_ids))
+      AND (p_from IS NULL OR s.starts_at >= p_from)
+      AND (p_to IS NULL OR s.starts_at < p_to)
+      AND (p_time_from IS NULL OR (s.starts_at AT TIME ZONE p_zone)::TIME >= p_time_from)
+      AND (p_time_to IS NULL OR (s.ends_at AT TIME ZONE p_zone)::TIME <= p_time_to)
+      AND (p_min_minutes IS NULL OR s.ends_at - s.starts_at >= make_interval(mins => p_min_minutes))
+      AND (
+          p_assignment_id IS NULL OR (
+              NOT EXISTS (SELECT 1 FROM slot_assignments sa WHERE sa.slot_id = s.id)
+              OR EXISTS (
+                  SELECT 1 FROM slot_assignments sa
+                  WHERE sa.slot_id = s.id AND sa.assignment_id = p_assignment_id
+              )
+          ) AND NOT EXISTS (
+              SELECT 1 FROM assignments a
+              WHERE a.id = p_assignment_id AND a.demo_deadline < s.starts_at
+          )
+      )
+      AND (
+          p_after_id IS NULL
+          OR (slot_sort_key(s, p_sort), s.starts_at, s.id) > (p_after_key, p_after_starts_at, p_after_id)
+      )
+    ORDER BY slot_sort_key(s, p_sort), s.starts_at, s.id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Supports the default order and the time range filter
+CREATE INDEX IF NOT EXISTS idx_slots_available_starts_at
+    ON slots(starts_at, id)
+    WHERE status = 'available';
+
+-- Comments for documentation
+COMMENT ON FUNCTION slot_sort_key IS 'Sort key used by search_available_slots ordering and cursors';
+COMMENT ON FUNCTION search_available_slots IS 'Filtered, keyset-paginated search over slots a viewer can book';
@@ -0,0 +1,93 @@
+-- Add slot lifecycle statuses maintained by the backend lifecycle job:
+-- unbooked slots expire once they start, and booked sessions wait for the
+-- faculty to record an outcome once they end
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_status_check;
+ALTER TABLE slots ADD CONSTRAINT slots_status_check
+    CHECK (status IN ('available', 'booked', 'awaiting_outcome', 'expired', 'cancelled', 'completed', 'no_show'));
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('pending', 'booked', 'awaiting_outcome', 'declined', 'expired', 'cancelled', 'completed', 'no_show'));
+
+-- Supports the lifecycle job's sweep over sessions that have not been settled
+CREATE INDEX IF NOT EXISTS idx_slots_open_ends_at
+    ON slots(ends_at)
+    WHERE status IN ('available', 'booked', 'awaiting_outcome');
+
+-- Give a finished slot its final status once every attendee has an outcome:
+-- completed if anyone attended, no_show if nobody did, otherwise cancelled.
+-- Slots with attendees still awaiting an outcome are left alone.
+CREATE OR REPLACE FUNCTION settle_slot_status(p_slot_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    settled INTEGER;
+BEGIN
+    UPDATE slots s
+    SET status = CASE
+            WHEN EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id AND b.outcome = 'completed')
+                THEN 'completed'
+            WHEN EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id AND b.outcome = 'no_show')
+                THEN 'no_show'
+            ELSE 'cancelled'
+        END
+    WHERE (p_slot_id IS NULL OR s.id = p_slot_id)
+      AND s.status IN ('booked', 'available', 'awaiting_outcome')
+      AND s.ends_at <= NOW()
+      AND EXISTS (SELECT 1 FROM bookings b WHERE b.slot_id = s.id AND b.outcome IS NOT NULL)
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings b
+          WHERE b.slot_id = s.id AND b.status IN ('booked', 'awaiting_outcome')
+      );
+
+    GET DIAGNOSTICS settled = ROW_COUNT;
+    RETURN settled;
+END;
+$$ LANGUAGE plpgsql;
+
+-- One pass of the lifecycle job. Returns how many slots were expired, moved to
+-- awaiting_outcome and settled.
+CREATE OR REPLACE FUNCTION advance_slot_lifecycle()
+RETURNS TABLE (expired_slots INTEGER, awaiting_slots INTEGER, settled_slots INTEGER) AS $$
+DECLARE
+    expired_count INTEGER;
+    awaiting_count INTEGER;
+BEGIN
+    -- Nobody booked the slot before it started
+    UPDATE slots
+    SET status = 'expired',
+        held_for = NULL,
+        held_until = NULL
+    WHERE status = 'available'
+      AND booked_count = 0
+      AND starts_at <= NOW();
+
+    GET DIAGNOSTICS expired_count = ROW_COUNT;
+
+    -- Finished sessions wait for the faculty to record how they went
+    UPDATE bookings b
+    SET status = 'awaiting_outcome'
+    FROM slots s
+    WHERE b.slot_id = s.id
+      AND b.status = 'booked'
+      AND s.ends_at <= NOW();
+
+    UPDATE slots
+    SET status = 'awaiting_outcome',
+        held_for = NULL,
+        held_until = NULL
+    WHERE status IN ('available', 'booked')
+      AND booked_count > 0
+      AND ends_at <= NOW();
+
+    GET DIAGNOSTICS awaiting_count = ROW_COUNT;
+
+    RETURN QUERY SELECT expired_count, awaiting_count, settle_slot_status();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON COLUMN slots.status IS 'Slot status: available, booked, awaiting_outcome, expired, cancelled, completed, no_show';
+COMMENT ON FUNCTION settle_slot_status IS 'Set the final status of finished slots whose attendees all have outcomes';
+COMMENT ON FUNCTION advance_slot_lifecycle IS 'Expire unbooked past slots and move finished sessions to awaiting_outcome';
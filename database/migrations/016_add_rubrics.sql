@@ -0,0 +1,94 @@
+-- Add grading rubrics and per-session grades with written feedback
+-- Run this in your Supabase SQL Editor
+
+-- Rubrics a faculty member grades demos against
+CREATE TABLE IF NOT EXISTS rubrics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rubric_criteria (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rubric_id UUID NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+    label VARCHAR(255) NOT NULL,
+    description TEXT,
+    max_points NUMERIC(6, 2) NOT NULL CHECK (max_points > 0),
+    position INTEGER NOT NULL DEFAULT 0
+);
+
+-- The rubric sessions in a slot are graded against
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL;
+
+-- One grade per booking. Scores are a snapshot of the criteria at grading
+-- time ([{ criterion_id, label, max_points, points }]) so later rubric edits
+-- do not rewrite past grades. Scholars only see grades once released.
+CREATE TABLE IF NOT EXISTS booking_grades (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL,
+    rubric_title VARCHAR(255) NOT NULL,
+    scores JSONB NOT NULL DEFAULT '[]',
+    total_points NUMERIC(8, 2) NOT NULL,
+    max_points NUMERIC(8, 2) NOT NULL,
+    feedback TEXT,
+    released_at TIMESTAMP WITH TIME ZONE,
+    graded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_rubrics_faculty_id ON rubrics(faculty_id);
+CREATE INDEX IF NOT EXISTS idx_rubric_criteria_rubric_id ON rubric_criteria(rubric_id);
+CREATE INDEX IF NOT EXISTS idx_slots_rubric_id ON slots(rubric_id);
+
+-- Create triggers to update updated_at
+CREATE TRIGGER update_rubrics_updated_at
+    BEFORE UPDATE ON rubrics
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_booking_grades_updated_at
+    BEFORE UPDATE ON booking_grades
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE rubrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rubric_criteria ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_grades ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Rubrics are viewable by authenticated users"
+    ON rubrics FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Rubric criteria are viewable by authenticated users"
+    ON rubric_criteria FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Grades are viewable by the grading faculty and, once released, the scholar"
+    ON booking_grades FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM bookings b
+            JOIN slots s ON s.id = b.slot_id
+            WHERE b.id = booking_grades.booking_id
+              AND (s.faculty_id = auth.uid() OR (b.scholar_id = auth.uid() AND booking_grades.released_at IS NOT NULL))
+        )
+    );
+
+-- Comments for documentation
+COMMENT ON TABLE rubrics IS 'Grading rubrics faculty attach to their slots';
+COMMENT ON TABLE rubric_criteria IS 'Criteria of a rubric with the points each is worth';
+COMMENT ON COLUMN slots.rubric_id IS 'Rubric the sessions in this slot are graded against';
+COMMENT ON TABLE booking_grades IS 'Rubric scores and written feedback for a completed session';
+COMMENT ON COLUMN booking_grades.scores IS 'Snapshot of each criterion with the points awarded';
+COMMENT ON COLUMN booking_grades.released_at IS 'When the grade was released to the scholar (NULL while a draft)';
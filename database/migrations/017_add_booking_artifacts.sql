@@ -0,0 +1,104 @@
+-- Add submission artifacts to bookings: repository and demo links plus
+-- uploaded files the faculty can review before the session
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS repository_url TEXT,
+ADD COLUMN IF NOT EXISTS demo_url TEXT;
+
+-- Uploaded files. The bytes live in the storage driver that received them:
+-- a Supabase Storage bucket or the backend's local upload directory.
+CREATE TABLE IF NOT EXISTS booking_artifacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+    storage_driver VARCHAR(20) NOT NULL CHECK (storage_driver IN ('supabase', 'local')),
+    storage_path TEXT NOT NULL,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_artifacts_booking_id ON booking_artifacts(booking_id);
+
+ALTER TABLE booking_artifacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Artifacts are viewable by the scholar and the slot's faculty"
+    ON booking_artifacts FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM bookings b
+            JOIN slots s ON s.id = b.slot_id
+            WHERE b.id = booking_artifacts.booking_id
+              AND (b.scholar_id = auth.uid() OR s.faculty_id = auth.uid())
+        )
+    );
+
+-- Submission links are saved in the same transaction that claims the seat
+DROP FUNCTION IF EXISTS book_slot(UUID, UUID, TEXT, UUID, TIMESTAMP WITH TIME ZONE);
+
+CREATE OR REPLACE FUNCTION book_slot(
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL,
+    p_pending_until TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_repository_url TEXT DEFAULT NULL,
+    p_demo_url TEXT DEFAULT NULL
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_slot_id
+      AND status = 'available'
+      AND booked_count < capacity
+      AND (held_until IS NULL OR held_until < NOW() OR held_for = p_scholar_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings
+          WHERE slot_id = p_slot_id AND scholar_id = p_scholar_id AND status IN ('booked', 'pending')
+      );
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM slots WHERE id = p_slot_id) THEN
+            RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+        END IF;
+        RAISE EXCEPTION 'Slot not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO bookings (
+        slot_id, scholar_id, notes, assignment_id, status, request_expires_at,
+        repository_url, demo_url
+    )
+    VALUES (
+        p_slot_id,
+        p_scholar_id,
+        p_notes,
+        p_assignment_id,
+        CASE WHEN p_pending_until IS NULL THEN 'booked' ELSE 'pending' END,
+        p_pending_until,
+        p_repository_url,
+        p_demo_url
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Private bucket for the Supabase storage driver; files are only served
+-- through the backend
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('booking-artifacts', 'booking-artifacts', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Comments for documentation
+COMMENT ON COLUMN bookings.repository_url IS 'Source repository the scholar submitted for the demo';
+COMMENT ON COLUMN bookings.demo_url IS 'Deployed demo the scholar submitted';
+COMMENT ON TABLE booking_artifacts IS 'Files a scholar attached to a booking for the faculty to review';
+COMMENT ON COLUMN booking_artifacts.storage_path IS 'Object path in the bucket or file path under the upload directory';
+COMMENT ON FUNCTION book_slot IS 'Atomically claim a seat in a slot for a scholar, optionally as a pending request, with its submission links';
@@ -0,0 +1,114 @@
+-- Add panel slots co-owned by several faculty members
+-- Run this in your Supabase SQL Editor
+
+-- Every faculty member on a slot's panel, including the slot's own faculty
+-- (the lead). Any panelist can manage the slot.
+CREATE TABLE IF NOT EXISTS slot_panelists (
+    slot_id UUID NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    faculty_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (slot_id, faculty_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_panelists_faculty_id ON slot_panelists(faculty_id);
+
+-- Existing slots are panels of one
+INSERT INTO slot_panelists (slot_id, faculty_id)
+SELECT id, faculty_id FROM slots
+ON CONFLICT DO NOTHING;
+
+-- Keep the lead on the panel of new and reassigned slots
+CREATE OR REPLACE FUNCTION add_slot_lead_panelist()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO slot_panelists (slot_id, faculty_id)
+    VALUES (NEW.id, NEW.faculty_id)
+    ON CONFLICT DO NOTHING;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER add_slot_lead_panelist
+    AFTER INSERT OR UPDATE OF faculty_id ON slots
+    FOR EACH ROW
+    EXECUTE FUNCTION add_slot_lead_panelist();
+
+-- Search matches a slot on any of its panelists, not only its lead
+-- Bookable slots for a viewer. NULL arguments do not filter.
+--   p_faculty_ids        any of these faculty sits on the slot's panel
+--   p_from/p_to          instants the slot must start within [p_from, p_to)
+--   p_time_from/p_time_to wall-clock window in p_zone the slot must lie within
+--   p_min_minutes        minimum slot length
+--   p_assignment_id      slot accepts the assignment and starts before its deadline
+--   p_after_*            keyset cursor: return rows strictly after this position
+CREATE OR REPLACE FUNCTION search_available_slots(
+    p_viewer_id UUID,
+    p_faculty_ids UUID[] DEFAULT NULL,
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_time_from TIME DEFAULT NULL,
+    p_time_to TIME DEFAULT NULL,
+    p_zone TEXT DEFAULT 'UTC',
+    p_min_minutes INTEGER DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL,
+    p_sort TEXT DEFAULT 'soonest',
+    p_after_key DOUBLE PRECISION DEFAULT NULL,
+    p_after_starts_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF slots AS $$
+    SELECT s.*
+    FROM slots s
+    WHERE s.status = 'available'
+      AND NOT s.needs_reschedule
+      AND s.starts_at > NOW()
+      -- Hide slots held for another waitlisted scholar
+      AND (s.held_until IS NULL OR s.held_until < NOW() OR s.held_for = p_viewer_id)
+      -- Hide slots the viewer already holds a seat in
+      AND NOT EXISTS (
+          SELECT 1 FROM bookings b
+          WHERE b.slot_id = s.id
+            AND b.scholar_id = p_viewer_id
+            AND b.status IN ('booked', 'pending')
+      )
+      -- Any panelist counts, not only the slot's lead
+      AND (
+          p_faculty_ids IS NULL OR EXISTS (
+              SELECT 1 FROM slot_panelists sp
+              WHERE sp.slot_id = s.id AND sp.faculty_id = ANY (p_faculty_ids)
+          )
+      )
+      AND (p_from IS NULL OR s.starts_at >= p_from)
+      AND (p_to IS NULL OR s.starts_at < p_to)
+      AND (p_time_from IS NULL OR (s.starts_at AT TIME ZONE p_zone)::TIME >= p_time_from)
+      AND (p_time_to IS NULL OR (s.ends_at AT TIME ZONE p_zone)::TIME <= p_time_to)
+      AND (p_min_minutes IS NULL OR s.ends_at - s.starts_at >= make_interval(mins => p_min_minutes))
+      AND (
+          p_assignment_id IS NULL OR (
+              NOT EXISTS (SELECT 1 FROM slot_assignments sa WHERE sa.slot_id = s.id)
+              OR EXISTS (
+                  SELECT 1 FROM slot_assignments sa
+                  WHERE sa.slot_id = s.id AND sa.assignment_id = p_assignment_id
+              )
+          ) AND NOT EXISTS (
+              SELECT 1 FROM assignments a
+              WHERE a.id = p_assignment_id AND a.demo_deadline < s.starts_at
+          )
+      )
+      AND (
+          p_after_id IS NULL
+          OR (slot_sort_key(s, p_sort), s.starts_at, s.id) > (p_after_key, p_after_starts_at, p_after_id)
+      )
+    ORDER BY slot_sort_key(s, p_sort), s.starts_at, s.id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE slot_panelists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Slot panelists are viewable by authenticated users"
+    ON slot_panelists FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Comments for documentation
+COMMENT ON TABLE slot_panelists IS 'Faculty members who co-own a slot; includes the slot''s lead faculty';
@@ -0,0 +1,130 @@
+-- Add preference-based allocation of demo slots
+-- Run this in your Supabase SQL Editor
+
+-- An allocation round collects ranked preferences for a set of slots until
+-- closes_at, then books every participating scholar at once.
+CREATE TABLE IF NOT EXISTS allocation_rounds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    closes_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'collecting'
+        CHECK (status IN ('collecting', 'allocating', 'allocated', 'cancelled')),
+    report JSONB,
+    -- When the current run claimed the round; refreshed as each scholar is
+    -- allocated. A round left allocating with an old value was interrupted.
+    allocating_since TIMESTAMP WITH TIME ZONE,
+    allocated_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Slots in a round are held (held_for NULL, held_until 'infinity') so nobody
+-- can book them first-come-first-served until the round is allocated
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS allocation_round_id UUID REFERENCES allocation_rounds(id) ON DELETE SET NULL;
+
+-- A scholar's ranked choices: either one slot or any slot of a faculty member
+CREATE TABLE IF NOT EXISTS allocation_preferences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    round_id UUID NOT NULL REFERENCES allocation_rounds(id) ON DELETE CASCADE,
+    scholar_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL CHECK (rank > 0),
+    slot_id UUID REFERENCES slots(id) ON DELETE CASCADE,
+    faculty_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((slot_id IS NULL) <> (faculty_id IS NULL)),
+    UNIQUE (round_id, scholar_id, rank)
+);
+
+-- One outcome per participating scholar. booking_id is NULL when none of
+-- their choices could be honoured; reason says why.
+CREATE TABLE IF NOT EXISTS allocation_results (
+    round_id UUID NOT NULL REFERENCES allocation_rounds(id) ON DELETE CASCADE,
+    scholar_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    slot_id UUID REFERENCES slots(id) ON DELETE SET NULL,
+    choice_rank INTEGER,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (round_id, scholar_id)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_allocation_rounds_due
+    ON allocation_rounds(closes_at)
+    WHERE status = 'collecting';
+CREATE INDEX IF NOT EXISTS idx_allocation_rounds_allocating
+    ON allocation_rounds(allocating_since)
+    WHERE status = 'allocating';
+CREATE INDEX IF NOT EXISTS idx_slots_allocation_round_id ON slots(allocation_round_id);
+CREATE INDEX IF NOT EXISTS idx_allocation_preferences_scholar
+    ON allocation_preferences(round_id, scholar_id);
+
+-- Create triggers to update updated_at
+CREATE TRIGGER update_allocation_rounds_updated_at
+    BEFORE UPDATE ON allocation_rounds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Book a seat in a round's held slot for the scholar it was allocated to.
+-- The hold is lifted for this scholar only and restored in the same
+-- transaction, so the remaining seats stay held for the rest of the round.
+--
+-- Errors: as book_slot
+CREATE OR REPLACE FUNCTION book_allocated_seat(
+    p_round_id UUID,
+    p_slot_id UUID,
+    p_scholar_id UUID,
+    p_notes TEXT DEFAULT NULL,
+    p_assignment_id UUID DEFAULT NULL,
+    p_pending_until TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS SETOF bookings AS $$
+BEGIN
+    UPDATE slots
+    SET held_for = p_scholar_id
+    WHERE id = p_slot_id
+      AND allocation_round_id = p_round_id
+      AND held_for IS NULL;
+
+    RETURN QUERY
+    SELECT * FROM book_slot(p_slot_id, p_scholar_id, p_notes, p_assignment_id, p_pending_until);
+
+    UPDATE slots
+    SET held_until = 'infinity'
+    WHERE id = p_slot_id
+      AND allocation_round_id = p_round_id
+      AND status = 'available';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Enable RLS
+ALTER TABLE allocation_rounds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE allocation_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE allocation_results ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allocation rounds are viewable by authenticated users"
+    ON allocation_rounds FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Scholars can view their own allocation preferences"
+    ON allocation_preferences FOR SELECT
+    TO authenticated
+    USING (scholar_id = auth.uid());
+
+CREATE POLICY "Scholars can view their own allocation results"
+    ON allocation_results FOR SELECT
+    TO authenticated
+    USING (scholar_id = auth.uid());
+
+-- Comments for documentation
+COMMENT ON TABLE allocation_rounds IS 'Windows in which scholars rank slots before everyone is booked at once';
+COMMENT ON COLUMN allocation_rounds.allocating_since IS 'Last sign of life from the run allocating the round';
+COMMENT ON COLUMN allocation_rounds.report IS 'Summary of the allocation run: seed, lottery order and counts per choice';
+COMMENT ON COLUMN slots.allocation_round_id IS 'Allocation round this slot was last offered through';
+COMMENT ON TABLE allocation_preferences IS 'A scholar''s ranked slot or faculty choices for an allocation round';
+COMMENT ON TABLE allocation_results IS 'The slot each participating scholar was allocated, or why none was';
+COMMENT ON FUNCTION book_allocated_seat IS 'Book a held round slot for its allocated scholar without releasing the rest of the hold';
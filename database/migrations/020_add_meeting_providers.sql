@@ -0,0 +1,113 @@
+-- Add pluggable meeting providers chosen per faculty
+-- Run this in your Supabase SQL Editor
+
+-- The provider a faculty member's sessions use. NULL follows the server
+-- default (MEETING_PROVIDER). static_room needs meeting_room_url and
+-- in_person needs meeting_location.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS meeting_provider VARCHAR(20)
+    CHECK (meeting_provider IN ('google_meet', 'jitsi', 'static_room', 'in_person', 'fake')),
+ADD COLUMN IF NOT EXISTS meeting_room_url TEXT,
+ADD COLUMN IF NOT EXISTS meeting_location VARCHAR(255);
+
+-- The provider that created a slot's meeting. A slot has a meeting exactly
+-- when this is set; the link (if any) and location come with it, so changing
+-- the faculty's provider never strands an existing meeting.
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS meeting_provider VARCHAR(20)
+    CHECK (meeting_provider IN ('google_meet', 'jitsi', 'static_room', 'in_person', 'fake')),
+ADD COLUMN IF NOT EXISTS meeting_location VARCHAR(255);
+
+COMMENT ON COLUMN slots.meeting_link IS 'Join link for the session, from the slot''s meeting provider';
+
+-- Meetings created through the Calendar API are Google Meet
+UPDATE slots
+SET meeting_provider = 'google_meet'
+WHERE calendar_event_id IS NOT NULL;
+
+-- Links made up when the Calendar API failed never led to a meeting. Drop
+-- them so the next sweep creates a real one.
+UPDATE slots
+SET meeting_link = NULL
+WHERE calendar_event_id IS NULL AND meeting_link IS NOT NULL;
+
+-- Find booked slots still waiting for a meeting
+CREATE INDEX IF NOT EXISTS idx_slots_without_meeting
+ON slots(starts_at)
+WHERE meeting_provider IS NULL AND booked_count > 0;
+
+-- Move a scholar's seat to another slot in one transaction. The meeting,
+-- whatever its provider, moves along with the last seat.
+CREATE OR REPLACE FUNCTION reschedule_booking(
+    p_old_slot_id UUID,
+    p_new_slot_id UUID,
+    p_scholar_id UUID
+)
+RETURNS SETOF bookings AS $$
+DECLARE
+    booking bookings%ROWTYPE;
+    old_slot slots%ROWTYPE;
+    new_slot slots%ROWTYPE;
+BEGIN
+    -- Lock both rows in a stable order to avoid deadlocks
+    PERFORM 1 FROM slots
+    WHERE id IN (p_old_slot_id, p_new_slot_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO booking FROM bookings
+    WHERE slot_id = p_old_slot_id AND scholar_id = p_scholar_id AND status = 'booked';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'SL404';
+    END IF;
+
+    SELECT * INTO old_slot FROM slots WHERE id = p_old_slot_id;
+
+    SELECT * INTO new_slot FROM slots WHERE id = p_new_slot_id;
+    IF NOT FOUND OR new_slot.status <> 'available'
+       OR new_slot.booked_count >= new_slot.capacity
+       OR (new_slot.held_until >= NOW() AND new_slot.held_for IS DISTINCT FROM p_scholar_id)
+       OR EXISTS (
+           SELECT 1 FROM bookings
+           WHERE slot_id = p_new_slot_id AND scholar_id = p_scholar_id AND status = 'booked'
+       ) THEN
+        RAISE EXCEPTION 'Slot not available' USING ERRCODE = 'SL409';
+    END IF;
+
+    UPDATE slots
+    SET booked_count = booked_count + 1,
+        status = CASE WHEN booked_count + 1 >= capacity THEN 'booked' ELSE 'available' END,
+        held_for = NULL,
+        held_until = NULL
+    WHERE id = p_new_slot_id;
+
+    UPDATE slots
+    SET booked_count = booked_count - 1,
+        status = 'available'
+    WHERE id = p_old_slot_id;
+
+    -- The last seat leaving a slot takes its meeting along when the new slot
+    -- has none yet, so a one-to-one booking keeps its link
+    IF old_slot.booked_count = 1 AND new_slot.meeting_provider IS NULL THEN
+        UPDATE slots
+        SET meeting_provider = old_slot.meeting_provider,
+            meeting_link = old_slot.meeting_link,
+            meeting_location = old_slot.meeting_location,
+            calendar_event_id = old_slot.calendar_event_id
+        WHERE id = p_new_slot_id;
+
+        UPDATE slots
+        SET meeting_provider = NULL,
+            meeting_link = NULL,
+            meeting_location = NULL,
+            calendar_event_id = NULL
+        WHERE id = p_old_slot_id;
+    END IF;
+
+    RETURN QUERY
+    UPDATE bookings
+    SET slot_id = p_new_slot_id
+    WHERE id = booking.id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
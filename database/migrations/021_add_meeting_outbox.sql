@@ -0,0 +1,73 @@
+-- Add an outbox for meeting side effects (calendar events and their links)
+-- Run this in your Supabase SQL Editor
+
+-- Every create, update or cancel of a slot's meeting is recorded here before
+-- it is attempted. Failed attempts are retried with backoff until
+-- max_attempts, after which the job is failed and listed for admins.
+CREATE TABLE IF NOT EXISTS meeting_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slot_id UUID REFERENCES slots(id) ON DELETE SET NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('create', 'update', 'cancel')),
+    -- What a cancel needs once the slot's meeting columns are cleared
+    payload JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_jobs_due
+ON meeting_jobs(next_attempt_at)
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_meeting_jobs_slot ON meeting_jobs(slot_id);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_jobs_failed
+ON meeting_jobs(updated_at)
+WHERE status = 'failed';
+
+-- Create triggers to update updated_at
+CREATE TRIGGER update_meeting_jobs_updated_at
+    BEFORE UPDATE ON meeting_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Jobs carry calendar event ids and meeting links; only the API (service
+-- role) reads them, so no client policies are granted
+ALTER TABLE meeting_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Whether a confirmed booking's meeting is in place: pending while its job
+-- is queued or retrying, synced once done, failed when retries ran out
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS calendar_status VARCHAR(20)
+    CHECK (calendar_status IN ('pending', 'synced', 'failed'));
+
+UPDATE bookings b
+SET calendar_status = 'synced'
+FROM slots s
+WHERE b.slot_id = s.id AND b.status = 'booked' AND s.meeting_provider IS NOT NULL;
+
+-- Upcoming booked slots still without a meeting get one through the outbox
+UPDATE bookings b
+SET calendar_status = 'pending'
+FROM slots s
+WHERE b.slot_id = s.id AND b.status = 'booked' AND s.meeting_provider IS NULL
+  AND s.starts_at > NOW();
+
+INSERT INTO meeting_jobs (slot_id, operation)
+SELECT DISTINCT s.id, 'create'
+FROM slots s
+JOIN bookings b ON b.slot_id = s.id AND b.status = 'booked'
+WHERE s.meeting_provider IS NULL AND s.starts_at > NOW();
+
+-- Comments for documentation
+COMMENT ON TABLE meeting_jobs IS 'Outbox of meeting creates, updates and cancels, retried with backoff';
+COMMENT ON COLUMN meeting_jobs.payload IS 'Details a cancel needs after the slot''s meeting columns are cleared';
+COMMENT ON COLUMN meeting_jobs.next_attempt_at IS 'When the job is next due to be attempted';
+COMMENT ON COLUMN bookings.calendar_status IS 'Whether the booking''s meeting is in place: pending, synced or failed';
@@ -0,0 +1,23 @@
+-- Record on each booking the calendar event its invitation belongs to
+-- Run this in your Supabase SQL Editor
+
+-- A slot's bookings share one event (slots.calendar_event_id). Each booking
+-- keeps the event it was invited to and the event's page in Google Calendar,
+-- so the invitation can still be traced after the seat is cancelled or the
+-- meeting moves with a rescheduled booking.
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS calendar_event_id TEXT,
+ADD COLUMN IF NOT EXISTS calendar_html_link TEXT;
+
+UPDATE bookings b
+SET calendar_event_id = s.calendar_event_id
+FROM slots s
+WHERE b.slot_id = s.id AND b.status = 'booked' AND s.calendar_event_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_calendar_event
+ON bookings(calendar_event_id)
+WHERE calendar_event_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN bookings.calendar_event_id IS 'Calendar event the booking was invited to';
+COMMENT ON COLUMN bookings.calendar_html_link IS 'Page of that event in Google Calendar';
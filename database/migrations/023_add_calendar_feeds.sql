@@ -0,0 +1,74 @@
+-- Add per-user iCalendar subscription feeds
+-- Run this in your Supabase SQL Editor
+
+-- The secret in a user's feed URL. NULL means the feed is turned off;
+-- replacing it revokes the old URL.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64) UNIQUE;
+
+-- iCalendar SEQUENCE numbers. Calendar apps only take a changed event over
+-- the copy they have when its SEQUENCE goes up.
+ALTER TABLE slots
+ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- A slot's event changes with its time, status, notes, meeting or seats
+CREATE OR REPLACE FUNCTION bump_slot_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.starts_at, NEW.ends_at, NEW.status, NEW.faculty_notes, NEW.booked_count,
+        NEW.meeting_link, NEW.meeting_location)
+       IS DISTINCT FROM
+       (OLD.starts_at, OLD.ends_at, OLD.status, OLD.faculty_notes, OLD.booked_count,
+        OLD.meeting_link, OLD.meeting_location) THEN
+        NEW.ical_sequence = OLD.ical_sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_slot_ical_sequence
+    BEFORE UPDATE ON slots
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_slot_ical_sequence();
+
+-- A booking's event changes with its own status or slot (reschedule), and
+-- whenever its slot's event does
+CREATE OR REPLACE FUNCTION bump_booking_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.status, NEW.slot_id) IS DISTINCT FROM (OLD.status, OLD.slot_id) THEN
+        NEW.ical_sequence = OLD.ical_sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_booking_ical_sequence
+    BEFORE UPDATE ON bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_booking_ical_sequence();
+
+CREATE OR REPLACE FUNCTION bump_slot_bookings_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.ical_sequence <> OLD.ical_sequence THEN
+        UPDATE bookings
+        SET ical_sequence = ical_sequence + 1
+        WHERE slot_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bump_slot_bookings_ical_sequence
+    AFTER UPDATE ON slots
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_slot_bookings_ical_sequence();
+
+-- Comments for documentation
+COMMENT ON COLUMN users.calendar_feed_token IS 'Secret in the user''s iCalendar feed URL (NULL when the feed is off)';
+COMMENT ON COLUMN slots.ical_sequence IS 'iCalendar SEQUENCE of the slot''s feed event';
+COMMENT ON COLUMN bookings.ical_sequence IS 'iCalendar SEQUENCE of the booking''s feed event';
@@ -1,5 +1,11 @@
 -- Assignment Scheduler Database Schema
 -- Run this in your Supabase SQL Editor
+--
+-- This is the base schema. Then run add_meeting_link.sql and
+-- add_user_roles_table.sql from database/migrations, followed by the numbered
+-- migrations in order of their prefix: later migrations build on earlier ones
+-- (e.g. 009_add_group_slots.sql replaces slots.scholar_id with the bookings
+-- table that everything after it uses). New migrations take the next number.
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
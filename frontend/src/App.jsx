@@ -8,6 +8,7 @@ import AdminPanel from './pages/AdminPanel';
 import FacultySlots from './pages/FacultySlots';
 import ScholarBookings from './pages/ScholarBookings';
 import AvailableSlots from './pages/AvailableSlots';
+import Assignments from './pages/Assignments';
 
 function PrivateRoute({ children, allowedRoles }) {
   const { user, loading } = useAuth();
@@ -69,6 +70,14 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="assignments"
+            element={
+              <PrivateRoute allowedRoles={['faculty', 'admin']}>
+                <Assignments />
+              </PrivateRoute>
+            }
+          />
           <Route
             path="faculty/slots"
             element={
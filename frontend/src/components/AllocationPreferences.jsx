@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDate, formatTime, formatTimeRange } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const MAX_CHOICES = 10;
+
+// How long a result without a booking stays on screen
+const UNALLOCATED_NOTICE_DAYS = 7;
+
+const ordinal = (n) => {
+  const suffix = { one: 'st', two: 'nd', few: 'rd', other: 'th' }[
+    new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)
+  ];
+  return `${n}${suffix}`;
+};
+
+const slotLabel = (slot, zone) =>
+  `${formatDate(slot.starts_at, zone, { weekday: 'short', month: 'short', year: undefined })} · ${formatTimeRange(slot, zone)}`;
+
+// Scholar view of allocation rounds: rank slots or faculty while a round is
+// collecting preferences, and see what each allocated round gave them.
+// Renders nothing when there are no rounds to show.
+export default function AllocationPreferences({ zone }) {
+  const [rounds, setRounds] = useState([]);
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    fetchRounds();
+    fetchResults();
+  }, []);
+
+  const fetchRounds = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/allocations/open`);
+      setRounds(response.data.rounds);
+    } catch (error) {
+      console.error('Failed to fetch allocation rounds:', error);
+    }
+  };
+
+  const fetchResults = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/allocations/results`);
+      setResults(response.data.results);
+    } catch (error) {
+      console.error('Failed to fetch allocation results:', error);
+    }
+  };
+
+  // Results for sessions still to come, and recent misses
+  const visibleResults = results.filter((result) =>
+    result.slot
+      ? new Date(result.slot.ends_at) > new Date()
+      : Date.now() - new Date(result.created_at) < UNALLOCATED_NOTICE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  if (rounds.length === 0 && visibleResults.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {visibleResults.map((result) => (
+        <div
+          key={result.round.id}
+          className={`p-4 rounded-lg border ${
+            result.booking_id ? 'bg-green-50 border-green-200' : 'bg-gray-50 border-gray-200'
+          }`}
+        >
+          <p className="text-sm font-medium text-gray-900">{result.round.title}</p>
+          {result.booking_id && result.slot ? (
+            <p className="text-sm text-green-800">
+              You were allocated {result.slot.faculty.name} on {slotLabel(result.slot, zone)}
+              {' '}(your {ordinal(result.choice_rank)} choice)
+              {result.reason && ` · ${result.reason}`}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-700">
+              None of your choices could be allocated: {result.reason}. Remaining slots are open
+              for booking below.
+            </p>
+          )}
+        </div>
+      ))}
+
+      {rounds.map((round) => (
+        <RoundRanking key={round.id} round={round} zone={zone} onSaved={fetchRounds} />
+      ))}
+    </div>
+  );
+}
+
+function RoundRanking({ round, zone, onSaved }) {
+  const [choices, setChoices] = useState(
+    round.choices.map(({ slot_id, faculty_id }) => (slot_id ? { slot_id } : { faculty_id }))
+  );
+  const [saving, setSaving] = useState(false);
+
+  // Everyone on the panel of a slot in the round
+  const faculties = [];
+  round.slots.forEach((slot) => {
+    slot.panelists.forEach((member) => {
+      if (!faculties.some((faculty) => faculty.id === member.id)) faculties.push(member);
+    });
+  });
+
+  const isChosen = (key) => choices.some((choice) => (choice.slot_id || choice.faculty_id) === key);
+
+  const describe = (choice) => {
+    if (choice.faculty_id) {
+      const faculty = faculties.find((member) => member.id === choice.faculty_id);
+      return `Any slot with ${faculty?.name || 'this faculty member'}`;
+    }
+    const slot = round.slots.find((candidate) => candidate.id === choice.slot_id);
+    return slot ? `${slot.faculty.name} · ${slotLabel(slot, zone)}` : 'Slot no longer offered';
+  };
+
+  const add = (choice) => {
+    if (choices.length >= MAX_CHOICES) {
+      toast.error(`You can rank up to ${MAX_CHOICES} choices`);
+      return;
+    }
+    setChoices([...choices, choice]);
+  };
+
+  const move = (index, offset) => {
+    const next = [...choices];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setChoices(next);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.put(`${API_URL}/allocations/${round.id}/preferences`, {
+        choices,
+      });
+      toast.success(response.data.message);
+      onSaved();
+    } catch (error) {
+      console.error('Failed to save preferences:', error);
+      toast.error(error.response?.data?.error || 'Failed to save preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 border-l-4 border-teal-500">
+      <h2 className="text-lg font-semibold text-gray-900">{round.title}</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {round.assignment.title}
+        {round.assignment.course && ` (${round.assignment.course})`} · Rank the slots or faculty
+        you prefer before {formatDate(round.closes_at, zone)} {formatTime(round.closes_at, zone)}.
+        Everyone is then booked at once in a random order, each into their best choice that
+        still has a seat, so there is no need to rush.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Your ranking</p>
+          {choices.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing ranked yet</p>
+          ) : (
+            <ol className="space-y-2">
+              {choices.map((choice, index) => (
+                <li
+                  key={choice.slot_id || choice.faculty_id}
+                  className="flex items-center justify-between p-2 bg-gray-50 rounded-md text-sm"
+                >
+                  <span className="text-gray-900">
+                    {index + 1}. {describe(choice)}
+                  </span>
+                  <span className="flex items-center space-x-2 ml-2">
+                    <button
+                      onClick={() => move(index, -1)}
+                      disabled={index === 0}
+                      className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => move(index, 1)}
+                      disabled={index === choices.length - 1}
+                      className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => setChoices(choices.filter((_, i) => i !== index))}
+                      className="text-red-600 hover:text-red-800 text-xs font-medium"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="mt-4 px-4 py-2 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Ranking'}
+          </button>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Add a choice</p>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {faculties
+              .filter((faculty) => !isChosen(faculty.id))
+              .map((faculty) => (
+                <button
+                  key={faculty.id}
+                  onClick={() => add({ faculty_id: faculty.id })}
+                  className="px-3 py-1 rounded-md text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                >
+                  + Any slot with {faculty.name}
+                </button>
+              ))}
+          </div>
+          <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+            {round.slots
+              .filter((slot) => !isChosen(slot.id))
+              .map((slot) => (
+                <div key={slot.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-900">
+                    {slot.faculty.name} · {slotLabel(slot, zone)}
+                    {slot.capacity > 1 && (
+                      <span className="text-gray-500">
+                        {' '}· {slot.capacity - slot.booked_count} seats
+                      </span>
+                    )}
+                  </span>
+                  <button
+                    onClick={() => add({ slot_id: slot.id })}
+                    className="ml-2 text-teal-600 hover:text-teal-800 font-medium"
+                  >
+                    Rank
+                  </button>
+                </div>
+              ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
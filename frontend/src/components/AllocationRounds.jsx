@@ -0,0 +1,361 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { displayZone, formatDate, formatTime, formatTimeRange, fromZonedInput } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyRound = {
+  title: '',
+  assignment_id: '',
+  closes_at: '',
+  slots_from: '',
+  slots_until: '',
+  faculty_ids: [],
+};
+
+const STATUS_COLORS = {
+  collecting: 'bg-teal-100 text-teal-800',
+  allocating: 'bg-yellow-100 text-yellow-800',
+  allocated: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+};
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Admin management of preference-based allocation rounds: open a round over a
+// range of slots, allocate it early or cancel it, and read its report
+export default function AllocationRounds({ faculties }) {
+  const { user } = useAuth();
+  const zone = displayZone(user);
+  const [rounds, setRounds] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [values, setValues] = useState(emptyRound);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetchRounds();
+    fetchAssignments();
+  }, []);
+
+  const fetchRounds = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/allocations`);
+      setRounds(response.data.rounds);
+    } catch (error) {
+      console.error('Failed to fetch allocation rounds:', error);
+    }
+  };
+
+  const fetchAssignments = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/assignments`);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error);
+    }
+  };
+
+  const toggleFaculty = (id) => {
+    const { faculty_ids } = values;
+    setValues({
+      ...values,
+      faculty_ids: faculty_ids.includes(id)
+        ? faculty_ids.filter((facultyId) => facultyId !== id)
+        : [...faculty_ids, id],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/allocations`, {
+        ...values,
+        closes_at: fromZonedInput(values.closes_at, zone),
+      });
+      toast.success(response.data.message);
+      setShowForm(false);
+      setValues(emptyRound);
+      fetchRounds();
+    } catch (error) {
+      console.error('Failed to create allocation round:', error);
+      toast.error(error.response?.data?.error || 'Failed to create allocation round');
+    }
+  };
+
+  const handleRun = async (round) => {
+    if (!window.confirm(`Close "${round.title}" now and book everyone who ranked its slots?`)) {
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_URL}/allocations/${round.id}/run`);
+      toast.success(response.data.message);
+      fetchRounds();
+      showReport(round);
+    } catch (error) {
+      console.error('Failed to run allocation:', error);
+      toast.error(error.response?.data?.error || 'Failed to run allocation');
+    }
+  };
+
+  const handleCancel = async (round) => {
+    if (!window.confirm(`Cancel "${round.title}"? Its slots go back to first-come-first-served booking.`)) {
+      return;
+    }
+    try {
+      const response = await axios.delete(`${API_URL}/allocations/${round.id}`);
+      toast.success(response.data.message);
+      fetchRounds();
+    } catch (error) {
+      console.error('Failed to cancel allocation round:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel allocation round');
+    }
+  };
+
+  const showReport = async (round) => {
+    try {
+      const response = await axios.get(`${API_URL}/allocations/${round.id}/report`);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Failed to fetch allocation report:', error);
+      toast.error('Failed to load allocation report');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-semibold text-gray-900">Allocation Rounds</h2>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+        >
+          {showForm ? 'Close' : 'New Round'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Hold slots for ranked preferences instead of first-come-first-served booking. When the
+        window closes, scholars are booked in a random order into their best choice with a seat.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                required
+                value={values.title}
+                onChange={(e) => setValues({ ...values, title: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Assignment</label>
+              <select
+                required
+                value={values.assignment_id}
+                onChange={(e) => setValues({ ...values, assignment_id: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">Choose an assignment</option>
+                {assignments.map((assignment) => (
+                  <option key={assignment.id} value={assignment.id}>
+                    {assignment.title}
+                    {assignment.course && ` (${assignment.course})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Preferences close ({zone})
+              </label>
+              <input
+                type="datetime-local"
+                required
+                value={values.closes_at}
+                onChange={(e) => setValues({ ...values, closes_at: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Slots from</label>
+              <input
+                type="date"
+                required
+                value={values.slots_from}
+                onChange={(e) => setValues({ ...values, slots_from: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Slots until</label>
+              <input
+                type="date"
+                required
+                value={values.slots_until}
+                min={values.slots_from}
+                onChange={(e) => setValues({ ...values, slots_until: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Faculty</label>
+            <div className="flex flex-wrap gap-2">
+              {faculties.map((faculty) => (
+                <button
+                  key={faculty.id}
+                  type="button"
+                  onClick={() => toggleFaculty(faculty.id)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                    values.faculty_ids.includes(faculty.id)
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {faculty.name}
+                </button>
+              ))}
+            </div>
+            {values.faculty_ids.length === 0 && (
+              <p className="text-xs text-gray-500 mt-1">None selected: slots of every faculty member</p>
+            )}
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Open Round
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rounds.length === 0 ? (
+        <p className="text-sm text-gray-500">No allocation rounds yet</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {rounds.map((round) => (
+            <div key={round.id} className="py-3 flex items-center justify-between">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span
+                    className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                      STATUS_COLORS[round.status]
+                    }`}
+                  >
+                    {round.status}
+                  </span>
+                  <p className="text-sm font-medium text-gray-900">{round.title}</p>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {round.assignment.title} · {round.slot_count} slot(s) ·{' '}
+                  {round.participant_count} scholar(s) ranked · closes{' '}
+                  {formatDate(round.closes_at, zone)} {formatTime(round.closes_at, zone)}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3">
+                {round.status === 'collecting' && (
+                  <>
+                    <button
+                      onClick={() => handleRun(round)}
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Allocate Now
+                    </button>
+                    <button
+                      onClick={() => handleCancel(round)}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+                {round.status === 'allocated' && (
+                  <button
+                    onClick={() => showReport(round)}
+                    className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    Report
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {report && <AllocationReport report={report} zone={zone} onClose={() => setReport(null)} />}
+    </div>
+  );
+}
+
+function AllocationReport({ report, zone, onClose }) {
+  const { round, results } = report;
+  const summary = round.report;
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">Report · {round.title}</h3>
+        <button onClick={onClose} className="text-gray-600 hover:text-gray-900 text-sm font-medium">
+          Close
+        </button>
+      </div>
+      {summary && (
+        <p className="text-sm text-gray-700 mb-3">
+          {summary.allocated} of {summary.participants} scholar(s) allocated
+          {summary.awaiting_approval > 0 && ` (${summary.awaiting_approval} awaiting faculty approval)`}
+          {' '}· {summary.unallocated} unallocated · {summary.seats_offered} seat(s) offered ·{' '}
+          {Object.entries(summary.by_choice)
+            .map(([rank, count]) => `choice ${rank}: ${count}`)
+            .join(', ') || 'no choices honoured'}{' '}
+          · lottery seed {summary.seed}
+        </p>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <th className="px-3 py-2">#</th>
+              <th className="px-3 py-2">Scholar</th>
+              <th className="px-3 py-2">Slot</th>
+              <th className="px-3 py-2">Choice</th>
+              <th className="px-3 py-2">Note</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {results.map((result, index) => (
+              <tr key={result.scholar_id}>
+                <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                <td className="px-3 py-2 text-gray-900">
+                  {result.scholar.name}
+                  <span className="block text-xs text-gray-500">{result.scholar.email}</span>
+                </td>
+                <td className="px-3 py-2 text-gray-900">
+                  {result.slot
+                    ? `${result.slot.faculty.name} · ${formatDate(result.slot.starts_at, zone, {
+                        month: 'short',
+                        year: undefined,
+                      })} ${formatTimeRange(result.slot, zone)}`
+                    : '—'}
+                </td>
+                <td className="px-3 py-2 text-gray-900">{result.choice_rank || '—'}</td>
+                <td className="px-3 py-2 text-gray-500">{result.reason || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import toast from 'react-hot-toast';
+import { downloadArtifact, formatFileSize } from '../utils/artifacts';
+
+// Links and files a scholar submitted with a booking. Pass `onRemove` to let
+// the scholar remove files. Renders nothing when nothing was submitted.
+export default function ArtifactList({ booking, bookingId, onRemove }) {
+  const artifacts = booking.artifacts || [];
+
+  if (!booking.repository_url && !booking.demo_url && artifacts.length === 0) {
+    return null;
+  }
+
+  const handleDownload = async (artifact) => {
+    try {
+      await downloadArtifact(bookingId, artifact);
+    } catch (error) {
+      console.error('Failed to download file:', error);
+      toast.error('Failed to download file');
+    }
+  };
+
+  return (
+    <div className="mt-2 space-y-1">
+      {booking.repository_url && (
+        <p className="text-sm text-gray-700">
+          Repository:{' '}
+          <a
+            href={booking.repository_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 hover:text-blue-800 underline break-all"
+          >
+            {booking.repository_url}
+          </a>
+        </p>
+      )}
+      {booking.demo_url && (
+        <p className="text-sm text-gray-700">
+          Demo:{' '}
+          <a
+            href={booking.demo_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 hover:text-blue-800 underline break-all"
+          >
+            {booking.demo_url}
+          </a>
+        </p>
+      )}
+      {artifacts.map((artifact) => (
+        <div key={artifact.id} className="flex items-center space-x-3 text-sm">
+          <button
+            onClick={() => handleDownload(artifact)}
+            className="text-blue-600 hover:text-blue-800 underline break-all text-left"
+          >
+            📎 {artifact.file_name}
+          </button>
+          <span className="text-xs text-gray-500">{formatFileSize(artifact.size_bytes)}</span>
+          {onRemove && (
+            <button
+              onClick={() => onRemove(artifact)}
+              className="text-red-600 hover:text-red-800 text-xs font-medium"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// Toggle the assignments a slot is open for. Selecting none leaves the slot
+// open to any assignment.
+export default function AssignmentPicker({ assignments, selected, onChange }) {
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Assignments</label>
+      {assignments.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No assignments yet. Slots will be open to any assignment.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {assignments.map((assignment) => (
+              <button
+                key={assignment.id}
+                type="button"
+                onClick={() => toggle(assignment.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  selected.includes(assignment.id)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {assignment.title}
+                {assignment.course && ` (${assignment.course})`}
+              </button>
+            ))}
+          </div>
+          {selected.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">None selected: open to any assignment</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
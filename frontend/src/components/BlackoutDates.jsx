@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, parseISO } from 'date-fns';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyBlackout = { start_date: '', end_date: '', reason: '' };
+
+const formatRange = ({ start_date, end_date }) =>
+  start_date === end_date
+    ? format(parseISO(start_date), 'MMM d, yyyy')
+    : `${format(parseISO(start_date), 'MMM d')} – ${format(parseISO(end_date), 'MMM d, yyyy')}`;
+
+// Faculty blackout ranges plus the institution holidays that also block slots.
+// `onChange` is called after slots may have been withdrawn or flagged.
+export default function BlackoutDates({ onChange }) {
+  const [blackouts, setBlackouts] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [formData, setFormData] = useState(emptyBlackout);
+
+  useEffect(() => {
+    fetchBlackouts();
+  }, []);
+
+  const fetchBlackouts = async () => {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const [blackoutsResponse, holidaysResponse] = await Promise.all([
+        axios.get(`${API_URL}/blackouts`),
+        axios.get(`${API_URL}/holidays`, { params: { from: today } }),
+      ]);
+      setBlackouts(blackoutsResponse.data.blackouts);
+      setHolidays(holidaysResponse.data.holidays);
+    } catch (error) {
+      console.error('Failed to fetch blackout dates:', error);
+      toast.error('Failed to load blackout dates');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/blackouts`, {
+        ...formData,
+        end_date: formData.end_date || formData.start_date,
+      });
+      const { withdrawn, flagged } = response.data;
+      toast.success(
+        `Blackout saved${withdrawn > 0 ? ` · ${withdrawn} open slot(s) withdrawn` : ''}`
+      );
+      if (flagged.length > 0) {
+        toast(`${flagged.length} booked slot(s) in that range need rescheduling`, {
+          icon: '⚠️',
+          duration: 6000,
+        });
+      }
+      setFormData(emptyBlackout);
+      fetchBlackouts();
+      onChange();
+    } catch (error) {
+      console.error('Failed to save blackout:', error);
+      toast.error(error.response?.data?.error || 'Failed to save blackout dates');
+    }
+  };
+
+  const handleRemove = async (blackoutId) => {
+    if (!window.confirm('Remove these blackout dates? Withdrawn slots are not recreated.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/blackouts/${blackoutId}`);
+      toast.success('Blackout dates removed');
+      fetchBlackouts();
+      onChange();
+    } catch (error) {
+      console.error('Failed to remove blackout:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove blackout dates');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Blackout Dates</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        No slots are created on these days. Open slots already in the range are withdrawn and
+        booked ones are flagged for rescheduling.
+      </p>
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From *</label>
+          <input
+            type="date"
+            required
+            value={formData.start_date}
+            onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={formData.end_date}
+            min={formData.start_date}
+            onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+          <input
+            type="text"
+            value={formData.reason}
+            onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+            placeholder="e.g. Conference travel"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Add Blackout
+        </button>
+      </form>
+
+      {(blackouts.length > 0 || holidays.length > 0) && (
+        <div className="mt-4 divide-y divide-gray-200 border-t border-gray-200">
+          {blackouts.map((blackout) => (
+            <div key={blackout.id} className="py-3 flex items-center justify-between">
+              <p className="text-sm text-gray-900">
+                {formatRange(blackout)}
+                {blackout.reason && <span className="text-gray-500"> · {blackout.reason}</span>}
+              </p>
+              <button
+                onClick={() => handleRemove(blackout.id)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          {holidays.map((holiday) => (
+            <div key={holiday.id} className="py-3 flex items-center justify-between">
+              <p className="text-sm text-gray-900">
+                {formatRange(holiday)}
+                <span className="text-gray-500"> · {holiday.name}</span>
+              </p>
+              <span className="text-xs font-medium text-purple-700">Institution holiday</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const NUMBER_FIELDS = [
+  { name: 'max_active_bookings', label: 'Max upcoming bookings per scholar', placeholder: 'Unlimited' },
+  { name: 'min_lead_minutes', label: 'Minimum lead time (minutes)', placeholder: '0' },
+  { name: 'cancellation_cutoff_minutes', label: 'Cancellation cutoff (minutes)', placeholder: '0' },
+];
+
+const BOOLEAN_FIELDS = [
+  { name: 'one_booking_per_faculty', label: 'One upcoming booking per faculty' },
+  { name: 'prevent_overlapping_bookings', label: 'Block overlapping bookings across faculty' },
+];
+
+const toFormValues = (policy) => ({
+  max_active_bookings: policy?.max_active_bookings ?? '',
+  min_lead_minutes: policy?.min_lead_minutes ?? '',
+  cancellation_cutoff_minutes: policy?.cancellation_cutoff_minutes ?? '',
+  one_booking_per_faculty: policy?.one_booking_per_faculty ?? '',
+  prevent_overlapping_bookings: policy?.prevent_overlapping_bookings ?? '',
+});
+
+// Empty inputs are sent as null ("not set")
+const toPayload = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, value === '' ? null : value])
+  );
+
+export default function BookingPolicySettings({ faculties }) {
+  const [globalPolicy, setGlobalPolicy] = useState(toFormValues(null));
+  const [overrides, setOverrides] = useState([]);
+  const [overrideFacultyId, setOverrideFacultyId] = useState('');
+  const [overrideValues, setOverrideValues] = useState(toFormValues(null));
+
+  useEffect(() => {
+    fetchPolicies();
+  }, []);
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/policies`);
+      setGlobalPolicy(toFormValues(response.data.global));
+      setOverrides(response.data.overrides);
+    } catch (error) {
+      console.error('Failed to fetch policies:', error);
+      toast.error('Failed to load booking policies');
+    }
+  };
+
+  const handleSaveGlobal = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`${API_URL}/policies/global`, toPayload(globalPolicy));
+      toast.success('Booking policy updated');
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to update policy:', error);
+      toast.error(error.response?.data?.error || 'Failed to update booking policy');
+    }
+  };
+
+  const handleSaveOverride = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`${API_URL}/policies/faculty/${overrideFacultyId}`, toPayload(overrideValues));
+      toast.success('Faculty override saved');
+      setOverrideFacultyId('');
+      setOverrideValues(toFormValues(null));
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to save override:', error);
+      toast.error(error.response?.data?.error || 'Failed to save faculty override');
+    }
+  };
+
+  const handleRemoveOverride = async (facultyId) => {
+    if (!window.confirm('Remove this faculty override?')) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_URL}/policies/faculty/${facultyId}`);
+      toast.success('Faculty override removed');
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to remove override:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove faculty override');
+    }
+  };
+
+  const editOverride = (override) => {
+    setOverrideFacultyId(override.faculty_id);
+    setOverrideValues(toFormValues(override));
+  };
+
+  const describe = (policy) =>
+    [
+      policy.max_active_bookings && `max ${policy.max_active_bookings} bookings`,
+      policy.one_booking_per_faculty !== null &&
+        (policy.one_booking_per_faculty ? 'one per faculty' : 'multiple per faculty'),
+      policy.min_lead_minutes !== null && `${policy.min_lead_minutes} min lead time`,
+      policy.cancellation_cutoff_minutes !== null &&
+        `${policy.cancellation_cutoff_minutes} min cancel cutoff`,
+      policy.prevent_overlapping_bookings !== null &&
+        (policy.prevent_overlapping_bookings ? 'no overlaps' : 'overlaps allowed'),
+    ]
+      .filter(Boolean)
+      .join(' · ') || 'No overrides';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Booking Policies</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Rules checked on every booking. Faculty overrides replace any field they set.
+        </p>
+      </div>
+
+      <PolicyFields
+        values={globalPolicy}
+        onChange={setGlobalPolicy}
+        onSubmit={handleSaveGlobal}
+        submitLabel="Save Defaults"
+        allowInherit={false}
+      />
+
+      <div className="border-t border-gray-200 pt-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Faculty Overrides</h3>
+        {overrides.length > 0 && (
+          <div className="divide-y divide-gray-200">
+            {overrides.map((override) => (
+              <div key={override.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{override.faculty?.name}</p>
+                  <p className="text-xs text-gray-500">{describe(override)}</p>
+                </div>
+                <div className="flex space-x-4">
+                  <button
+                    onClick={() => editOverride(override)}
+                    className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleRemoveOverride(override.faculty_id)}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <select
+          value={overrideFacultyId}
+          onChange={(e) => setOverrideFacultyId(e.target.value)}
+          className="w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Select faculty to override…</option>
+          {faculties.map((faculty) => (
+            <option key={faculty.id} value={faculty.id}>
+              {faculty.name}
+            </option>
+          ))}
+        </select>
+        {overrideFacultyId && (
+          <PolicyFields
+            values={overrideValues}
+            onChange={setOverrideValues}
+            onSubmit={handleSaveOverride}
+            submitLabel="Save Override"
+            allowInherit
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function PolicyFields({ values, onChange, onSubmit, submitLabel, allowInherit }) {
+  return (
+    <form onSubmit={onSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {NUMBER_FIELDS.map((field) => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+            <input
+              type="number"
+              min={field.name === 'max_active_bookings' ? 1 : 0}
+              value={values[field.name]}
+              placeholder={allowInherit ? 'Use default' : field.placeholder}
+              onChange={(e) =>
+                onChange({
+                  ...values,
+                  [field.name]: e.target.value === '' ? '' : Number(e.target.value),
+                })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        ))}
+        {BOOLEAN_FIELDS.map((field) => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+            <select
+              value={String(values[field.name])}
+              onChange={(e) =>
+                onChange({
+                  ...values,
+                  [field.name]: e.target.value === '' ? '' : e.target.value === 'true',
+                })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {allowInherit && <option value="">Use default</option>}
+              <option value="true">Yes</option>
+              <option value="false">No</option>
+            </select>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDate, formatTime, formatTimeRange } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Pending booking requests on the faculty's slots. Renders nothing while there
+// are none. `onDecided` is called after a request is approved or declined.
+export default function BookingRequests({ zone, onDecided }) {
+  const [requests, setRequests] = useState([]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/slots/requests`);
+      setRequests(response.data.requests);
+    } catch (error) {
+      console.error('Failed to fetch booking requests:', error);
+    }
+  };
+
+  const handleApprove = async (request) => {
+    try {
+      await axios.post(`${API_URL}/slots/requests/${request.id}/approve`);
+      toast.success(`Approved ${request.scholar.name}'s booking`);
+      fetchRequests();
+      onDecided();
+    } catch (error) {
+      console.error('Failed to approve request:', error);
+      toast.error(error.response?.data?.error || 'Failed to approve request');
+      fetchRequests();
+    }
+  };
+
+  const handleDecline = async (request) => {
+    const reason = window.prompt(
+      `Decline ${request.scholar.name}'s request? Enter a reason (optional):`
+    );
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/slots/requests/${request.id}/decline`, { reason });
+      toast.success('Request declined');
+      fetchRequests();
+      onDecided();
+    } catch (error) {
+      console.error('Failed to decline request:', error);
+      toast.error(error.response?.data?.error || 'Failed to decline request');
+      fetchRequests();
+    }
+  };
+
+  if (requests.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Booking Requests ({requests.length})
+        </h2>
+      </div>
+      <div className="divide-y divide-gray-200">
+        {requests.map((request) => (
+          <div key={request.id} className="px-6 py-4 flex items-start justify-between">
+            <div className="flex items-start space-x-3">
+              <img
+                src={request.scholar.picture}
+                alt={request.scholar.name}
+                className="h-8 w-8 rounded-full"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {request.scholar.name}
+                  {request.scholar.no_show_count > 0 && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                      {request.scholar.no_show_count} no-show(s)
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {formatDate(request.slot.starts_at, zone)} · {formatTimeRange(request.slot, zone)}
+                  {request.assignment && ` · ${request.assignment.title}`}
+                </p>
+                {request.notes && (
+                  <p className="text-sm text-gray-700 mt-1">Notes: {request.notes}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  Seat held until {formatDate(request.request_expires_at, zone, { year: undefined })}{' '}
+                  {formatTime(request.request_expires_at, zone)}
+                </p>
+              </div>
+            </div>
+            <div className="ml-4 flex space-x-3">
+              <button
+                onClick={() => handleApprove(request)}
+                className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => handleDecline(request)}
+                className="px-3 py-1 border border-red-600 text-red-600 text-sm rounded hover:bg-red-50 transition-colors"
+              >
+                Decline
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import AssignmentPicker from './AssignmentPicker';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+export default function BulkSlotForm({ onCreated, onCancel, timeZone, assignments }) {
+  const [formData, setFormData] = useState({
+    date: '',
+    window_start: '',
+    window_end: '',
+    slot_minutes: 15,
+    buffer_minutes: 5,
+    capacity: 1,
+    assignment_ids: [],
+  });
+  const [preview, setPreview] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const updateField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    setPreview(null);
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await axios.post(`${API_URL}/slots/bulk/preview`, formData);
+      setPreview(response.data.slots);
+    } catch (error) {
+      console.error('Failed to preview slots:', error);
+      toast.error(error.response?.data?.error || 'Failed to preview slots');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`${API_URL}/slots/bulk`, formData);
+      toast.success(response.data.message);
+      onCreated();
+    } catch (error) {
+      console.error('Failed to create slots:', error);
+      toast.error(error.response?.data?.error || 'Failed to create slots');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const freeCount = preview ? preview.filter((slot) => !slot.conflict).length : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">
+        Generate Slots from a Time Window
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">Times are in {timeZone}.</p>
+      <form onSubmit={handlePreview} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Date *
+            </label>
+            <input
+              type="date"
+              required
+              value={formData.date}
+              min={new Date().toISOString().split('T')[0]}
+              onChange={(e) => updateField('date', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Free From *
+            </label>
+            <input
+              type="time"
+              required
+              value={formData.window_start}
+              onChange={(e) => updateField('window_start', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Free Until *
+            </label>
+            <input
+              type="time"
+              required
+              value={formData.window_end}
+              onChange={(e) => updateField('window_end', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Slot Length (min) *
+            </label>
+            <input
+              type="number"
+              required
+              min={5}
+              max={480}
+              value={formData.slot_minutes}
+              onChange={(e) => updateField('slot_minutes', Number(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Gap (min)
+            </label>
+            <input
+              type="number"
+              min={0}
+              max={240}
+              value={formData.buffer_minutes}
+              onChange={(e) => updateField('buffer_minutes', Number(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Seats per slot
+            </label>
+            <input
+              type="number"
+              required
+              min={1}
+              max={50}
+              value={formData.capacity}
+              onChange={(e) => updateField('capacity', Number(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <AssignmentPicker
+          assignments={assignments}
+          selected={formData.assignment_ids}
+          onChange={(ids) => setFormData({ ...formData, assignment_ids: ids })}
+        />
+
+        {preview && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              {freeCount} of {preview.length} slot(s) will be created
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {preview.map((slot) => (
+                <span
+                  key={slot.start_time}
+                  title={slot.conflict ? 'Overlaps with an existing slot' : undefined}
+                  className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                    slot.conflict
+                      ? 'bg-red-100 text-red-800 line-through'
+                      : 'bg-green-100 text-green-800'
+                  }`}
+                >
+                  {slot.start_time.slice(0, 5)} - {slot.end_time.slice(0, 5)}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={!preview || freeCount === 0 || submitting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Create {freeCount > 0 ? freeCount : ''} Slot(s)
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
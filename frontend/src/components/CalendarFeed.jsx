@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// The user's secret iCalendar feed: subscribe to it from Google Calendar,
+// Outlook or Apple Calendar to see bookings (scholars) or slots (faculty)
+// stay up to date. Resetting the link revokes the old one.
+export default function CalendarFeed() {
+  const { user } = useAuth();
+  const [url, setUrl] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const fetchFeed = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/calendar/feed`);
+      setUrl(response.data.url);
+    } catch (error) {
+      console.error('Failed to fetch calendar feed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (url && !window.confirm('Reset the link? Calendars subscribed to the old link stop updating.')) {
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_URL}/calendar/feed`);
+      setUrl(response.data.url);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Failed to create calendar feed:', error);
+      toast.error(error.response?.data?.error || 'Failed to create calendar feed');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars stop updating.')) {
+      return;
+    }
+    try {
+      const response = await axios.delete(`${API_URL}/calendar/feed`);
+      setUrl(null);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Failed to turn off calendar feed:', error);
+      toast.error(error.response?.data?.error || 'Failed to turn off calendar feed');
+    }
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Calendar Feed</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see{' '}
+        {user?.role === 'scholar' ? 'your bookings' : 'your slots and who booked them'}, kept up
+        to date as sessions change. Keep it private: anyone with the link can read the feed.
+      </p>
+      {url ? (
+        <div className="space-y-3">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-gray-50"
+            />
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(url);
+                toast.success('Feed link copied to clipboard!');
+              }}
+              className="flex-shrink-0 px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Copy Link
+            </button>
+          </div>
+          <div className="flex space-x-4">
+            <button
+              onClick={handleCreate}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              Reset Link
+            </button>
+            <button
+              onClick={handleDelete}
+              className="text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Turn Off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={handleCreate}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Create Feed Link
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { displayZone, formatDate, formatTime, formatTimeRange } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const OPERATION_LABELS = {
+  create: 'Create meeting',
+  update: 'Update meeting',
+  cancel: 'Cancel meeting',
+};
+
+// Admin list of meeting jobs (calendar events, meeting links) that ran out of
+// retries, with a button to run each one again
+export default function FailedMeetingJobs() {
+  const { user } = useAuth();
+  const zone = displayZone(user);
+  const [jobs, setJobs] = useState([]);
+  const [retrying, setRetrying] = useState(null);
+
+  useEffect(() => {
+    fetchJobs();
+  }, []);
+
+  const fetchJobs = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/meeting-jobs`, { params: { status: 'failed' } });
+      setJobs(response.data.jobs);
+    } catch (error) {
+      console.error('Failed to fetch meeting jobs:', error);
+    }
+  };
+
+  const handleRetry = async (job) => {
+    try {
+      setRetrying(job.id);
+      const response = await axios.post(`${API_URL}/meeting-jobs/${job.id}/retry`);
+      if (response.data.job.status === 'done') {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message, { duration: 6000 });
+      }
+      fetchJobs();
+    } catch (error) {
+      console.error('Failed to retry meeting job:', error);
+      toast.error(error.response?.data?.error || 'Failed to retry meeting job');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Failed Meeting Jobs</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Calendar events and meeting links that could not be created, updated or cancelled after
+        every retry. Fix the cause (credentials, a faculty member's meeting settings) and retry.
+      </p>
+
+      {jobs.length === 0 ? (
+        <p className="text-sm text-gray-500">No failed jobs</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {jobs.map((job) => (
+            <div key={job.id} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {OPERATION_LABELS[job.operation]}
+                  {job.slot &&
+                    ` · ${job.slot.faculty.name} · ${formatDate(job.slot.starts_at, zone, {
+                      month: 'short',
+                    })} ${formatTimeRange(job.slot, zone)}`}
+                </p>
+                <p className="text-xs text-red-700 mt-1 break-all">{job.last_error}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {job.attempts} attempt(s) · last tried {formatDate(job.updated_at, zone)}{' '}
+                  {formatTime(job.updated_at, zone)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRetry(job)}
+                disabled={retrying === job.id}
+                className="ml-4 flex-shrink-0 text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+              >
+                {retrying === job.id ? 'Retrying...' : 'Retry'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
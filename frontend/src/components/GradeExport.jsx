@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Admin download of session grades as CSV, for one faculty member or everyone
+export default function GradeExport({ faculties }) {
+  const [facultyId, setFacultyId] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await axios.get(`${API_URL}/grades/export`, {
+        params: facultyId ? { faculty_id: facultyId } : {},
+        responseType: 'blob',
+      });
+
+      const faculty = faculties.find((candidate) => candidate.id === facultyId);
+      const name = faculty ? faculty.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'all';
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `grades-${name}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export grades:', error);
+      toast.error('Failed to export grades');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Grade Export</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Download rubric scores and feedback for graded sessions, including unreleased drafts.
+      </p>
+      <div className="flex items-end space-x-4">
+        <div className="flex-1 max-w-sm">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Faculty</label>
+          <select
+            value={facultyId}
+            onChange={(e) => setFacultyId(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All faculty</option>
+            {faculties.map((faculty) => (
+              <option key={faculty.id} value={faculty.id}>
+                {faculty.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {exporting ? 'Exporting...' : 'Download CSV'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Score one attendee's completed session against a rubric. An existing grade
+// is prefilled; `onSaved` is called after the grade is saved.
+export default function GradeForm({ booking, rubric, onSaved, onCancel }) {
+  const previous = Object.fromEntries(
+    (booking.grade?.scores || []).map((score) => [score.criterion_id, score.points])
+  );
+  const [scores, setScores] = useState(
+    Object.fromEntries(rubric.criteria.map((criterion) => [criterion.id, previous[criterion.id] ?? '']))
+  );
+  const [feedback, setFeedback] = useState(booking.grade?.feedback || '');
+
+  const total = Object.values(scores).reduce((sum, points) => sum + Number(points || 0), 0);
+  const max = rubric.criteria.reduce((sum, criterion) => sum + Number(criterion.max_points), 0);
+
+  const save = async (released) => {
+    try {
+      const response = await axios.put(`${API_URL}/grades/bookings/${booking.id}`, {
+        scores,
+        feedback,
+        released,
+      });
+      toast.success(response.data.message);
+      onSaved();
+    } catch (error) {
+      console.error('Failed to save grade:', error);
+      toast.error(error.response?.data?.error || 'Failed to save grade');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(e.nativeEvent.submitter?.value === 'release');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <p className="text-sm font-medium text-gray-700">
+        {rubric.title} · {total} / {max} points
+      </p>
+      {rubric.criteria.map((criterion) => (
+        <div key={criterion.id} className="flex items-center justify-between space-x-4">
+          <label className="text-sm text-gray-700">
+            {criterion.label}
+            {criterion.description && (
+              <span className="block text-xs text-gray-500">{criterion.description}</span>
+            )}
+          </label>
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              required
+              min="0"
+              max={Number(criterion.max_points)}
+              step="0.5"
+              value={scores[criterion.id]}
+              onChange={(e) => setScores({ ...scores, [criterion.id]: e.target.value })}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="text-sm text-gray-500">/ {Number(criterion.max_points)}</span>
+          </div>
+        </div>
+      ))}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Feedback for the scholar</label>
+        <textarea
+          rows={3}
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          value="draft"
+          className="px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors"
+        >
+          Save Draft
+        </button>
+        <button
+          type="submit"
+          value="release"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Save &amp; Release
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, parseISO } from 'date-fns';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyHoliday = { name: '', start_date: '', end_date: '' };
+
+export default function HolidayCalendar() {
+  const [holidays, setHolidays] = useState([]);
+  const [formData, setFormData] = useState(emptyHoliday);
+
+  useEffect(() => {
+    fetchHolidays();
+  }, []);
+
+  const fetchHolidays = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/holidays`);
+      setHolidays(response.data.holidays);
+    } catch (error) {
+      console.error('Failed to fetch holidays:', error);
+      toast.error('Failed to load holidays');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/holidays`, {
+        ...formData,
+        end_date: formData.end_date || formData.start_date,
+      });
+      const { withdrawn, flagged } = response.data;
+      toast.success(
+        `Holiday added · ${withdrawn} open slot(s) withdrawn, ${flagged.length} booked slot(s) flagged`
+      );
+      setFormData(emptyHoliday);
+      fetchHolidays();
+    } catch (error) {
+      console.error('Failed to add holiday:', error);
+      toast.error(error.response?.data?.error || 'Failed to add holiday');
+    }
+  };
+
+  const handleRemove = async (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name}? Withdrawn slots are not recreated.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/holidays/${holiday.id}`);
+      toast.success('Holiday removed');
+      fetchHolidays();
+    } catch (error) {
+      console.error('Failed to remove holiday:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove holiday');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Holiday Calendar</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        No faculty slots are scheduled on holidays. Adding one withdraws open slots on those days
+        and flags booked ones for rescheduling.
+      </p>
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+          <input
+            type="text"
+            required
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From *</label>
+          <input
+            type="date"
+            required
+            value={formData.start_date}
+            onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={formData.end_date}
+            min={formData.start_date}
+            onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Add Holiday
+        </button>
+      </form>
+
+      {holidays.length > 0 && (
+        <div className="mt-4 divide-y divide-gray-200 border-t border-gray-200">
+          {holidays.map((holiday) => (
+            <div key={holiday.id} className="py-3 flex items-center justify-between">
+              <p className="text-sm text-gray-900">
+                <span className="font-medium">{holiday.name}</span>
+                <span className="text-gray-500">
+                  {' · '}
+                  {format(parseISO(holiday.start_date), 'MMM d, yyyy')}
+                  {holiday.end_date !== holiday.start_date &&
+                    ` – ${format(parseISO(holiday.end_date), 'MMM d, yyyy')}`}
+                </span>
+              </p>
+              <button
+                onClick={() => handleRemove(holiday)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
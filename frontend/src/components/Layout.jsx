@@ -1,8 +1,39 @@
+import { useEffect } from 'react';
 import { Outlet, NavLink } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
+import { availableTimeZones, browserTimeZone, displayZone } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 export default function Layout() {
-  const { user, logout } = useAuth();
+  const { user, logout, updateUser } = useAuth();
+
+  // Adopt the browser's zone as the scheduling zone the first time a user
+  // signs in
+  useEffect(() => {
+    if (user && !user.time_zone) {
+      axios
+        .patch(`${API_URL}/users/me/settings`, { time_zone: browserTimeZone() })
+        .then((response) => updateUser({ time_zone: response.data.user.time_zone }))
+        .catch((error) => console.error('Failed to set time zone:', error));
+    }
+  }, [user?.id, user?.time_zone]);
+
+  // Only changes how times are shown; faculty keep scheduling in their own zone
+  const saveDisplayZone = async (timeZone) => {
+    try {
+      const response = await axios.patch(`${API_URL}/users/me/settings`, {
+        display_time_zone: timeZone,
+      });
+      updateUser({ display_time_zone: response.data.user.display_time_zone });
+      toast.success(`Times now shown in ${timeZone}`);
+    } catch (error) {
+      console.error('Failed to update time zone:', error);
+      toast.error(error.response?.data?.error || 'Failed to update time zone');
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -68,6 +99,20 @@ export default function Layout() {
                     My Slots
                   </NavLink>
                 )}
+                {(user?.role === 'faculty' || user?.role === 'admin') && (
+                  <NavLink
+                    to="/assignments"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                        isActive
+                          ? 'border-blue-500 text-gray-900'
+                          : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    Assignments
+                  </NavLink>
+                )}
                 {user?.role === 'admin' && (
                   <NavLink
                     to="/admin"
@@ -97,6 +142,18 @@ export default function Layout() {
                     <p className="text-gray-500 text-xs capitalize">{user?.role}</p>
                   </div>
                 </div>
+                <select
+                  value={displayZone(user)}
+                  onChange={(e) => saveDisplayZone(e.target.value)}
+                  title="Show times in"
+                  className="text-xs border border-gray-300 rounded-md px-2 py-1 max-w-[10rem] focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {availableTimeZones().map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone}
+                    </option>
+                  ))}
+                </select>
                 <button
                   onClick={logout}
                   className="text-sm text-gray-700 hover:text-gray-900 font-medium"
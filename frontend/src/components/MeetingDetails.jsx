@@ -0,0 +1,97 @@
+import toast from 'react-hot-toast';
+
+const THEMES = {
+  green: {
+    box: 'bg-green-50 border-green-200',
+    title: 'text-green-900',
+    link: 'text-green-600 hover:text-green-800',
+    button: 'bg-green-600 hover:bg-green-700',
+  },
+  blue: {
+    box: 'bg-blue-50 border-blue-200',
+    title: 'text-blue-900',
+    link: 'text-blue-600 hover:text-blue-800',
+    button: 'bg-blue-600 hover:bg-blue-700',
+  },
+};
+
+const CALENDAR_NOTES = {
+  pending: {
+    className: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+    text: 'Setting up the meeting. Its details will appear here shortly.',
+  },
+  failed: {
+    className: 'bg-red-50 border-red-200 text-red-800',
+    text: 'The meeting could not be set up. It is listed for an admin to retry.',
+  },
+};
+
+// Where a booked session happens: the join link from the slot's meeting
+// provider and/or the room to meet in. `calendarStatus` is the booking's
+// calendar_status; while it is pending or failed a note says so.
+// `eventLink` opens the invitation in Google Calendar. Renders nothing when
+// there is nothing to show.
+export default function MeetingDetails({ slot, calendarStatus, eventLink, theme = 'blue' }) {
+  const colors = THEMES[theme];
+  const { meeting_link: link, meeting_location: location } = slot;
+  const note = CALENDAR_NOTES[calendarStatus];
+
+  if (!link && !location) {
+    return note ? (
+      <p className={`mt-4 p-3 rounded-lg border text-sm ${note.className}`}>{note.text}</p>
+    ) : null;
+  }
+
+  return (
+    <div className={`mt-4 p-4 rounded-lg border ${colors.box}`}>
+      {note && <p className="text-xs text-gray-600 mb-2">{note.text}</p>}
+      {location && (
+        <p className={`text-sm font-medium ${colors.title} ${link ? 'mb-2' : ''}`}>
+          📍 In person: {location}
+        </p>
+      )}
+      {link && (
+        <>
+          <p className={`text-sm font-medium ${colors.title} mb-2`}>📹 Meeting Link</p>
+          <div className="flex items-center space-x-2">
+            <a
+              href={link}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={`text-sm underline break-all ${colors.link}`}
+            >
+              {link}
+            </a>
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(link);
+                toast.success('Meeting link copied to clipboard!');
+              }}
+              className={`flex-shrink-0 px-3 py-1 text-white text-xs rounded transition-colors ${colors.button}`}
+            >
+              Copy Link
+            </button>
+          </div>
+          <a
+            href={link}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`mt-2 inline-block px-4 py-2 text-white text-sm rounded transition-colors ${colors.button}`}
+          >
+            Join Meeting
+          </a>
+        </>
+      )}
+      {eventLink && (
+        <a
+          href={eventLink}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`mt-2 block text-xs underline ${colors.link}`}
+        >
+          📅 Open invitation in Google Calendar
+        </a>
+      )}
+    </div>
+  );
+}
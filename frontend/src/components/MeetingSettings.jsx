@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const PROVIDER_LABELS = {
+  google_meet: 'Google Meet',
+  jitsi: 'Jitsi room (generated per slot)',
+  static_room: 'My own meeting room link',
+  in_person: 'In person (no link)',
+  fake: 'Fake link (development only)',
+};
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// How the faculty member's sessions meet. Applies to meetings created from now
+// on; slots that already have a meeting keep it.
+export default function MeetingSettings() {
+  const { user, updateUser } = useAuth();
+  const [providers, setProviders] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState(null);
+  const [values, setValues] = useState({
+    meeting_provider: user?.meeting_provider || '',
+    meeting_room_url: user?.meeting_room_url || '',
+    meeting_location: user?.meeting_location || '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchProviders();
+  }, []);
+
+  const fetchProviders = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/meeting-providers`);
+      setProviders(response.data.providers);
+      setDefaultProvider(response.data.default);
+    } catch (error) {
+      console.error('Failed to fetch meeting providers:', error);
+    }
+  };
+
+  const provider = values.meeting_provider || defaultProvider;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.patch(`${API_URL}/users/me/settings`, {
+        meeting_provider: values.meeting_provider || null,
+        meeting_room_url: values.meeting_room_url || null,
+        meeting_location: values.meeting_location || null,
+      });
+      const { meeting_provider, meeting_room_url, meeting_location } = response.data.user;
+      updateUser({ meeting_provider, meeting_room_url, meeting_location });
+      toast.success('Meeting settings saved');
+    } catch (error) {
+      console.error('Failed to save meeting settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to save meeting settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Meetings</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Choose where your sessions take place. Slots that already have a meeting keep it.
+      </p>
+      <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+          <select
+            value={values.meeting_provider}
+            onChange={(e) => setValues({ ...values, meeting_provider: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">
+              Default{defaultProvider && ` (${PROVIDER_LABELS[defaultProvider] || defaultProvider})`}
+            </option>
+            {providers.map((name) => (
+              <option key={name} value={name}>
+                {PROVIDER_LABELS[name] || name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {provider === 'static_room' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Room link *</label>
+            <input
+              type="url"
+              required
+              value={values.meeting_room_url}
+              onChange={(e) => setValues({ ...values, meeting_room_url: e.target.value })}
+              placeholder="https://zoom.us/j/..."
+              className={inputClass}
+            />
+          </div>
+        )}
+        {provider === 'in_person' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Location *</label>
+            <input
+              type="text"
+              required
+              maxLength={255}
+              value={values.meeting_location}
+              onChange={(e) => setValues({ ...values, meeting_location: e.target.value })}
+              placeholder="e.g. Lab 3, Room 204"
+              className={inputClass}
+            />
+          </div>
+        )}
+        <div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
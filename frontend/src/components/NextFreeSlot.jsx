@@ -0,0 +1,297 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDate, formatTimeRange } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyConstraints = {
+  assignment_id: '',
+  faculty_ids: [],
+  from: '',
+  days: [],
+  windows: [],
+  min_minutes: '',
+};
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+// Find the earliest free slots across all faculty for scholars who don't mind
+// who they demo to, and book the best match in one click. `onBook(slot,
+// assignmentId)` books through the page so it shares its booking flow.
+export default function NextFreeSlot({ faculties, assignments, zone, onBook }) {
+  const [open, setOpen] = useState(false);
+  const [constraints, setConstraints] = useState(emptyConstraints);
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [booking, setBooking] = useState(false);
+
+  const set = (field, value) => setConstraints({ ...constraints, [field]: value });
+
+  const setWindow = (index, field, value) =>
+    set(
+      'windows',
+      constraints.windows.map((window, i) => (i === index ? { ...window, [field]: value } : window))
+    );
+
+  const search = async () => {
+    const params = {};
+    if (constraints.assignment_id) params.assignment_id = constraints.assignment_id;
+    if (constraints.faculty_ids.length > 0) params.faculty_ids = constraints.faculty_ids.join(',');
+    if (constraints.from) params.from = constraints.from;
+    if (constraints.days.length > 0) params.days = constraints.days.join(',');
+    const windows = constraints.windows.filter((window) => window.start && window.end);
+    if (windows.length > 0) {
+      params.windows = windows.map((window) => `${window.start}-${window.end}`).join(',');
+    }
+    if (constraints.min_minutes) params.min_minutes = constraints.min_minutes;
+
+    try {
+      setSearching(true);
+      const response = await axios.get(`${API_URL}/slots/next-free`, { params });
+      setResults(response.data.slots);
+    } catch (error) {
+      console.error('Failed to find free slots:', error);
+      toast.error(error.response?.data?.error || 'Failed to find free slots');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleBook = async (slot) => {
+    if (!constraints.assignment_id) {
+      toast.error('Choose the assignment you are demoing');
+      return;
+    }
+    try {
+      setBooking(true);
+      await onBook(slot, constraints.assignment_id);
+      search();
+    } finally {
+      setBooking(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="px-4 py-2 bg-white border border-blue-600 text-blue-600 text-sm font-medium rounded-md hover:bg-blue-50 transition-colors"
+      >
+        ⚡ Find the next free slot
+      </button>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Find the next free slot</h2>
+        <button
+          onClick={() => setOpen(false)}
+          className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Assignment</label>
+          <select
+            value={constraints.assignment_id}
+            onChange={(e) => set('assignment_id', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any assignment</option>
+            {assignments.map((assignment) => (
+              <option key={assignment.id} value={assignment.id}>
+                {assignment.title}
+                {assignment.course && ` (${assignment.course})`}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Earliest date</label>
+          <input
+            type="date"
+            value={constraints.from}
+            onChange={(e) => set('from', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Minimum length</label>
+          <select
+            value={constraints.min_minutes}
+            onChange={(e) => set('min_minutes', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any length</option>
+            <option value="15">15 min or more</option>
+            <option value="30">30 min or more</option>
+            <option value="45">45 min or more</option>
+            <option value="60">1 hour or more</option>
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Days</label>
+        <div className="flex flex-wrap gap-2">
+          {DAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => set('days', toggle(constraints.days, day))}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                constraints.days.includes(day)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Time windows ({zone})</label>
+        <div className="space-y-2">
+          {constraints.windows.map((window, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="time"
+                value={window.start}
+                onChange={(e) => setWindow(index, 'start', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="time"
+                value={window.end}
+                onChange={(e) => setWindow(index, 'end', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => set('windows', constraints.windows.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800 text-xs font-medium"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => set('windows', [...constraints.windows, { start: '', end: '' }])}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+          >
+            + Add time window
+          </button>
+        </div>
+      </div>
+
+      {faculties.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Faculty</label>
+          <div className="flex flex-wrap gap-2">
+            {faculties.map((faculty) => (
+              <button
+                key={faculty.id}
+                type="button"
+                onClick={() => set('faculty_ids', toggle(constraints.faculty_ids, faculty.id))}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  constraints.faculty_ids.includes(faculty.id)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {faculty.name}
+              </button>
+            ))}
+          </div>
+          {constraints.faculty_ids.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">None selected: any faculty member</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={() => {
+            setConstraints(emptyConstraints);
+            setResults(null);
+          }}
+          className="px-4 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50 transition-colors"
+        >
+          Reset
+        </button>
+        <button
+          onClick={search}
+          disabled={searching}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </div>
+
+      {results && (
+        results.length === 0 ? (
+          <p className="text-sm text-gray-500">No free slots match these constraints</p>
+        ) : (
+          <div className="space-y-3">
+            <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-blue-900">
+                  Earliest match: {results[0].faculty.name} ·{' '}
+                  {formatDate(results[0].starts_at, zone, { weekday: 'short', month: 'short' })} ·{' '}
+                  {formatTimeRange(results[0], zone)}
+                </p>
+                {results[0].approval_required && (
+                  <p className="text-xs text-blue-800">The faculty approves bookings for this slot</p>
+                )}
+              </div>
+              <button
+                onClick={() => handleBook(results[0])}
+                disabled={booking}
+                className="ml-4 flex-shrink-0 px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {results[0].approval_required ? 'Request the earliest' : 'Book the earliest'}
+              </button>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {results.slice(1).map((slot) => (
+                <div key={slot.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-900">
+                    {slot.faculty.name} ·{' '}
+                    {formatDate(slot.starts_at, zone, { weekday: 'short', month: 'short' })} ·{' '}
+                    {formatTimeRange(slot, zone)}
+                    <span className="text-gray-500">
+                      {' '}· {slot.faculty_load} upcoming session(s)
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => handleBook(slot)}
+                    disabled={booking}
+                    className="ml-2 text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                  >
+                    {slot.approval_required ? 'Request' : 'Book'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
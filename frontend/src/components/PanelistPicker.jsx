@@ -0,0 +1,40 @@
+// Toggle the faculty members who co-own a slot with its lead. The lead is
+// always on the panel and is not listed.
+export default function PanelistPicker({ faculties, selected, onChange }) {
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Co-panelists</label>
+      {faculties.length === 0 ? (
+        <p className="text-sm text-gray-500">No other faculty members to invite.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {faculties.map((faculty) => (
+              <button
+                key={faculty.id}
+                type="button"
+                onClick={() => toggle(faculty.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  selected.includes(faculty.id)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {faculty.name}
+              </button>
+            ))}
+          </div>
+          {selected.length > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              Panelists can manage the slot and are invited to its meeting
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
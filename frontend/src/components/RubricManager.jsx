@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyCriterion = { label: '', max_points: 10 };
+const emptyRubric = { title: '', description: '', criteria: [emptyCriterion] };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const totalPoints = (criteria) =>
+  criteria.reduce((sum, criterion) => sum + Number(criterion.max_points || 0), 0);
+
+// The faculty's grading rubrics. `onChange` is called after a rubric is
+// created, updated or deleted so the parent can refetch them.
+export default function RubricManager({ rubrics, onChange }) {
+  const [formData, setFormData] = useState(emptyRubric);
+  const [editingId, setEditingId] = useState(null);
+
+  const setCriterion = (index, field, value) =>
+    setFormData({
+      ...formData,
+      criteria: formData.criteria.map((criterion, i) =>
+        i === index ? { ...criterion, [field]: value } : criterion
+      ),
+    });
+
+  const resetForm = () => {
+    setFormData(emptyRubric);
+    setEditingId(null);
+  };
+
+  const handleEdit = (rubric) => {
+    setEditingId(rubric.id);
+    setFormData({
+      title: rubric.title,
+      description: rubric.description || '',
+      criteria: rubric.criteria.map(({ label, description, max_points }) => ({
+        label,
+        description,
+        max_points: Number(max_points),
+      })),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await axios.patch(`${API_URL}/rubrics/${editingId}`, formData);
+        toast.success('Rubric updated');
+      } else {
+        await axios.post(`${API_URL}/rubrics`, formData);
+        toast.success('Rubric created');
+      }
+      resetForm();
+      onChange();
+    } catch (error) {
+      console.error('Failed to save rubric:', error);
+      toast.error(error.response?.data?.error || 'Failed to save rubric');
+    }
+  };
+
+  const handleDelete = async (rubric) => {
+    if (!window.confirm(`Delete "${rubric.title}"? Slots using it are detached; grades already given are kept.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/rubrics/${rubric.id}`);
+      toast.success('Rubric deleted');
+      if (editingId === rubric.id) resetForm();
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete rubric:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete rubric');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Grading Rubrics</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Attach a rubric to a slot to score completed sessions against it. Editing a rubric does
+        not change grades already given.
+      </p>
+
+      {rubrics.length > 0 && (
+        <div className="mb-6 divide-y divide-gray-200 border-y border-gray-200">
+          {rubrics.map((rubric) => (
+            <div key={rubric.id} className="py-3 flex items-start justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {rubric.title}
+                  <span className="text-gray-500 font-normal"> · {totalPoints(rubric.criteria)} points</span>
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {rubric.criteria
+                    .map((criterion) => `${criterion.label} (${Number(criterion.max_points)})`)
+                    .join(' · ')}
+                </p>
+              </div>
+              <div className="ml-4 flex space-x-3">
+                <button
+                  onClick={() => handleEdit(rubric)}
+                  className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(rubric)}
+                  className="text-red-600 hover:text-red-800 text-sm font-medium"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+            <input
+              type="text"
+              required
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Criteria · {totalPoints(formData.criteria)} points total
+          </label>
+          <div className="space-y-2">
+            {formData.criteria.map((criterion, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  required
+                  placeholder="Criterion"
+                  value={criterion.label}
+                  onChange={(e) => setCriterion(index, 'label', e.target.value)}
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  required
+                  min="0.5"
+                  max="1000"
+                  step="0.5"
+                  value={criterion.max_points}
+                  onChange={(e) => setCriterion(index, 'max_points', e.target.value)}
+                  className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  disabled={formData.criteria.length === 1}
+                  onClick={() =>
+                    setFormData({
+                      ...formData,
+                      criteria: formData.criteria.filter((_, i) => i !== index),
+                    })
+                  }
+                  className="text-red-600 hover:text-red-800 text-sm font-medium disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() =>
+              setFormData({ ...formData, criteria: [...formData.criteria, emptyCriterion] })
+            }
+            className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            + Add criterion
+          </button>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            {editingId ? 'Save Rubric' : 'Create Rubric'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
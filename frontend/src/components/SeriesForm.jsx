@@ -0,0 +1,208 @@
+import { useState } from 'react';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptySeries = {
+  start_date: '',
+  end_date: '',
+  start_time: '',
+  end_time: '',
+  days_of_week: [],
+  exception_dates: [],
+};
+
+export default function SeriesForm({
+  initialValues,
+  title,
+  submitLabel,
+  onSubmit,
+  onCancel,
+  timeZone,
+}) {
+  const [formData, setFormData] = useState({ ...emptySeries, ...initialValues });
+  const [exceptionInput, setExceptionInput] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggleDay = (day) => {
+    const days = formData.days_of_week.includes(day)
+      ? formData.days_of_week.filter((d) => d !== day)
+      : [...formData.days_of_week, day];
+    setFormData({ ...formData, days_of_week: days });
+  };
+
+  const addException = () => {
+    if (!exceptionInput || formData.exception_dates.includes(exceptionInput)) {
+      return;
+    }
+    setFormData({
+      ...formData,
+      exception_dates: [...formData.exception_dates, exceptionInput].sort(),
+    });
+    setExceptionInput('');
+  };
+
+  const removeException = (date) => {
+    setFormData({
+      ...formData,
+      exception_dates: formData.exception_dates.filter((d) => d !== date),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        ...formData,
+        start_time: formData.start_time.slice(0, 5),
+        end_time: formData.end_time.slice(0, 5),
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">{title}</h2>
+      <p className="text-sm text-gray-600 mb-4">Times are in {timeZone}.</p>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              From *
+            </label>
+            <input
+              type="date"
+              required
+              value={formData.start_date}
+              onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Until *
+            </label>
+            <input
+              type="date"
+              required
+              value={formData.end_date}
+              min={formData.start_date}
+              onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Start Time *
+            </label>
+            <input
+              type="time"
+              required
+              value={formData.start_time.slice(0, 5)}
+              onChange={(e) => setFormData({ ...formData, start_time: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              End Time *
+            </label>
+            <input
+              type="time"
+              required
+              value={formData.end_time.slice(0, 5)}
+              onChange={(e) => setFormData({ ...formData, end_time: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Repeat on *
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map((label, day) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  formData.days_of_week.includes(day)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Skip dates
+          </label>
+          <div className="flex items-center space-x-2">
+            <input
+              type="date"
+              value={exceptionInput}
+              min={formData.start_date}
+              max={formData.end_date}
+              onChange={(e) => setExceptionInput(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="button"
+              onClick={addException}
+              className="px-3 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors text-sm"
+            >
+              Add
+            </button>
+          </div>
+          {formData.exception_dates.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {formData.exception_dates.map((date) => (
+                <span
+                  key={date}
+                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                >
+                  {date}
+                  <button
+                    type="button"
+                    onClick={() => removeException(date)}
+                    className="ml-1 text-gray-500 hover:text-gray-700"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || formData.days_of_week.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
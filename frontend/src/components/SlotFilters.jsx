@@ -0,0 +1,174 @@
+export const emptySlotFilters = {
+  date_from: '',
+  date_to: '',
+  time_from: '',
+  time_to: '',
+  faculty_ids: [],
+  min_minutes: '',
+  assignment_id: '',
+  sort: 'soonest',
+};
+
+const SORT_OPTIONS = [
+  { value: 'soonest', label: 'Soonest first' },
+  { value: 'latest', label: 'Latest first' },
+  { value: 'most_seats', label: 'Most seats left' },
+  { value: 'longest', label: 'Longest first' },
+];
+
+const DURATION_OPTIONS = [15, 30, 45, 60, 90];
+
+// Query parameters for GET /slots/available; empty filters are left out
+export const slotFilterParams = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0) params[key] = value.join(',');
+    } else if (value !== '') {
+      params[key] = value;
+    }
+  });
+  return params;
+};
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Filter bar for the available-slots search. Dates and times are in the
+// viewer's time zone.
+export default function SlotFilters({ filters, onChange, faculties, assignments }) {
+  const set = (field, value) => onChange({ ...filters, [field]: value });
+
+  const toggleFaculty = (id) =>
+    set(
+      'faculty_ids',
+      filters.faculty_ids.includes(id)
+        ? filters.faculty_ids.filter((facultyId) => facultyId !== id)
+        : [...filters.faculty_ids, id]
+    );
+
+  const isFiltered = Object.entries(filters).some(([key, value]) =>
+    key === 'sort' ? false : Array.isArray(value) ? value.length > 0 : value !== ''
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From date</label>
+          <input
+            type="date"
+            value={filters.date_from}
+            onChange={(e) => set('date_from', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To date</label>
+          <input
+            type="date"
+            value={filters.date_to}
+            min={filters.date_from}
+            onChange={(e) => set('date_to', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Not before</label>
+          <input
+            type="time"
+            value={filters.time_from}
+            onChange={(e) => set('time_from', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ends by</label>
+          <input
+            type="time"
+            value={filters.time_to}
+            onChange={(e) => set('time_to', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Min length</label>
+          <select
+            value={filters.min_minutes}
+            onChange={(e) => set('min_minutes', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any</option>
+            {DURATION_OPTIONS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} min
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Assignment</label>
+          <select
+            value={filters.assignment_id}
+            onChange={(e) => set('assignment_id', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All Assignments</option>
+            {assignments.map((assignment) => (
+              <option key={assignment.id} value={assignment.id}>
+                {assignment.title}
+                {assignment.course ? ` (${assignment.course})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+          <select
+            value={filters.sort}
+            onChange={(e) => set('sort', e.target.value)}
+            className={inputClass}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {faculties.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Faculty</label>
+          <div className="flex flex-wrap gap-2">
+            {faculties.map((faculty) => (
+              <button
+                key={faculty.id}
+                type="button"
+                onClick={() => toggleFaculty(faculty.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  filters.faculty_ids.includes(faculty.id)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {faculty.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isFiltered && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...emptySlotFilters, sort: filters.sort })}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
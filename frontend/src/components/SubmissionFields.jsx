@@ -0,0 +1,52 @@
+import { ACCEPTED_FILES, MAX_FILE_MB, MAX_FILES } from '../utils/artifacts';
+
+export const emptySubmission = { notes: '', repository_url: '', demo_url: '', files: [] };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Notes, links and files a scholar attaches to a booking. `maxFiles` is how
+// many more files may be added.
+export default function SubmissionFields({ value, onChange, maxFiles = MAX_FILES }) {
+  const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        rows={2}
+        placeholder="Notes for the faculty"
+        value={value.notes}
+        onChange={(e) => set('notes', e.target.value)}
+        className={inputClass}
+      />
+      <input
+        type="url"
+        placeholder="Repository URL (https://…)"
+        value={value.repository_url}
+        onChange={(e) => set('repository_url', e.target.value)}
+        className={inputClass}
+      />
+      <input
+        type="url"
+        placeholder="Deployed demo URL (https://…)"
+        value={value.demo_url}
+        onChange={(e) => set('demo_url', e.target.value)}
+        className={inputClass}
+      />
+      {maxFiles > 0 && (
+        <div>
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_FILES}
+            onChange={(e) => set('files', Array.from(e.target.files).slice(0, maxFiles))}
+            className="w-full text-sm text-gray-600"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Up to {maxFiles} file(s), {MAX_FILE_MB} MB each
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -79,9 +79,14 @@ export const AuthProvider = ({ children }) => {
     toast.success('Logged out successfully');
   };
 
+  const updateUser = (changes) => {
+    setUser((current) => ({ ...current, ...changes }));
+  };
+
   const value = {
     user,
     loading,
+    updateUser,
     loginWithGoogle,
     logout,
   };
@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import BookingPolicySettings from '../components/BookingPolicySettings';
+import HolidayCalendar from '../components/HolidayCalendar';
+import GradeExport from '../components/GradeExport';
+import AllocationRounds from '../components/AllocationRounds';
+import FailedMeetingJobs from '../components/FailedMeetingJobs';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -131,6 +136,9 @@ export default function AdminPanel() {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Change Role
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Attendance
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Joined
                   </th>
@@ -176,6 +184,20 @@ export default function AdminPanel() {
                         <option value="admin">Admin</option>
                       </select>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {user.role === 'scholar' ? (
+                        <span>
+                          {user.completed_count} completed
+                          {user.no_show_count > 0 && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                              {user.no_show_count} no-show(s)
+                            </span>
+                          )}
+                        </span>
+                      ) : (
+                        '—'
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(user.created_at).toLocaleDateString()}
                     </td>
@@ -186,6 +208,23 @@ export default function AdminPanel() {
           </div>
         </div>
       )}
+
+      {/* Booking Policies */}
+      <BookingPolicySettings
+        faculties={users.filter((u) => u.role === 'faculty' || u.role === 'admin')}
+      />
+
+      {/* Holidays */}
+      <HolidayCalendar />
+
+      {/* Preference-based allocation */}
+      <AllocationRounds faculties={users.filter((u) => u.role === 'faculty' || u.role === 'admin')} />
+
+      {/* Meeting side effects that ran out of retries */}
+      <FailedMeetingJobs />
+
+      {/* Grades */}
+      <GradeExport faculties={users.filter((u) => u.role === 'faculty' || u.role === 'admin')} />
     </div>
   );
 }
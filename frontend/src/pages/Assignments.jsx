@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { displayZone, formatDate, formatTime, fromZonedInput, toZonedInput } from '../utils/time';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const emptyAssignment = {
+  title: '',
+  course: '',
+  description: '',
+  demo_deadline: '',
+};
+
+export default function Assignments() {
+  const { user } = useAuth();
+  const zone = displayZone(user);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // null while the form is closed; { id?, ...fields } while creating/editing
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, []);
+
+  const fetchAssignments = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/assignments`);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error);
+      toast.error('Failed to load assignments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { id, ...fields } = editing;
+    const payload = {
+      ...fields,
+      demo_deadline: fields.demo_deadline ? fromZonedInput(fields.demo_deadline, zone) : null,
+    };
+
+    try {
+      if (id) {
+        await axios.patch(`${API_URL}/assignments/${id}`, payload);
+        toast.success('Assignment updated successfully!');
+      } else {
+        await axios.post(`${API_URL}/assignments`, payload);
+        toast.success('Assignment created successfully!');
+      }
+      setEditing(null);
+      fetchAssignments();
+    } catch (error) {
+      console.error('Failed to save assignment:', error);
+      toast.error(error.response?.data?.error || 'Failed to save assignment');
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    if (!window.confirm(`Delete "${assignment.title}"? Slots attached only to it become open to any assignment.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/assignments/${assignment.id}`);
+      toast.success('Assignment deleted successfully!');
+      fetchAssignments();
+    } catch (error) {
+      console.error('Failed to delete assignment:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete assignment');
+    }
+  };
+
+  const canManage = (assignment) => user.role === 'admin' || assignment.faculty_id === user.id;
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Assignments</h1>
+          <p className="mt-2 text-gray-600">Assignments scholars book demo slots for</p>
+        </div>
+        <button
+          onClick={() => setEditing(editing ? null : { ...emptyAssignment })}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          {editing ? 'Cancel' : '+ New Assignment'}
+        </button>
+      </div>
+
+      {editing && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            {editing.id ? 'Edit Assignment' : 'New Assignment'}
+          </h2>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                <input
+                  type="text"
+                  required
+                  value={editing.title}
+                  onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Course</label>
+                <input
+                  type="text"
+                  value={editing.course}
+                  onChange={(e) => setEditing({ ...editing, course: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Demo deadline ({zone})
+                </label>
+                <input
+                  type="datetime-local"
+                  value={editing.demo_deadline}
+                  onChange={(e) => setEditing({ ...editing, demo_deadline: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                rows={3}
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                {editing.id ? 'Save Changes' : 'Create Assignment'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : assignments.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-12 text-center">
+          <p className="text-gray-500">No assignments yet</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="divide-y divide-gray-200">
+            {assignments.map((assignment) => (
+              <div key={assignment.id} className="p-6 flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    {assignment.title}
+                    {assignment.course && (
+                      <span className="ml-2 text-sm font-normal text-gray-500">
+                        {assignment.course}
+                      </span>
+                    )}
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    {assignment.faculty?.name}
+                    {assignment.demo_deadline &&
+                      ` · Demo by ${formatDate(assignment.demo_deadline, zone)} ${formatTime(
+                        assignment.demo_deadline,
+                        zone
+                      )}`}
+                  </p>
+                  {assignment.description && (
+                    <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">
+                      {assignment.description}
+                    </p>
+                  )}
+                </div>
+                {canManage(assignment) && (
+                  <div className="ml-4 flex flex-col items-end space-y-2">
+                    <button
+                      onClick={() =>
+                        setEditing({
+                          id: assignment.id,
+                          title: assignment.title,
+                          course: assignment.course || '',
+                          description: assignment.description || '',
+                          demo_deadline: assignment.demo_deadline
+                            ? toZonedInput(assignment.demo_deadline, zone)
+                            : '',
+                        })
+                      }
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(assignment)}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
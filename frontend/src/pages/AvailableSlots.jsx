@@ -1,8 +1,15 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 import { format, parseISO } from 'date-fns';
+import { explainBookingError } from '../utils/bookingErrors';
+import SlotFilters, { emptySlotFilters, slotFilterParams } from '../components/SlotFilters';
+import SubmissionFields, { emptySubmission } from '../components/SubmissionFields';
+import AllocationPreferences from '../components/AllocationPreferences';
+import NextFreeSlot from '../components/NextFreeSlot';
+import { uploadArtifacts } from '../utils/artifacts';
+import { dateKey, displayZone, formatDate, formatTime, formatTimeRange } from '../utils/time';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -10,14 +17,114 @@ export default function AvailableSlots() {
   const { user } = useAuth();
   const [slots, setSlots] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedDate, setSelectedDate] = useState('');
-  const [selectedFaculty, setSelectedFaculty] = useState('');
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(emptySlotFilters);
   const [faculties, setFaculties] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  // Assignment picked for each slot, keyed by slot ID
+  const [chosenAssignments, setChosenAssignments] = useState({});
+  // Notes, links and files to submit with each slot's booking
+  const [submissions, setSubmissions] = useState({});
+  const [submissionSlotId, setSubmissionSlotId] = useState(null);
+  // Responses for outdated filters are dropped
+  const requestId = useRef(0);
+  const loadMoreRef = useRef(null);
 
   useEffect(() => {
-    fetchFaculties();
     fetchSlots();
-  }, [selectedDate, selectedFaculty]);
+  }, [filters]);
+
+  useEffect(() => {
+    fetchFaculties();
+    fetchAssignments();
+  }, []);
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !loadingMore) {
+          fetchSlots(nextCursor);
+        }
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore]);
+
+  // The waitlist is per faculty, optionally for a single date
+  const waitlistFaculty = filters.faculty_ids.length === 1 ? filters.faculty_ids[0] : '';
+  const waitlistDate =
+    filters.date_from && filters.date_from === filters.date_to ? filters.date_from : '';
+
+  useEffect(() => {
+    if (user.role === 'scholar') {
+      fetchWaitlist();
+    }
+  }, [user.role]);
+
+  const fetchWaitlist = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/waitlist/mine`);
+      setWaitlist(response.data.entries);
+    } catch (error) {
+      console.error('Failed to fetch waitlist:', error);
+    }
+  };
+
+  const handleJoinWaitlist = async () => {
+    try {
+      await axios.post(`${API_URL}/waitlist`, {
+        faculty_id: waitlistFaculty,
+        date: waitlistDate || null,
+      });
+      toast.success("You're on the waitlist. We'll hold the next open slot for you.");
+      fetchWaitlist();
+    } catch (error) {
+      console.error('Failed to join waitlist:', error);
+      toast.error(error.response?.data?.error || 'Failed to join waitlist');
+    }
+  };
+
+  const handleLeaveWaitlist = async (entryId) => {
+    try {
+      await axios.delete(`${API_URL}/waitlist/${entryId}`);
+      toast.success('Removed from waitlist');
+      fetchWaitlist();
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to leave waitlist:', error);
+      toast.error(error.response?.data?.error || 'Failed to leave waitlist');
+    }
+  };
+
+  const fetchAssignments = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/assignments`);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error);
+    }
+  };
+
+  // Slots without attached assignments accept any assignment
+  const assignmentOptions = (slot) =>
+    slot.assignments?.length > 0 ? slot.assignments : assignments;
+
+  const assignmentFor = (slot) => {
+    const options = assignmentOptions(slot);
+    if (chosenAssignments[slot.id]) return chosenAssignments[slot.id];
+    if (options.some((assignment) => assignment.id === filters.assignment_id)) {
+      return filters.assignment_id;
+    }
+    return options.length === 1 ? options[0].id : '';
+  };
 
   const fetchFaculties = async () => {
     try {
@@ -28,46 +135,102 @@ export default function AvailableSlots() {
     }
   };
 
-  const fetchSlots = async () => {
+  // Without a cursor the list restarts from the first page
+  const fetchSlots = async (cursor = null) => {
+    const id = ++requestId.current;
     try {
-      setLoading(true);
-      const params = {};
-      if (selectedDate) params.date = selectedDate;
-      if (selectedFaculty) params.faculty_id = selectedFaculty;
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const params = slotFilterParams(filters);
+      if (cursor) params.cursor = cursor;
 
       const response = await axios.get(`${API_URL}/slots/available`, { params });
-      setSlots(response.data.slots);
+      if (id !== requestId.current) return;
+
+      // Seat counts change between pages, so under "most seats" a slot can
+      // move past the cursor and come back on a later page
+      setSlots((previous) => {
+        if (!cursor) return response.data.slots;
+        const seen = new Set(previous.map((slot) => slot.id));
+        return [...previous, ...response.data.slots.filter((slot) => !seen.has(slot.id))];
+      });
+      setNextCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Failed to fetch slots:', error);
-      toast.error('Failed to load available slots');
+      toast.error(error.response?.data?.error || 'Failed to load available slots');
     } finally {
-      setLoading(false);
+      if (id === requestId.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   };
 
-  const handleBookSlot = async (slotId) => {
+  const handleBookSlot = async (slot, assignmentId = assignmentFor(slot)) => {
     if (user.role !== 'scholar') {
       toast.error('Only scholars can book slots');
       return;
     }
 
+    if (!assignmentId) {
+      toast.error('Choose the assignment you are demoing');
+      return;
+    }
+
+    const { files, ...submission } = submissions[slot.id] || emptySubmission;
+
     try {
-      const response = await axios.post(`${API_URL}/slots/${slotId}/book`);
+      const response = await axios.post(`${API_URL}/slots/${slot.id}/book`, {
+        ...submission,
+        assignment_id: assignmentId,
+      });
+
+      // Files go up once the booking exists
+      const failed = await uploadArtifacts(response.data.booking.id, files);
+      if (failed.length > 0) {
+        toast.error(`Some files were not attached. Add them from My Bookings.\n${failed.join('\n')}`, {
+          duration: 8000,
+        });
+      }
+      setSubmissions({ ...submissions, [slot.id]: emptySubmission });
+      setSubmissionSlotId(null);
+
+      if (response.data.pending) {
+        toast.success('Request sent! The seat is held while the faculty reviews it.', {
+          duration: 6000,
+        });
+        fetchSlots();
+        fetchWaitlist();
+        return;
+      }
+
       const { meetingLink, calendarLink } = response.data;
+      const location = response.data.slot.meeting_location;
       
-      // Show success message with meeting link
+      // Show success message with where to meet
       toast.success(
         (t) => (
           <div className="space-y-2">
             <p className="font-semibold">Slot booked successfully! 🎉</p>
-            <a 
-              href={meetingLink} 
-              target="_blank" 
-              rel="noopener noreferrer"
-              className="text-blue-600 hover:text-blue-800 text-sm block"
-            >
-              📹 Join Google Meet: {meetingLink}
-            </a>
+            {meetingLink && (
+              <a 
+                href={meetingLink} 
+                target="_blank" 
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:text-blue-800 text-sm block"
+              >
+                📹 Join Meeting: {meetingLink}
+              </a>
+            )}
+            {location && <p className="text-sm text-gray-700">📍 In person: {location}</p>}
+            {!meetingLink && !location && (
+              <p className="text-sm text-gray-600">
+                The meeting details will appear under My Bookings shortly.
+              </p>
+            )}
             <a 
               href={calendarLink} 
               target="_blank" 
@@ -76,89 +239,182 @@ export default function AvailableSlots() {
             >
               📅 Add to Calendar
             </a>
-            <button
-              onClick={() => {
-                navigator.clipboard.writeText(meetingLink);
-                toast.success('Meeting link copied!');
-              }}
-              className="text-xs text-gray-600 hover:text-gray-800 underline"
-            >
-              Copy Meeting Link
-            </button>
+            {meetingLink && (
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(meetingLink);
+                  toast.success('Meeting link copied!');
+                }}
+                className="text-xs text-gray-600 hover:text-gray-800 underline"
+              >
+                Copy Meeting Link
+              </button>
+            )}
           </div>
         ),
         { duration: 8000 }
       );
       
       fetchSlots();
+      fetchWaitlist();
     } catch (error) {
       console.error('Failed to book slot:', error);
-      toast.error(error.response?.data?.error || 'Failed to book slot');
+      toast.error(explainBookingError(error, 'Failed to book slot'), { duration: 6000 });
+      // Someone else got there first; show what is still open
+      if (error.response?.status === 409) {
+        fetchSlots();
+      }
     }
   };
 
+  const zone = displayZone(user);
+
+  // Group by calendar day in the viewer's zone, not the faculty's
   const groupSlotsByDate = (slots) => {
     const grouped = {};
     slots.forEach((slot) => {
-      if (!grouped[slot.date]) {
-        grouped[slot.date] = [];
+      const day = dateKey(slot.starts_at, zone);
+      if (!grouped[day]) {
+        grouped[day] = [];
       }
-      grouped[slot.date].push(slot);
+      grouped[day].push(slot);
     });
     return grouped;
   };
 
-  const groupedSlots = groupSlotsByDate(slots);
+  // Day headers only make sense when the results are in date order
+  const chronological = filters.sort === 'soonest' || filters.sort === 'latest';
+  const groupedSlots = chronological ? groupSlotsByDate(slots) : { results: slots };
+  const offers = waitlist.filter((entry) => entry.status === 'offered' && entry.offered_slot);
+  const waiting = waitlist.filter((entry) => entry.status === 'waiting');
 
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-3xl font-bold text-gray-900">Available Slots</h1>
-        <p className="mt-2 text-gray-600">Browse and book available time slots</p>
+        <p className="mt-2 text-gray-600">
+          Browse and book available time slots · Times shown in {zone}
+        </p>
       </div>
 
-      {/* Filters */}
-      <div className="bg-white rounded-lg shadow p-4">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {/* Preference-based allocation */}
+      <AllocationPreferences zone={zone} />
+
+      {/* Waitlist Offers */}
+      {offers.map((entry) => (
+        <div
+          key={entry.id}
+          className="p-4 bg-yellow-50 rounded-lg border border-yellow-200 flex items-center justify-between"
+        >
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Filter by Date
-            </label>
-            <input
-              type="date"
-              value={selectedDate}
-              onChange={(e) => setSelectedDate(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+            <p className="text-sm font-medium text-yellow-900">
+              🎟️ {entry.faculty.name} has a slot for you:{' '}
+              {formatDate(entry.offered_slot.starts_at, zone, {
+                weekday: 'short',
+                month: 'short',
+                year: undefined,
+              })}{' '}
+              · {formatTimeRange(entry.offered_slot, zone)}
+            </p>
+            <p className="text-xs text-yellow-800">
+              Reserved for you until {formatTime(entry.offer_expires_at, zone)}
+            </p>
           </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Filter by Faculty
-            </label>
-            <select
-              value={selectedFaculty}
-              onChange={(e) => setSelectedFaculty(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          <div className="flex space-x-3">
+            {assignmentOptions(entry.offered_slot).length > 1 && (
+              <select
+                value={assignmentFor(entry.offered_slot)}
+                onChange={(e) =>
+                  setChosenAssignments({ ...chosenAssignments, [entry.offered_slot.id]: e.target.value })
+                }
+                className="px-3 py-2 border border-yellow-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                <option value="">Choose assignment…</option>
+                {assignmentOptions(entry.offered_slot).map((assignment) => (
+                  <option key={assignment.id} value={assignment.id}>
+                    {assignment.title}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={() => handleBookSlot(entry.offered_slot)}
+              className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 transition-colors text-sm font-medium"
+            >
+              Claim
+            </button>
+            <button
+              onClick={() => handleLeaveWaitlist(entry.id)}
+              className="text-sm text-yellow-800 hover:text-yellow-900 font-medium"
             >
-              <option value="">All Faculties</option>
-              {faculties.map((faculty) => (
-                <option key={faculty.id} value={faculty.id}>
-                  {faculty.name}
-                </option>
-              ))}
-            </select>
+              Decline
+            </button>
           </div>
         </div>
-      </div>
+      ))}
+
+      {waiting.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">You are waiting for</p>
+          <div className="flex flex-wrap gap-2">
+            {waiting.map((entry) => (
+              <span
+                key={entry.id}
+                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+              >
+                {entry.faculty.name}
+                {entry.date && ` · ${format(parseISO(entry.date), 'MMM d')}`}
+                <button
+                  onClick={() => handleLeaveWaitlist(entry.id)}
+                  className="ml-1 text-gray-500 hover:text-gray-700"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Earliest slot across faculty */}
+      {user.role === 'scholar' && (
+        <NextFreeSlot
+          faculties={faculties}
+          assignments={assignments}
+          zone={zone}
+          onBook={handleBookSlot}
+        />
+      )}
+
+      {/* Filters */}
+      <SlotFilters
+        filters={filters}
+        onChange={setFilters}
+        faculties={faculties}
+        assignments={assignments}
+      />
 
       {/* Slots List */}
       {loading ? (
         <div className="flex justify-center py-12">
           <div className="spinner"></div>
         </div>
-      ) : Object.keys(groupedSlots).length === 0 ? (
+      ) : slots.length === 0 ? (
         <div className="bg-white rounded-lg shadow p-8 text-center">
           <p className="text-gray-500">No available slots found</p>
+          {user.role === 'scholar' &&
+            (waitlistFaculty ? (
+              <button
+                onClick={handleJoinWaitlist}
+                className="mt-4 text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Join the waitlist{waitlistDate ? ' for this date' : ''} →
+              </button>
+            ) : (
+              <p className="mt-2 text-sm text-gray-400">
+                Pick a single faculty member to join their waitlist
+              </p>
+            ))}
         </div>
       ) : (
         <div className="space-y-6">
@@ -166,7 +422,7 @@ export default function AvailableSlots() {
             <div key={date} className="bg-white rounded-lg shadow">
               <div className="px-6 py-4 border-b border-gray-200">
                 <h3 className="text-lg font-semibold text-gray-900">
-                  {format(parseISO(date), 'EEEE, MMMM d, yyyy')}
+                  {chronological ? format(parseISO(date), 'EEEE, MMMM d, yyyy') : 'Matching slots'}
                 </h3>
               </div>
               <div className="p-6">
@@ -190,23 +446,90 @@ export default function AvailableSlots() {
                             <p className="text-xs text-gray-500">
                               {slot.faculty.email}
                             </p>
+                            {slot.panelists.length > 1 && (
+                              <p className="text-xs text-teal-700">
+                                Panel with{' '}
+                                {slot.panelists
+                                  .filter((member) => member.id !== slot.faculty_id)
+                                  .map((member) => member.name)
+                                  .join(', ')}
+                              </p>
+                            )}
                           </div>
                         </div>
+                        {slot.held_for_me && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Reserved for you
+                          </span>
+                        )}
                       </div>
                       <div className="space-y-2">
                         <div className="flex items-center text-sm text-gray-600">
                           <span className="font-medium">Time:</span>
-                          <span className="ml-2">
-                            {slot.start_time} - {slot.end_time}
-                          </span>
+                          <span className="ml-2">{formatTimeRange(slot, zone)}</span>
                         </div>
+                        {slot.approval_required && (
+                          <p className="text-xs text-gray-500">
+                            Faculty approval required · your seat is held while they decide
+                          </p>
+                        )}
+                        {slot.capacity > 1 && (
+                          <div className="flex items-center text-sm text-gray-600">
+                            <span className="font-medium">Group:</span>
+                            <span className="ml-2">
+                              {slot.seats_left} of {slot.capacity} seats left
+                            </span>
+                          </div>
+                        )}
+                        {slot.assignments.length > 0 && (
+                          <div className="flex flex-wrap gap-1">
+                            {slot.assignments.map((assignment) => (
+                              <span
+                                key={assignment.id}
+                                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                              >
+                                {assignment.title}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                         {user.role === 'scholar' && (
-                          <button
-                            onClick={() => handleBookSlot(slot.id)}
-                            className="w-full mt-3 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm font-medium"
-                          >
-                            Book Slot
-                          </button>
+                          <>
+                            <select
+                              value={assignmentFor(slot)}
+                              onChange={(e) =>
+                                setChosenAssignments({ ...chosenAssignments, [slot.id]: e.target.value })
+                              }
+                              className="w-full mt-3 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">Choose assignment…</option>
+                              {assignmentOptions(slot).map((assignment) => (
+                                <option key={assignment.id} value={assignment.id}>
+                                  {assignment.title}
+                                </option>
+                              ))}
+                            </select>
+                            {submissionSlotId === slot.id ? (
+                              <SubmissionFields
+                                value={submissions[slot.id] || emptySubmission}
+                                onChange={(value) => setSubmissions({ ...submissions, [slot.id]: value })}
+                              />
+                            ) : (
+                              <button
+                                onClick={() => setSubmissionSlotId(slot.id)}
+                                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                              >
+                                + Add notes, links &amp; files
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleBookSlot(slot)}
+                              disabled={!assignmentFor(slot)}
+                              className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+                            >
+                              {slot.approval_required ? 'Request Slot' : 'Book Slot'}
+                            </button>
+                          </>
                         )}
                       </div>
                     </div>
@@ -215,6 +538,12 @@ export default function AvailableSlots() {
               </div>
             </div>
           ))}
+          <div ref={loadMoreRef} />
+          {loadingMore && (
+            <div className="flex justify-center py-6">
+              <div className="spinner"></div>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -1,5 +1,6 @@
 import { useAuth } from '../context/AuthContext';
 import { Link } from 'react-router-dom';
+import CalendarFeed from '../components/CalendarFeed';
 
 export default function Dashboard() {
   const { user } = useAuth();
@@ -75,6 +76,8 @@ export default function Dashboard() {
           isInfo
         />
       </div>
+
+      <CalendarFeed />
     </div>
   );
 }
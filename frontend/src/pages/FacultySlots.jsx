@@ -2,28 +2,119 @@ import { useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import SeriesForm from '../components/SeriesForm';
+import BulkSlotForm from '../components/BulkSlotForm';
+import AssignmentPicker from '../components/AssignmentPicker';
+import PanelistPicker from '../components/PanelistPicker';
+import BlackoutDates from '../components/BlackoutDates';
+import MeetingDetails from '../components/MeetingDetails';
+import MeetingSettings from '../components/MeetingSettings';
+import RubricManager from '../components/RubricManager';
+import GradeForm from '../components/GradeForm';
+import ArtifactList from '../components/ArtifactList';
+import BookingRequests from '../components/BookingRequests';
+import {
+  availableTimeZones,
+  displayZone,
+  formatDate,
+  formatTimeRange,
+  schedulingZone,
+} from '../utils/time';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const OUTCOME_LABELS = {
+  completed: 'Completed',
+  no_show: 'Scholar no-show',
+  faculty_cancelled: 'Cancelled by faculty',
+};
+
 export default function FacultySlots() {
+  const { user, updateUser } = useAuth();
+  const zone = displayZone(user);
+  // New slots and series are defined in this zone, whatever the display zone
+  const slotZone = schedulingZone(user);
   const [slots, setSlots] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showBulkForm, setShowBulkForm] = useState(false);
+  const [series, setSeries] = useState([]);
+  const [waitlistSummary, setWaitlistSummary] = useState(null);
+  const [showSeriesForm, setShowSeriesForm] = useState(false);
+  const [showBlackouts, setShowBlackouts] = useState(false);
+  const [showMeetingSettings, setShowMeetingSettings] = useState(false);
+  const [showRubrics, setShowRubrics] = useState(false);
+  const [rubrics, setRubrics] = useState([]);
+  const [editingSlotId, setEditingSlotId] = useState(null);
+  const [editingPanelSlotId, setEditingPanelSlotId] = useState(null);
+  // { series, scope, from_date } while editing an existing series
+  const [editingSeries, setEditingSeries] = useState(null);
   const [formData, setFormData] = useState({
     date: '',
     start_time: '',
     end_time: '',
+    capacity: 1,
+    requires_approval: '',
+    assignment_ids: [],
+    panelist_ids: [],
   });
+  const [assignments, setAssignments] = useState([]);
+  const [faculties, setFaculties] = useState([]);
 
   useEffect(() => {
     fetchSlots();
+    fetchSeries();
+    fetchAssignments();
+    fetchRubrics();
+    fetchFaculties();
   }, []);
 
+  const fetchAssignments = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/assignments`);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error);
+    }
+  };
+
+  const fetchFaculties = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users/faculties`);
+      setFaculties(response.data.faculties);
+    } catch (error) {
+      console.error('Failed to fetch faculties:', error);
+    }
+  };
+
+  const fetchRubrics = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/rubrics`);
+      setRubrics(response.data.rubrics);
+    } catch (error) {
+      console.error('Failed to fetch rubrics:', error);
+    }
+  };
+
+  const fetchWaitlistSummary = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/waitlist/summary`);
+      setWaitlistSummary(response.data);
+    } catch (error) {
+      console.error('Failed to fetch waitlist summary:', error);
+    }
+  };
+
   const fetchSlots = async () => {
     try {
       setLoading(true);
       const response = await axios.get(`${API_URL}/slots/my-slots`);
       setSlots(response.data.slots);
+      // New or released slots go to the waitlist first
+      fetchWaitlistSummary();
     } catch (error) {
       console.error('Failed to fetch slots:', error);
       toast.error('Failed to load your slots');
@@ -32,23 +123,115 @@ export default function FacultySlots() {
     }
   };
 
+  const fetchSeries = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/series`);
+      setSeries(response.data.series);
+    } catch (error) {
+      console.error('Failed to fetch series:', error);
+    }
+  };
+
+  const reportSeriesResult = (data) => {
+    toast.success(data.message);
+    if (data.skipped?.length > 0) {
+      toast(
+        `Skipped ${data.skipped.length} date(s) that overlap existing slots: ${data.skipped
+          .map((s) => s.date)
+          .join(', ')}`,
+        { icon: '⚠️', duration: 8000 }
+      );
+    }
+  };
+
+  const handleCreateSeries = async (values) => {
+    try {
+      const response = await axios.post(`${API_URL}/series`, values);
+      reportSeriesResult(response.data);
+      setShowSeriesForm(false);
+      fetchSlots();
+      fetchSeries();
+    } catch (error) {
+      console.error('Failed to create series:', error);
+      toast.error(error.response?.data?.error || 'Failed to create series');
+    }
+  };
+
+  const handleUpdateSeries = async (values) => {
+    try {
+      const response = await axios.patch(`${API_URL}/series/${editingSeries.series.id}`, {
+        ...values,
+        scope: editingSeries.scope,
+        from_date: editingSeries.from_date,
+      });
+      reportSeriesResult(response.data);
+      setEditingSeries(null);
+      fetchSlots();
+      fetchSeries();
+    } catch (error) {
+      console.error('Failed to update series:', error);
+      toast.error(error.response?.data?.error || 'Failed to update series');
+    }
+  };
+
+  const handleDeleteSeries = async (seriesId, fromDate) => {
+    const message = fromDate
+      ? 'Delete this and all following unbooked occurrences?'
+      : 'Delete this series and all of its unbooked slots?';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const params = fromDate ? { scope: 'following', from_date: fromDate } : { scope: 'all' };
+      await axios.delete(`${API_URL}/series/${seriesId}`, { params });
+      toast.success(fromDate ? 'Following occurrences deleted' : 'Series deleted successfully!');
+      fetchSlots();
+      fetchSeries();
+    } catch (error) {
+      console.error('Failed to delete series:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete series');
+    }
+  };
+
+  const editSeriesFrom = (seriesId, fromDate) => {
+    const target = series.find((s) => s.id === seriesId);
+    if (!target) return;
+    setShowSeriesForm(false);
+    setEditingSeries({
+      series: target,
+      scope: fromDate ? 'following' : 'all',
+      from_date: fromDate,
+    });
+  };
+
   const handleCreateSlot = async (e) => {
     e.preventDefault();
     
     try {
-      // Combine date and time for the API
-      const startDateTime = `${formData.date}T${formData.start_time}:00`;
-      const endDateTime = `${formData.date}T${formData.end_time}:00`;
-
+      // Wall-clock times; the server reads them in the faculty's time zone
       await axios.post(`${API_URL}/slots`, {
         date: formData.date,
-        start_time: startDateTime,
-        end_time: endDateTime,
+        start_time: formData.start_time,
+        end_time: formData.end_time,
+        capacity: formData.capacity,
+        // Empty follows the faculty-wide approval setting
+        requires_approval: formData.requires_approval === '' ? null : formData.requires_approval === 'true',
+        assignment_ids: formData.assignment_ids,
+        panelist_ids: formData.panelist_ids,
       });
 
       toast.success('Slot created successfully!');
       setShowCreateForm(false);
-      setFormData({ date: '', start_time: '', end_time: '' });
+      setFormData({
+        date: '',
+        start_time: '',
+        end_time: '',
+        capacity: 1,
+        requires_approval: '',
+        assignment_ids: [],
+        panelist_ids: [],
+      });
       fetchSlots();
     } catch (error) {
       console.error('Failed to create slot:', error);
@@ -71,16 +254,142 @@ export default function FacultySlots() {
     }
   };
 
+  const handleUpdateSlot = async (slot, values) => {
+    try {
+      await axios.patch(`${API_URL}/slots/${slot.id}`, values);
+      toast.success(
+        slot.booked_count > 0 ? 'Slot updated · booked scholars notified' : 'Slot updated successfully!'
+      );
+      setEditingSlotId(null);
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to update slot:', error);
+      toast.error(error.response?.data?.error || 'Failed to update slot');
+    }
+  };
+
+  const handlePanelChange = async (slot, panelistIds) => {
+    try {
+      const response = await axios.put(`${API_URL}/slots/${slot.id}/panelists`, {
+        panelist_ids: panelistIds,
+      });
+      toast.success(response.data.message);
+      setEditingPanelSlotId(null);
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to update slot panel:', error);
+      toast.error(error.response?.data?.error || 'Failed to update slot panel');
+    }
+  };
+
+  const handleCancelBooking = async (slot, booking) => {
+    const reason = window.prompt(
+      `Cancel ${booking.scholar.name}'s booking? Enter a reason (optional):`
+    );
+    if (reason === null) {
+      return;
+    }
+    const releaseSlot = window.confirm(
+      slot.capacity > 1
+        ? 'Return this seat to the available pool? Choose Cancel to remove the seat.'
+        : 'Return this slot to the available pool? Choose Cancel to keep it closed.'
+    );
+
+    try {
+      await axios.post(`${API_URL}/slots/${slot.id}/cancel`, {
+        reason,
+        release_slot: releaseSlot,
+        scholar_id: booking.scholar_id,
+      });
+      toast.success('Booking cancelled successfully!');
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to cancel booking:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel booking');
+    }
+  };
+
+  const handleRecordOutcome = async (slot, booking, outcome) => {
+    const remark = window.prompt(
+      `Mark ${booking.scholar.name}'s session as "${OUTCOME_LABELS[outcome]}"? Add a remark (optional):`
+    );
+    if (remark === null) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/slots/${slot.id}/outcome`, {
+        outcome,
+        remark,
+        scholar_id: booking.scholar_id,
+      });
+      toast.success('Session outcome recorded');
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to record outcome:', error);
+      toast.error(error.response?.data?.error || 'Failed to record session outcome');
+    }
+  };
+
+  const handleRubricChange = async (slot, rubricId) => {
+    try {
+      const response = await axios.put(`${API_URL}/slots/${slot.id}/rubric`, {
+        rubric_id: rubricId || null,
+      });
+      toast.success(response.data.message);
+      fetchSlots();
+    } catch (error) {
+      console.error('Failed to update slot rubric:', error);
+      toast.error(error.response?.data?.error || 'Failed to update slot rubric');
+    }
+  };
+
+  const hasStarted = (slot) => new Date(slot.starts_at) <= new Date();
+
+  // Google Calendar page of the slot's event, recorded on its bookings
+  const calendarEventLink = (slot) =>
+    slot.calendar_event_id &&
+    slot.attendees.find(
+      (booking) => booking.status === 'booked' && booking.calendar_event_id === slot.calendar_event_id
+    )?.calendar_html_link;
+
+  // The slot's meeting is only as far along as its least synced booking
+  const calendarStatus = (slot) =>
+    ['failed', 'pending'].find((status) =>
+      slot.attendees.some(
+        (booking) => booking.status === 'booked' && booking.calendar_status === status
+      )
+    );
+
+  const handleSettingChange = async (setting, value) => {
+    try {
+      const response = await axios.patch(`${API_URL}/users/me/settings`, {
+        [setting]: value,
+      });
+      updateUser({ [setting]: response.data.user[setting] });
+      toast.success('Settings updated');
+    } catch (error) {
+      console.error('Failed to update settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to update settings');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'available':
         return 'bg-green-100 text-green-800';
       case 'booked':
         return 'bg-blue-100 text-blue-800';
+      case 'awaiting_outcome':
+        return 'bg-yellow-100 text-yellow-800';
       case 'completed':
         return 'bg-gray-100 text-gray-800';
       case 'cancelled':
         return 'bg-red-100 text-red-800';
+      case 'no_show':
+        return 'bg-orange-100 text-orange-800';
+      case 'expired':
+        return 'bg-gray-100 text-gray-500';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -92,23 +401,226 @@ export default function FacultySlots() {
         <div>
           <h1 className="text-3xl font-bold text-gray-900">My Slots</h1>
           <p className="mt-2 text-gray-600">Manage your available time slots</p>
+          <label className="mt-2 flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={user?.release_cancelled_slots !== false}
+              onChange={(e) => handleSettingChange('release_cancelled_slots', e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Return slots to the pool when a scholar cancels</span>
+          </label>
+          <label className="mt-1 flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={Boolean(user?.requires_booking_approval)}
+              onChange={(e) => handleSettingChange('requires_booking_approval', e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Approve bookings before they are confirmed</span>
+          </label>
+          <label className="mt-1 flex items-center space-x-2 text-sm text-gray-600">
+            <span>Create slots in</span>
+            <select
+              value={slotZone}
+              onChange={(e) => handleSettingChange('time_zone', e.target.value)}
+              className="text-sm border border-gray-300 rounded-md px-2 py-1 max-w-[12rem] focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {availableTimeZones().map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setShowMeetingSettings(!showMeetingSettings)}
+            className="px-4 py-2 border border-gray-400 text-gray-700 rounded-md hover:bg-gray-50 transition-colors font-medium"
+          >
+            {showMeetingSettings ? 'Hide Meetings' : 'Meetings'}
+          </button>
+          <button
+            onClick={() => setShowBlackouts(!showBlackouts)}
+            className="px-4 py-2 border border-gray-400 text-gray-700 rounded-md hover:bg-gray-50 transition-colors font-medium"
+          >
+            {showBlackouts ? 'Hide Blackouts' : 'Blackout Dates'}
+          </button>
+          <button
+            onClick={() => setShowRubrics(!showRubrics)}
+            className="px-4 py-2 border border-gray-400 text-gray-700 rounded-md hover:bg-gray-50 transition-colors font-medium"
+          >
+            {showRubrics ? 'Hide Rubrics' : 'Rubrics'}
+          </button>
+          <button
+            onClick={() => setShowBulkForm(!showBulkForm)}
+            className="px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors font-medium"
+          >
+            {showBulkForm ? 'Cancel' : '+ Generate Slots'}
+          </button>
+          <button
+            onClick={() => {
+              setEditingSeries(null);
+              setShowSeriesForm(!showSeriesForm);
+            }}
+            className="px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors font-medium"
+          >
+            {showSeriesForm ? 'Cancel' : '+ Recurring Series'}
+          </button>
+          <button
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium"
+          >
+            {showCreateForm ? 'Cancel' : '+ Create Slot'}
+          </button>
         </div>
-        <button
-          onClick={() => setShowCreateForm(!showCreateForm)}
-          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium"
-        >
-          {showCreateForm ? 'Cancel' : '+ Create Slot'}
-        </button>
       </div>
 
+      {/* Waitlist Summary */}
+      {waitlistSummary?.total > 0 && (
+        <div className="p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+          <p className="text-sm font-medium text-yellow-900">
+            👥 {waitlistSummary.total} scholar(s) on your waitlist
+            {waitlistSummary.offered > 0 && ` (${waitlistSummary.offered} with a pending offer)`}
+          </p>
+          <p className="text-xs text-yellow-800 mt-1">
+            {Object.entries(waitlistSummary.byDate)
+              .map(([date, count]) =>
+                date === 'any' ? `${count} for any date` : `${count} for ${format(parseISO(date), 'MMM d')}`
+              )
+              .join(' · ')}
+            {' '}— new slots are offered to them first.
+          </p>
+        </div>
+      )}
+
+      {/* Booked slots caught by a blackout or holiday */}
+      {slots.some((slot) => slot.needs_reschedule) && (
+        <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+          <p className="text-sm font-medium text-red-900">
+            ⚠️ {slots.filter((slot) => slot.needs_reschedule).length} booked slot(s) fall on
+            blackout dates or holidays
+          </p>
+          <p className="text-xs text-red-800 mt-1">
+            Ask the scholars to reschedule, or cancel the bookings below.
+          </p>
+        </div>
+      )}
+
+      {showMeetingSettings && <MeetingSettings />}
+
+      {showBlackouts && <BlackoutDates onChange={fetchSlots} />}
+
+      {showRubrics && (
+        <RubricManager
+          rubrics={rubrics}
+          onChange={() => {
+            fetchRubrics();
+            fetchSlots();
+          }}
+        />
+      )}
+
+      <BookingRequests zone={zone} onDecided={fetchSlots} />
+
+      {/* Bulk Generation Form */}
+      {showBulkForm && (
+        <BulkSlotForm
+          onCreated={() => {
+            setShowBulkForm(false);
+            fetchSlots();
+          }}
+          onCancel={() => setShowBulkForm(false)}
+          timeZone={slotZone}
+          assignments={assignments}
+        />
+      )}
+
+      {/* Recurring Series Form */}
+      {showSeriesForm && (
+        <SeriesForm
+          title="Create Recurring Series"
+          submitLabel="Create Series"
+          initialValues={{ start_date: new Date().toISOString().split('T')[0] }}
+          onSubmit={handleCreateSeries}
+          onCancel={() => setShowSeriesForm(false)}
+          timeZone={slotZone}
+        />
+      )}
+
+      {editingSeries && (
+        <SeriesForm
+          key={`${editingSeries.series.id}-${editingSeries.from_date || 'all'}`}
+          title={
+            editingSeries.scope === 'following'
+              ? `Edit occurrences from ${editingSeries.from_date}`
+              : 'Edit Recurring Series'
+          }
+          submitLabel="Save Changes"
+          initialValues={{
+            ...editingSeries.series,
+            start_date:
+              editingSeries.scope === 'following'
+                ? editingSeries.from_date
+                : editingSeries.series.start_date,
+          }}
+          onSubmit={handleUpdateSeries}
+          onCancel={() => setEditingSeries(null)}
+          timeZone={editingSeries.series.time_zone}
+        />
+      )}
+
+      {/* Recurring Series List */}
+      {series.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Recurring Series</h2>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {series.map((s) => (
+              <div key={s.id} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {s.days_of_week.map((d) => DAY_NAMES[d]).join(', ')} ·{' '}
+                    {s.start_time.slice(0, 5)} - {s.end_time.slice(0, 5)} ({s.time_zone})
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {format(parseISO(s.start_date), 'MMM d, yyyy')} –{' '}
+                    {format(parseISO(s.end_date), 'MMM d, yyyy')}
+                    {s.exception_dates.length > 0 &&
+                      ` · ${s.exception_dates.length} skipped date(s)`}
+                  </p>
+                </div>
+                <div className="flex space-x-4">
+                  <button
+                    onClick={() => editSeriesFrom(s.id, null)}
+                    className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteSeries(s.id, null)}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Create Slot Form */}
       {showCreateForm && (
         <div className="bg-white rounded-lg shadow p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">
             Create New Slot
           </h2>
+          <p className="text-sm text-gray-600 mb-4">Times are in {slotZone}.</p>
           <form onSubmit={handleCreateSlot} className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Date *
@@ -152,6 +664,48 @@ export default function FacultySlots() {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Seats *
+                </label>
+                <input
+                  type="number"
+                  required
+                  min={1}
+                  max={50}
+                  value={formData.capacity}
+                  onChange={(e) =>
+                    setFormData({ ...formData, capacity: Number(e.target.value) })
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <AssignmentPicker
+              assignments={assignments}
+              selected={formData.assignment_ids}
+              onChange={(assignment_ids) => setFormData({ ...formData, assignment_ids })}
+            />
+            <PanelistPicker
+              faculties={faculties.filter((faculty) => faculty.id !== user?.id)}
+              selected={formData.panelist_ids}
+              onChange={(panelist_ids) => setFormData({ ...formData, panelist_ids })}
+            />
+            <div className="md:w-1/3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Booking approval
+              </label>
+              <select
+                value={formData.requires_approval}
+                onChange={(e) => setFormData({ ...formData, requires_approval: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">
+                  My default ({user?.requires_booking_approval ? 'approval required' : 'instant booking'})
+                </option>
+                <option value="true">Approval required</option>
+                <option value="false">Instant booking</option>
+              </select>
             </div>
             <div className="flex justify-end space-x-3">
               <button
@@ -200,92 +754,181 @@ export default function FacultySlots() {
                           slot.status
                         )}`}
                       >
-                        {slot.status}
+                        {slot.status.replace(/_/g, ' ')}
                       </span>
+                      {slot.series_id && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                          recurring
+                        </span>
+                      )}
+                      {(slot.requires_approval ?? user?.requires_booking_approval) && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          approval required
+                        </span>
+                      )}
+                      {slot.allocation_round_id && slot.held_until && !slot.held_for && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-teal-100 text-teal-800">
+                          in allocation round
+                        </span>
+                      )}
+                      {slot.panelists.length > 1 && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-teal-100 text-teal-800">
+                          panel
+                        </span>
+                      )}
+                      {slot.assignments.map((assignment) => (
+                        <span
+                          key={assignment.id}
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                        >
+                          {assignment.title}
+                        </span>
+                      ))}
                       <h3 className="text-lg font-semibold text-gray-900">
-                        {format(parseISO(slot.date), 'MMMM d, yyyy')}
+                        {formatDate(slot.starts_at, zone)}
                       </h3>
                     </div>
+                    {slot.faculty_notes && (
+                      <p className="text-sm text-gray-700 mt-2">Your note: {slot.faculty_notes}</p>
+                    )}
+                    {slot.needs_reschedule && (
+                      <p className="text-sm font-medium text-red-700">
+                        ⚠️ Needs rescheduling · {slot.reschedule_reason}
+                      </p>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
                       <div>
                         <p className="text-sm font-medium text-gray-500">Time</p>
-                        <p className="text-sm text-gray-900">
-                          {slot.start_time} - {slot.end_time}
-                        </p>
+                        <p className="text-sm text-gray-900">{formatTimeRange(slot, zone)}</p>
                       </div>
-                      {slot.status === 'booked' && slot.scholar && (
+                      {slot.capacity > 1 && (
                         <div>
-                          <p className="text-sm font-medium text-gray-500">
-                            Booked by
+                          <p className="text-sm font-medium text-gray-500">Seats</p>
+                          <p className="text-sm text-gray-900">
+                            {slot.booked_count} of {slot.capacity} booked
                           </p>
-                          <div className="flex items-center space-x-2 mt-1">
-                            <img
-                              src={slot.scholar.picture}
-                              alt={slot.scholar.name}
-                              className="h-6 w-6 rounded-full"
-                            />
-                            <div>
-                              <p className="text-sm text-gray-900">
-                                {slot.scholar.name}
-                              </p>
-                              <p className="text-xs text-gray-500">
-                                {slot.scholar.email}
-                              </p>
-                            </div>
-                          </div>
+                        </div>
+                      )}
+                      {slot.panelists.length > 1 && (
+                        <div>
+                          <p className="text-sm font-medium text-gray-500">Panel</p>
+                          <p className="text-sm text-gray-900">
+                            {panelNames(slot, user)}
+                          </p>
+                        </div>
+                      )}
+                      {(rubrics.length > 0 || slot.rubric) && !['cancelled', 'expired'].includes(slot.status) && (
+                        <div>
+                          <p className="text-sm font-medium text-gray-500">Rubric</p>
+                          <select
+                            value={slot.rubric_id || ''}
+                            onChange={(e) => handleRubricChange(slot, e.target.value)}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="">No rubric</option>
+                            {slot.rubric && !rubrics.some((rubric) => rubric.id === slot.rubric_id) && (
+                              <option value={slot.rubric.id}>{slot.rubric.title}</option>
+                            )}
+                            {rubrics.map((rubric) => (
+                              <option key={rubric.id} value={rubric.id}>
+                                {rubric.title}
+                              </option>
+                            ))}
+                          </select>
                         </div>
                       )}
                     </div>
-                    {slot.notes && (
+                    {slot.attendees.length > 0 && (
                       <div className="mt-4">
-                        <p className="text-sm font-medium text-gray-500">Notes</p>
-                        <p className="text-sm text-gray-900 mt-1">{slot.notes}</p>
-                      </div>
-                    )}
-                    {slot.meeting_link && slot.status === 'booked' && (
-                      <div className="mt-4 p-4 bg-green-50 rounded-lg border border-green-200">
-                        <p className="text-sm font-medium text-green-900 mb-2">
-                          📹 Google Meet Link
+                        <p className="text-sm font-medium text-gray-500">
+                          {slot.capacity > 1 ? 'Attendees' : 'Booked by'}
                         </p>
-                        <div className="flex items-center space-x-2">
-                          <a
-                            href={slot.meeting_link}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-sm text-green-600 hover:text-green-800 underline break-all"
-                          >
-                            {slot.meeting_link}
-                          </a>
-                          <button
-                            onClick={() => {
-                              navigator.clipboard.writeText(slot.meeting_link);
-                              toast.success('Meeting link copied to clipboard!');
-                            }}
-                            className="flex-shrink-0 px-3 py-1 bg-green-600 text-white text-xs rounded hover:bg-green-700 transition-colors"
-                          >
-                            Copy Link
-                          </button>
+                        <div className="mt-1 divide-y divide-gray-100">
+                          {slot.attendees.map((booking) => (
+                            <AttendeeRow
+                              key={booking.id}
+                              booking={booking}
+                              canMark={hasStarted(slot)}
+                              rubric={slot.rubric}
+                              onGraded={fetchSlots}
+                              onCancel={() => handleCancelBooking(slot, booking)}
+                              onRecordOutcome={(outcome) =>
+                                handleRecordOutcome(slot, booking, outcome)
+                              }
+                            />
+                          ))}
                         </div>
-                        <a
-                          href={slot.meeting_link}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="mt-2 inline-block px-4 py-2 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors"
-                        >
-                          Join Meeting
-                        </a>
                       </div>
                     )}
+                    {slot.booked_count > 0 && (
+                      <MeetingDetails
+                        slot={slot}
+                        calendarStatus={calendarStatus(slot)}
+                        eventLink={calendarEventLink(slot)}
+                        theme="green"
+                      />
+                    )}
+                  </div>
+                  <div className="ml-4 flex flex-col items-end space-y-2">
+                    {slot.status !== 'cancelled' && !hasStarted(slot) && (
+                      <button
+                        onClick={() => setEditingSlotId(editingSlotId === slot.id ? null : slot.id)}
+                        className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                      >
+                        {editingSlotId === slot.id ? 'Close' : 'Edit'}
+                      </button>
+                    )}
+                    {!['cancelled', 'expired'].includes(slot.status) && !hasStarted(slot) && (
+                      <button
+                        onClick={() =>
+                          setEditingPanelSlotId(editingPanelSlotId === slot.id ? null : slot.id)
+                        }
+                        className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                      >
+                        {editingPanelSlotId === slot.id ? 'Close Panel' : 'Edit Panel'}
+                      </button>
+                    )}
+                    {slot.status === 'available' && slot.booked_count === 0 && (
+                      <button
+                        onClick={() => handleDeleteSlot(slot.id)}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        Delete
+                      </button>
+                    )}
+                    {slot.series_id && (
+                      <>
+                        <button
+                          onClick={() => editSeriesFrom(slot.series_id, slot.date)}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        >
+                          Edit this & following
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSeries(slot.series_id, slot.date)}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                        >
+                          Delete this & following
+                        </button>
+                      </>
+                    )}
                   </div>
-                  {slot.status === 'available' && (
-                    <button
-                      onClick={() => handleDeleteSlot(slot.id)}
-                      className="ml-4 text-red-600 hover:text-red-800 text-sm font-medium"
-                    >
-                      Delete
-                    </button>
-                  )}
                 </div>
+                {editingSlotId === slot.id && (
+                  <SlotEditor
+                    slot={slot}
+                    onSave={(values) => handleUpdateSlot(slot, values)}
+                    onCancel={() => setEditingSlotId(null)}
+                  />
+                )}
+                {editingPanelSlotId === slot.id && (
+                  <PanelEditor
+                    slot={slot}
+                    faculties={faculties.filter((faculty) => faculty.id !== slot.faculty_id)}
+                    onSave={(panelistIds) => handlePanelChange(slot, panelistIds)}
+                    onCancel={() => setEditingPanelSlotId(null)}
+                  />
+                )}
               </div>
             ))}
           </div>
@@ -295,3 +938,243 @@ export default function FacultySlots() {
   );
 }
 
+// Inline form for moving a slot or changing its notes. Times are wall-clock
+// times in the slot's own time zone.
+function SlotEditor({ slot, onSave, onCancel }) {
+  const [values, setValues] = useState({
+    date: slot.date,
+    start_time: slot.start_time.slice(0, 5),
+    end_time: slot.end_time.slice(0, 5),
+    notes: slot.faculty_notes || '',
+    reason: '',
+  });
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { reason, ...fields } = values;
+    onSave(slot.booked_count > 0 && reason ? { ...fields, reason } : fields);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-4">
+      <p className="text-sm text-gray-600">
+        Times are in {slot.time_zone}.
+        {slot.booked_count > 0 && ' Booked scholars get an updated invite.'}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+          <input
+            type="date"
+            required
+            value={values.date}
+            min={new Date().toISOString().split('T')[0]}
+            onChange={(e) => setValues({ ...values, date: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Start Time</label>
+          <input
+            type="time"
+            required
+            value={values.start_time}
+            onChange={(e) => setValues({ ...values, start_time: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">End Time</label>
+          <input
+            type="time"
+            required
+            value={values.end_time}
+            onChange={(e) => setValues({ ...values, end_time: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Notes for attendees</label>
+        <textarea
+          rows={2}
+          value={values.notes}
+          onChange={(e) => setValues({ ...values, notes: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+      {slot.booked_count > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Reason for the change (shared with scholars)
+          </label>
+          <input
+            type="text"
+            value={values.reason}
+            onChange={(e) => setValues({ ...values, reason: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      )}
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Save Changes
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Lead first, then co-panelists; the viewer shows as "You"
+function panelNames(slot, user) {
+  return [...slot.panelists]
+    .sort((a, b) => (b.id === slot.faculty_id) - (a.id === slot.faculty_id))
+    .map((member) => {
+      const name = member.id === user?.id ? 'You' : member.name;
+      return member.id === slot.faculty_id ? `${name} (lead)` : name;
+    })
+    .join(', ');
+}
+
+// Inline form for changing who co-owns a slot. Booked scholars' invites are
+// updated with the new panel.
+function PanelEditor({ slot, faculties, onSave, onCancel }) {
+  const [selected, setSelected] = useState(
+    slot.panelists.map((member) => member.id).filter((id) => id !== slot.faculty_id)
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(selected);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-4">
+      <PanelistPicker faculties={faculties} selected={selected} onChange={setSelected} />
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Save Panel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function AttendeeRow({ booking, canMark, rubric, onGraded, onCancel, onRecordOutcome }) {
+  const { scholar } = booking;
+  const [grading, setGrading] = useState(false);
+
+  return (
+    <div className="py-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <img src={scholar.picture} alt={scholar.name} className="h-6 w-6 rounded-full" />
+          <div>
+            <p className="text-sm text-gray-900">
+              {scholar.name}
+              {scholar.no_show_count > 0 && (
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                  {scholar.no_show_count} no-show(s)
+                </span>
+              )}
+            </p>
+            <p className="text-xs text-gray-500">
+              {scholar.email}
+              {booking.assignment && ` · ${booking.assignment.title}`}
+            </p>
+          </div>
+        </div>
+        {booking.status === 'booked' && (
+          <button
+            onClick={onCancel}
+            className="text-red-600 hover:text-red-800 text-sm font-medium"
+          >
+            Cancel Booking
+          </button>
+        )}
+      </div>
+      {booking.notes && <p className="text-sm text-gray-700 mt-2">Notes: {booking.notes}</p>}
+      <ArtifactList booking={booking} bookingId={booking.id} />
+      {booking.outcome && (
+        <div className="mt-2">
+          <p className="text-sm text-gray-900">
+            {OUTCOME_LABELS[booking.outcome]} ·{' '}
+            {format(parseISO(booking.outcome_recorded_at), 'MMM d, yyyy h:mm a')}
+          </p>
+          {booking.outcome_remark && (
+            <p className="text-sm text-gray-600 mt-1">{booking.outcome_remark}</p>
+          )}
+        </div>
+      )}
+      {booking.grade && !grading && (
+        <div className="mt-2">
+          <p className="text-sm text-gray-900">
+            Grade: {Number(booking.grade.total_points)} / {Number(booking.grade.max_points)} ·{' '}
+            <span className={booking.grade.released_at ? 'text-green-700' : 'text-yellow-700'}>
+              {booking.grade.released_at ? 'released' : 'draft'}
+            </span>
+          </p>
+          {booking.grade.feedback && (
+            <p className="text-sm text-gray-600 mt-1">{booking.grade.feedback}</p>
+          )}
+        </div>
+      )}
+      {booking.outcome === 'completed' && rubric && !grading && (
+        <button
+          onClick={() => setGrading(true)}
+          className="mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+        >
+          {booking.grade ? 'Edit Grade' : 'Grade Session'}
+        </button>
+      )}
+      {grading && (
+        <GradeForm
+          booking={booking}
+          rubric={rubric}
+          onSaved={() => {
+            setGrading(false);
+            onGraded();
+          }}
+          onCancel={() => setGrading(false)}
+        />
+      )}
+      {canMark && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {Object.entries(OUTCOME_LABELS).map(([outcome, label]) => (
+            <button
+              key={outcome}
+              onClick={() => onRecordOutcome(outcome)}
+              disabled={booking.outcome === outcome}
+              className="px-3 py-1 border border-gray-300 text-gray-700 text-xs rounded hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
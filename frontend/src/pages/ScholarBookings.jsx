@@ -1,23 +1,55 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { explainBookingError } from '../utils/bookingErrors';
+import { displayZone, formatDate, formatTime, formatTimeRange } from '../utils/time';
+import { MAX_FILES, uploadArtifacts } from '../utils/artifacts';
+import ArtifactList from '../components/ArtifactList';
+import MeetingDetails from '../components/MeetingDetails';
+import SubmissionFields from '../components/SubmissionFields';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 export default function ScholarBookings() {
+  const { user } = useAuth();
+  const zone = displayZone(user);
   const [bookings, setBookings] = useState([]);
+  const [cancellations, setCancellations] = useState([]);
+  const [changes, setChanges] = useState([]);
+  const [reschedulingId, setReschedulingId] = useState(null);
+  // Booking whose submission is being edited, with the draft values
+  const [editingSubmission, setEditingSubmission] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [assignments, setAssignments] = useState([]);
+  const [selectedAssignment, setSelectedAssignment] = useState('');
 
   useEffect(() => {
     fetchBookings();
+  }, [selectedAssignment]);
+
+  useEffect(() => {
+    fetchAssignments();
   }, []);
 
+  const fetchAssignments = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/assignments`);
+      setAssignments(response.data.assignments);
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error);
+    }
+  };
+
   const fetchBookings = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_URL}/slots/my-bookings`);
+      const params = {};
+      if (selectedAssignment) params.assignment_id = selectedAssignment;
+      const response = await axios.get(`${API_URL}/slots/my-bookings`, { params });
       setBookings(response.data.bookings);
+      setCancellations(response.data.cancellations || []);
+      setChanges(response.data.changes || []);
     } catch (error) {
       console.error('Failed to fetch bookings:', error);
       toast.error('Failed to load your bookings');
@@ -26,14 +58,119 @@ export default function ScholarBookings() {
     }
   };
 
+  // Submissions can change until the session starts
+  const canEditSubmission = (booking) =>
+    ['booked', 'pending'].includes(booking.status) && new Date(booking.starts_at) > new Date();
+
+  const startEditingSubmission = (booking) =>
+    setEditingSubmission({
+      bookingId: booking.booking_id,
+      values: {
+        notes: booking.notes || '',
+        repository_url: booking.repository_url || '',
+        demo_url: booking.demo_url || '',
+        files: [],
+      },
+    });
+
+  const handleSaveSubmission = async () => {
+    const { bookingId, values } = editingSubmission;
+    const { files, ...links } = values;
+
+    try {
+      await axios.patch(`${API_URL}/bookings/${bookingId}/submission`, links);
+      const failed = await uploadArtifacts(bookingId, files);
+      if (failed.length > 0) {
+        toast.error(`Some files were not attached:\n${failed.join('\n')}`, { duration: 8000 });
+      } else {
+        toast.success('Submission updated');
+      }
+      setEditingSubmission(null);
+      fetchBookings();
+    } catch (error) {
+      console.error('Failed to update submission:', error);
+      toast.error(explainBookingError(error, 'Failed to update submission'));
+    }
+  };
+
+  const handleRemoveArtifact = async (booking, artifact) => {
+    if (!window.confirm(`Remove ${artifact.file_name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/bookings/${booking.booking_id}/artifacts/${artifact.id}`);
+      toast.success('File removed');
+      fetchBookings();
+    } catch (error) {
+      console.error('Failed to remove file:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove file');
+    }
+  };
+
+  const handleCancelBooking = async (booking) => {
+    const reason = window.prompt(
+      `Cancel your session with ${booking.faculty.name}? Enter a reason (optional):`
+    );
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/slots/${booking.id}/cancel`, { reason });
+      toast.success('Booking cancelled successfully!');
+      fetchBookings();
+    } catch (error) {
+      console.error('Failed to cancel booking:', error);
+      toast.error(explainBookingError(error, 'Failed to cancel booking'), { duration: 6000 });
+    }
+  };
+
+  const handleWithdrawRequest = async (booking) => {
+    if (!window.confirm(`Withdraw your request for a session with ${booking.faculty.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/slots/requests/${booking.booking_id}/withdraw`);
+      toast.success('Request withdrawn');
+      fetchBookings();
+    } catch (error) {
+      console.error('Failed to withdraw request:', error);
+      toast.error(error.response?.data?.error || 'Failed to withdraw request');
+    }
+  };
+
+  const handleReschedule = async (booking, newSlotId) => {
+    try {
+      await axios.post(`${API_URL}/slots/${booking.id}/reschedule`, {
+        new_slot_id: newSlotId,
+      });
+      toast.success('Booking rescheduled successfully!');
+      setReschedulingId(null);
+      fetchBookings();
+    } catch (error) {
+      console.error('Failed to reschedule booking:', error);
+      toast.error(explainBookingError(error, 'Failed to reschedule booking'), { duration: 6000 });
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'booked':
         return 'bg-green-100 text-green-800';
+      case 'pending':
+      case 'awaiting_outcome':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'declined':
+      case 'expired':
+        return 'bg-gray-100 text-gray-600';
       case 'completed':
         return 'bg-blue-100 text-blue-800';
       case 'cancelled':
         return 'bg-red-100 text-red-800';
+      case 'no_show':
+        return 'bg-orange-100 text-orange-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -41,18 +178,76 @@ export default function ScholarBookings() {
 
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold text-gray-900">My Bookings</h1>
-        <p className="mt-2 text-gray-600">View your scheduled assignment demo sessions</p>
+      <div className="flex justify-between items-end">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Bookings</h1>
+          <p className="mt-2 text-gray-600">View your scheduled assignment demo sessions</p>
+        </div>
+        {assignments.length > 0 && (
+          <select
+            value={selectedAssignment}
+            onChange={(e) => setSelectedAssignment(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All Assignments</option>
+            {assignments.map((assignment) => (
+              <option key={assignment.id} value={assignment.id}>
+                {assignment.title}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
+      {/* Faculty edits to booked sessions */}
+      {!loading && changes.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Schedule Changes</h2>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {changes.map((change) => {
+              const previous = { starts_at: change.previous_starts_at, ends_at: change.previous_ends_at };
+              const moved =
+                change.previous_starts_at !== change.starts_at ||
+                change.previous_ends_at !== change.ends_at;
+              return (
+                <div key={change.id} className="px-6 py-4">
+                  <p className="text-sm font-medium text-gray-900">
+                    {change.faculty.name}{' '}
+                    {moved ? (
+                      <>
+                        moved your session from {formatDate(previous.starts_at, zone)} ·{' '}
+                        {formatTimeRange(previous, zone)} to {formatDate(change.starts_at, zone)} ·{' '}
+                        {formatTimeRange(change, zone)}
+                      </>
+                    ) : (
+                      <>
+                        updated the notes for your session on {formatDate(change.starts_at, zone)}
+                      </>
+                    )}
+                  </p>
+                  {change.reason && (
+                    <p className="text-sm text-gray-500 mt-1">Reason: {change.reason}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {loading ? (
         <div className="flex justify-center py-12">
           <div className="spinner"></div>
         </div>
       ) : bookings.length === 0 ? (
         <div className="bg-white rounded-lg shadow p-8 text-center">
-          <p className="text-gray-500 mb-4">You haven't booked any slots yet</p>
+          <p className="text-gray-500 mb-4">
+            {selectedAssignment
+              ? 'No bookings for this assignment'
+              : "You haven't booked any slots yet"}
+          </p>
           <a
             href="/slots"
             className="text-blue-600 hover:text-blue-800 font-medium"
@@ -79,22 +274,41 @@ export default function ScholarBookings() {
                         </h3>
                         <p className="text-sm text-gray-500">
                           {booking.faculty.email}
+                          {booking.capacity > 1 &&
+                            ` · Group session (${booking.booked_count} of ${booking.capacity} seats taken)`}
                         </p>
+                        {booking.panelists?.length > 1 && (
+                          <p className="text-sm text-teal-700">
+                            Panel with{' '}
+                            {booking.panelists
+                              .filter((member) => member.id !== booking.faculty_id)
+                              .map((member) => member.name)
+                              .join(', ')}
+                          </p>
+                        )}
                       </div>
                     </div>
-                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
                       <div>
-                        <p className="text-sm font-medium text-gray-500">Date</p>
+                        <p className="text-sm font-medium text-gray-500">Assignment</p>
                         <p className="text-sm text-gray-900">
-                          {format(parseISO(booking.date), 'MMMM d, yyyy')}
+                          {booking.assignment
+                            ? `${booking.assignment.title}${
+                                booking.assignment.course ? ` (${booking.assignment.course})` : ''
+                              }`
+                            : '—'}
                         </p>
                       </div>
                       <div>
-                        <p className="text-sm font-medium text-gray-500">Time</p>
+                        <p className="text-sm font-medium text-gray-500">Date</p>
                         <p className="text-sm text-gray-900">
-                          {booking.start_time} - {booking.end_time}
+                          {formatDate(booking.starts_at, zone)}
                         </p>
                       </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">Time</p>
+                        <p className="text-sm text-gray-900">{formatTimeRange(booking, zone)}</p>
+                      </div>
                       <div>
                         <p className="text-sm font-medium text-gray-500">Status</p>
                         <span
@@ -102,51 +316,203 @@ export default function ScholarBookings() {
                             booking.status
                           )}`}
                         >
-                          {booking.status}
+                          {booking.status.replace(/_/g, ' ')}
                         </span>
                       </div>
                     </div>
+                    {booking.status === 'pending' && (
+                      <p className="mt-4 text-sm text-yellow-800">
+                        Awaiting faculty approval · your seat is held until{' '}
+                        {formatDate(booking.request_expires_at, zone, { year: undefined })}{' '}
+                        {formatTime(booking.request_expires_at, zone)}
+                      </p>
+                    )}
+                    {booking.status === 'declined' && (
+                      <p className="mt-4 text-sm text-gray-600">
+                        The faculty declined this request
+                        {booking.decline_reason && `: ${booking.decline_reason}`}
+                      </p>
+                    )}
+                    {booking.status === 'awaiting_outcome' && (
+                      <p className="mt-4 text-sm text-gray-600">
+                        This session has ended · the faculty has not recorded the outcome yet
+                      </p>
+                    )}
+                    {booking.status === 'expired' && (
+                      <p className="mt-4 text-sm text-gray-600">
+                        This request expired before the faculty responded
+                      </p>
+                    )}
+                    {booking.faculty_notes && (
+                      <div className="mt-4">
+                        <p className="text-sm font-medium text-gray-500">Note from faculty</p>
+                        <p className="text-sm text-gray-900 mt-1">{booking.faculty_notes}</p>
+                      </div>
+                    )}
                     {booking.notes && (
                       <div className="mt-4">
                         <p className="text-sm font-medium text-gray-500">Notes</p>
                         <p className="text-sm text-gray-900 mt-1">{booking.notes}</p>
                       </div>
                     )}
-                    {booking.meeting_link && booking.status === 'booked' && (
-                      <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
-                        <p className="text-sm font-medium text-blue-900 mb-2">
-                          📹 Google Meet Link
+                    {(booking.repository_url || booking.demo_url || booking.artifacts?.length > 0) && (
+                      <div className="mt-4">
+                        <p className="text-sm font-medium text-gray-500">Submission</p>
+                        <ArtifactList
+                          booking={booking}
+                          bookingId={booking.booking_id}
+                          onRemove={
+                            canEditSubmission(booking)
+                              ? (artifact) => handleRemoveArtifact(booking, artifact)
+                              : undefined
+                          }
+                        />
+                      </div>
+                    )}
+                    {booking.grade && (
+                      <div className="mt-4 p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+                        <p className="text-sm font-medium text-indigo-900">
+                          {booking.grade.rubric_title} · {Number(booking.grade.total_points)} /{' '}
+                          {Number(booking.grade.max_points)} points
                         </p>
-                        <div className="flex items-center space-x-2">
-                          <a
-                            href={booking.meeting_link}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-sm text-blue-600 hover:text-blue-800 underline break-all"
-                          >
-                            {booking.meeting_link}
-                          </a>
-                          <button
-                            onClick={() => {
-                              navigator.clipboard.writeText(booking.meeting_link);
-                              toast.success('Meeting link copied to clipboard!');
-                            }}
-                            className="flex-shrink-0 px-3 py-1 bg-blue-600 text-white text-xs rounded hover:bg-blue-700 transition-colors"
-                          >
-                            Copy Link
-                          </button>
-                        </div>
-                        <a
-                          href={booking.meeting_link}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="mt-2 inline-block px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors"
-                        >
-                          Join Meeting
-                        </a>
+                        <ul className="mt-2 space-y-1">
+                          {booking.grade.scores.map((score) => (
+                            <li
+                              key={score.criterion_id}
+                              className="flex justify-between text-sm text-indigo-900"
+                            >
+                              <span>{score.label}</span>
+                              <span>
+                                {score.points} / {score.max_points}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                        {booking.grade.feedback && (
+                          <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">
+                            {booking.grade.feedback}
+                          </p>
+                        )}
                       </div>
                     )}
+                    {booking.status === 'booked' && (
+                      <MeetingDetails
+                        slot={booking}
+                        calendarStatus={booking.calendar_status}
+                        eventLink={booking.calendar_html_link}
+                      />
+                    )}
                   </div>
+                  {booking.status === 'pending' && (
+                    <div className="ml-4 flex flex-col items-end space-y-2">
+                      {canEditSubmission(booking) && (
+                        <button
+                          onClick={() => startEditingSubmission(booking)}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        >
+                          Edit Submission
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleWithdrawRequest(booking)}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        Withdraw Request
+                      </button>
+                    </div>
+                  )}
+                  {booking.status === 'booked' && (
+                    <div className="ml-4 flex flex-col items-end space-y-2">
+                      <button
+                        onClick={() =>
+                          setReschedulingId(reschedulingId === booking.id ? null : booking.id)
+                        }
+                        className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                      >
+                        {reschedulingId === booking.id ? 'Close' : 'Reschedule'}
+                      </button>
+                      {canEditSubmission(booking) && (
+                        <button
+                          onClick={() => startEditingSubmission(booking)}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                        >
+                          Edit Submission
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleCancelBooking(booking)}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        Cancel Booking
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {reschedulingId === booking.id && (
+                  <ReschedulePanel
+                    booking={booking}
+                    zone={zone}
+                    onSelect={(slotId) => handleReschedule(booking, slotId)}
+                  />
+                )}
+                {editingSubmission?.bookingId === booking.booking_id && (
+                  <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                    <SubmissionFields
+                      value={editingSubmission.values}
+                      onChange={(values) => setEditingSubmission({ ...editingSubmission, values })}
+                      maxFiles={MAX_FILES - (booking.artifacts?.length || 0)}
+                    />
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        onClick={() => setEditingSubmission(null)}
+                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSaveSubmission}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                      >
+                        Save Submission
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Cancelled Bookings */}
+      {!loading && cancellations.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Cancelled Sessions</h2>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {cancellations.map((cancellation) => (
+              <div key={cancellation.id} className="px-6 py-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {cancellation.faculty.name} ·{' '}
+                      {formatDate(cancellation.starts_at, zone)} ·{' '}
+                      {formatTimeRange(cancellation, zone)}
+                    </p>
+                    {cancellation.reason && (
+                      <p className="text-sm text-gray-500 mt-1">
+                        Reason: {cancellation.reason}
+                      </p>
+                    )}
+                  </div>
+                  <span
+                    className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(
+                      'cancelled'
+                    )}`}
+                  >
+                    cancelled
+                  </span>
                 </div>
               </div>
             ))}
@@ -157,3 +523,71 @@ export default function ScholarBookings() {
   );
 }
 
+
+function ReschedulePanel({ booking, zone, onSelect }) {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sameFacultyOnly, setSameFacultyOnly] = useState(true);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        setLoading(true);
+        const params = sameFacultyOnly ? { faculty_id: booking.faculty_id } : {};
+        const response = await axios.get(`${API_URL}/slots/available`, { params });
+        setSlots(response.data.slots);
+      } catch (error) {
+        console.error('Failed to fetch slots:', error);
+        toast.error('Failed to load available slots');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOptions();
+  }, [booking.faculty_id, sameFacultyOnly]);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-gray-900">Pick a new slot</p>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={sameFacultyOnly}
+            onChange={(e) => setSameFacultyOnly(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>Only {booking.faculty.name}</span>
+        </label>
+      </div>
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="spinner"></div>
+        </div>
+      ) : slots.length === 0 ? (
+        <p className="text-sm text-gray-500">No other slots are available right now</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+          {slots.map((slot) => (
+            <button
+              key={slot.id}
+              onClick={() => {
+                if (window.confirm('Move your booking to this slot?')) {
+                  onSelect(slot.id);
+                }
+              }}
+              className="text-left px-3 py-2 border border-gray-200 rounded-md bg-white hover:border-blue-500 transition-colors"
+            >
+              <p className="text-sm font-medium text-gray-900">
+                {formatDate(slot.starts_at, zone, { weekday: 'short', month: 'short', year: undefined })}{' '}
+                · {formatTimeRange(slot, zone)}
+              </p>
+              <p className="text-xs text-gray-500">{slot.faculty.name}</p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
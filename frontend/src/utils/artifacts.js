@@ -0,0 +1,47 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Mirrors the backend's accepted types and limits
+export const ACCEPTED_FILES = '.pdf,.zip,.txt,.md,.png,.jpg,.jpeg,.gif,.docx,.pptx,.xlsx,.mp4';
+export const MAX_FILE_MB = 10;
+export const MAX_FILES = 5;
+
+export const formatFileSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Upload one file to a booking; the bytes are sent as the request body
+export const uploadArtifact = (bookingId, file) =>
+  axios.post(`${API_URL}/bookings/${bookingId}/artifacts`, file, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+    },
+  });
+
+// Upload several files, returning the names of those that failed with why
+export const uploadArtifacts = async (bookingId, files) => {
+  const failed = [];
+  for (const file of files) {
+    try {
+      await uploadArtifact(bookingId, file);
+    } catch (error) {
+      console.error('Failed to upload file:', error);
+      failed.push(`${file.name}: ${error.response?.data?.error || 'upload failed'}`);
+    }
+  }
+  return failed;
+};
+
+// Fetch a booking's file with the user's credentials and save it
+export const downloadArtifact = async (bookingId, artifact) => {
+  const response = await axios.get(`${API_URL}/bookings/${bookingId}/artifacts/${artifact.id}`, {
+    responseType: 'blob',
+  });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = artifact.file_name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
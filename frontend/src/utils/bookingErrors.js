@@ -0,0 +1,28 @@
+// Explanations for booking policy violations returned by the API
+const POLICY_EXPLANATIONS = {
+  MAX_ACTIVE_BOOKINGS: (v) =>
+    `You already hold ${v.limit} upcoming booking(s), the most allowed. Cancel or finish one first.`,
+  ONE_PER_FACULTY: () =>
+    'You already have an upcoming session with this faculty member. Reschedule it instead of booking another.',
+  MIN_LEAD_TIME: (v) =>
+    `This slot starts too soon. Slots must be booked at least ${v.limit} minutes in advance.`,
+  OVERLAPPING_BOOKING: () =>
+    'You already have a session at this time with another faculty member.',
+  CANCELLATION_CUTOFF: (v) =>
+    `Bookings can't be cancelled within ${v.limit} minutes of the start.`,
+};
+
+// Turn a failed booking request into a message the user can act on
+export const explainBookingError = (error, fallback) => {
+  const violations = error.response?.data?.violations;
+  if (violations?.length) {
+    return violations
+      .map((v) => (POLICY_EXPLANATIONS[v.code] ? POLICY_EXPLANATIONS[v.code](v) : v.message))
+      .join('\n');
+  }
+  const invalid = error.response?.data?.errors;
+  if (invalid?.length) {
+    return invalid.map((e) => e.msg).join('\n');
+  }
+  return error.response?.data?.error || fallback;
+};
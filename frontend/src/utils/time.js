@@ -0,0 +1,78 @@
+// Time-zone aware formatting. Slots carry exact instants (starts_at/ends_at);
+// these helpers render them in the viewer's chosen IANA zone.
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// The zone faculty create slots and series in
+export const schedulingZone = (user) => user?.time_zone || browserTimeZone();
+
+// The zone a user sees times in (their display choice, else their
+// scheduling zone)
+export const displayZone = (user) => user?.display_time_zone || schedulingZone(user);
+
+export const availableTimeZones = () =>
+  typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [browserTimeZone(), 'UTC'];
+
+export const formatDate = (instant, zone, options = {}) =>
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    ...options,
+  }).format(new Date(instant));
+
+export const formatTime = (instant, zone) =>
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(new Date(instant));
+
+export const formatTimeRange = (slot, zone) =>
+  `${formatTime(slot.starts_at, zone)} - ${formatTime(slot.ends_at, zone)}`;
+
+// Calendar day (YYYY-MM-DD) of an instant in a zone, for grouping
+export const dateKey = (instant, zone) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(instant));
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant
+const zoneOffsetMs = (zone, date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallMs - (date.getTime() - date.getMilliseconds());
+};
+
+// datetime-local input value (YYYY-MM-DDTHH:MM) for an instant in a zone
+export const toZonedInput = (instant, zone) => {
+  const date = new Date(instant);
+  return new Date(date.getTime() + zoneOffsetMs(zone, date)).toISOString().slice(0, 16);
+};
+
+// Instant (ISO string) for a datetime-local input value read in a zone
+export const fromZonedInput = (value, zone) => {
+  const wall = new Date(`${value}:00Z`);
+  const guess = new Date(wall.getTime() - zoneOffsetMs(zone, wall));
+  // Re-check the offset at the guessed instant in case a DST change lies between
+  return new Date(wall.getTime() - zoneOffsetMs(zone, guess)).toISOString();
+};